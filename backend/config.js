@@ -0,0 +1,215 @@
+// Configuration shared by the server and every script.
+//
+// Environment files: loadEnv() reads backend/.env, or backend/.env.<name> for a named
+// environment (APP_ENV=staging, or an explicit name). Variables already set in the process
+// (e.g. by the hosting platform) take precedence. With NODE_ENV=production and no name, no file
+// is read.
+//
+// Database: DATABASE_URL, or DB_HOST / DB_PORT / DB_NAME / DB_USER / DB_PASSWORD.
+// DB_SSL picks the SSL mode:
+//   disable       plain connection
+//   require       encrypted, certificate not verified (e.g. Railway's self-signed certs)
+//   verify-full   encrypted and verified, against DB_SSL_CA or ca_certificate_aws-rds.pem when present
+//   auto          (default) require for Railway hosts, verify-full when the RDS CA bundle is
+//                 present, otherwise disable
+// Pool sizing: DB_POOL_MAX, DB_IDLE_TIMEOUT_MS, DB_CONNECT_TIMEOUT_MS; reconnect backoff:
+// DB_RETRY_BASE_MS, DB_RETRY_MAX_MS.
+//
+// CSV import body limit: IMPORT_MAX_BYTES, a byte count with an optional b/kb/mb/gb unit
+// (default 10mb).
+//
+// Query Editor allowlists: QUERY_ALLOW_<ROLE> (e.g. QUERY_ALLOW_RESEARCHER=public.*,gis.parcels)
+// limits the tables that role may read through /api/query. Entries are schema.table or schema.*;
+// a bare name means public.<name>. Roles without a variable are unrestricted; an empty value
+// allows no tables at all.
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { ROLES } = require('./middleware/auth');
+
+const BACKEND_DIR = __dirname;
+const DEFAULT_CA_FILE = path.join(BACKEND_DIR, 'ca_certificate_aws-rds.pem');
+const SSL_MODES = ['auto', 'disable', 'require', 'verify-full'];
+const BYTE_SIZE = /^\d+(\.\d+)?\s*(b|kb|mb|gb)?$/i;
+const ALLOWLIST_ENTRY = /^([A-Za-z_][\w$]*)(?:\.(\*|[A-Za-z_][\w$]*))?$/;
+
+class ConfigError extends Error {
+  constructor(problems, source) {
+    super(`Invalid configuration${source ? ` (${source})` : ''}:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+function envFilePath(name) {
+  return path.join(BACKEND_DIR, name ? `.env.${name}` : '.env');
+}
+
+// Variables from an environment file without touching process.env ({} when there is no file)
+function readEnvFile(name) {
+  const file = envFilePath(name);
+  if (!fs.existsSync(file)) {
+    if (name) throw new ConfigError([`${path.basename(file)} not found in ${BACKEND_DIR}`]);
+    return {};
+  }
+  return dotenv.parse(fs.readFileSync(file));
+}
+
+// Load an environment file into process.env (existing variables win); returns the file name used
+function loadEnv(name = process.env.APP_ENV) {
+  if (!name && process.env.NODE_ENV === 'production') return null;
+  const vars = readEnvFile(name);
+  for (const [key, value] of Object.entries(vars)) {
+    if (process.env[key] === undefined) process.env[key] = value;
+  }
+  return path.basename(envFilePath(name));
+}
+
+// Validate and normalise variables (process.env by default) into a config object. All problems
+// are reported together in one ConfigError; softer issues end up in config.warnings.
+function parseConfig(vars = process.env, { source = vars === process.env ? process.env.APP_ENV : null } = {}) {
+  const problems = [];
+  const warnings = [];
+
+  const int = (name, fallback, { min = 0, max = Infinity } = {}) => {
+    const raw = vars[name];
+    if (raw === undefined || raw === '') return fallback;
+    const n = Number(raw);
+    if (!Number.isInteger(n) || n < min || n > max) {
+      problems.push(`${name} must be an integer${max < Infinity ? ` between ${min} and ${max}` : ` >= ${min}`}, got "${raw}"`);
+      return fallback;
+    }
+    return n;
+  };
+
+  const db = {};
+  let host = vars.DB_HOST;
+  if (vars.DATABASE_URL) {
+    try {
+      const url = new URL(vars.DATABASE_URL);
+      if (!['postgres:', 'postgresql:'].includes(url.protocol)) problems.push('DATABASE_URL must start with postgres:// or postgresql://');
+      host = url.hostname;
+      db.connectionString = vars.DATABASE_URL;
+    } catch (err) {
+      problems.push('DATABASE_URL is not a valid URL');
+    }
+  } else {
+    for (const name of ['DB_HOST', 'DB_NAME', 'DB_USER']) {
+      if (!vars[name]) problems.push(`${name} is required (or set DATABASE_URL)`);
+    }
+    Object.assign(db, {
+      host: vars.DB_HOST,
+      port: int('DB_PORT', 5432, { min: 1, max: 65535 }),
+      database: vars.DB_NAME,
+      user: vars.DB_USER,
+      password: vars.DB_PASSWORD
+    });
+  }
+  db.target = db.connectionString ? `${host} (DATABASE_URL)` : `${db.host}:${db.port}/${db.database}`;
+
+  let sslMode = String(vars.DB_SSL || 'auto').toLowerCase();
+  if (!SSL_MODES.includes(sslMode)) {
+    problems.push(`DB_SSL must be one of ${SSL_MODES.join(', ')}, got "${vars.DB_SSL}"`);
+    sslMode = 'auto';
+  }
+  const caFile = vars.DB_SSL_CA ? path.resolve(BACKEND_DIR, vars.DB_SSL_CA) : DEFAULT_CA_FILE;
+  if (vars.DB_SSL_CA && !fs.existsSync(caFile)) problems.push(`DB_SSL_CA file not found: ${caFile}`);
+  if (sslMode === 'auto') {
+    if (host && (host.includes('railway') || host.includes('rlwy'))) sslMode = 'require';
+    else if (fs.existsSync(caFile)) sslMode = 'verify-full';
+    else sslMode = 'disable';
+  }
+  db.sslMode = sslMode;
+  if (sslMode === 'require') db.ssl = { rejectUnauthorized: false };
+  else if (sslMode === 'verify-full') {
+    db.ssl = { rejectUnauthorized: true };
+    if (fs.existsSync(caFile)) {
+      db.ssl.ca = fs.readFileSync(caFile).toString();
+      // Path for tools that take the CA as a file (psql, pg_dump: PGSSLROOTCERT)
+      db.sslCaFile = caFile;
+    }
+  } else db.ssl = false;
+
+  db.pool = {
+    max: int('DB_POOL_MAX', 10, { min: 1 }),
+    idleTimeoutMillis: int('DB_IDLE_TIMEOUT_MS', 30000),
+    connectionTimeoutMillis: int('DB_CONNECT_TIMEOUT_MS', 5000)
+  };
+  db.retry = {
+    baseMs: int('DB_RETRY_BASE_MS', 1000, { min: 1 }),
+    maxMs: int('DB_RETRY_MAX_MS', 30000, { min: 1 })
+  };
+
+  // role -> [{ schema, table }] (table null for schema.*); roles without a list are absent
+  const queryAllowlist = {};
+  for (const [name, value] of Object.entries(vars)) {
+    const match = name.match(/^QUERY_ALLOW_([A-Z]+)$/);
+    if (!match || value === undefined) continue;
+    const role = match[1].toLowerCase();
+    if (!ROLES.includes(role)) {
+      problems.push(`${name}: unknown role "${role}" (roles: ${ROLES.join(', ')})`);
+      continue;
+    }
+    queryAllowlist[role] = [];
+    for (const entry of value.split(',').map(e => e.trim()).filter(Boolean)) {
+      const m = entry.match(ALLOWLIST_ENTRY);
+      if (!m) {
+        problems.push(`${name}: "${entry}" is not schema.table, schema.* or table`);
+        continue;
+      }
+      queryAllowlist[role].push(m[2] ? { schema: m[1], table: m[2] === '*' ? null : m[2] } : { schema: 'public', table: m[1] });
+    }
+  }
+
+  const importMaxBytes = vars.IMPORT_MAX_BYTES || '10mb';
+  if (!BYTE_SIZE.test(importMaxBytes)) problems.push(`IMPORT_MAX_BYTES must be a size such as 10mb or 5000000, got "${importMaxBytes}"`);
+
+  const config = {
+    env: source || null,
+    port: int('PORT', 5000, { min: 1, max: 65535 }),
+    corsOrigins: (vars.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean),
+    jwt: { secret: vars.JWT_SECRET || null, expiresIn: vars.JWT_EXPIRES_IN || '8h' },
+    importMaxBytes,
+    db,
+    queryAllowlist,
+    warnings
+  };
+  if (!config.jwt.secret) warnings.push('JWT_SECRET is not set; sign-in will fail until it is');
+
+  if (problems.length > 0) throw new ConfigError(problems, source ? path.basename(envFilePath(source)) : null);
+  return config;
+}
+
+// pg Pool options for a parsed db config
+function poolOptions(db) {
+  const connection = db.connectionString
+    ? { connectionString: db.connectionString }
+    : { host: db.host, port: db.port, database: db.database, user: db.user, password: db.password };
+  return { ...connection, ssl: db.ssl, ...db.pool };
+}
+
+// New pg Pool for a parsed db config
+function createPool(db) {
+  const { Pool } = require('pg');
+  return new Pool(poolOptions(db));
+}
+
+// For command-line scripts: load the environment file, validate, and return { config, pool }.
+// `defaults` fill in variables that neither the environment nor the file set. Configuration
+// problems are printed and end the process.
+function openScriptPool({ env = process.env.APP_ENV, defaults = {} } = {}) {
+  try {
+    loadEnv(env);
+    for (const [key, value] of Object.entries(defaults)) {
+      if (process.env[key] === undefined) process.env[key] = value;
+    }
+    const config = parseConfig(process.env, { source: env });
+    return { config, pool: createPool(config.db) };
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { ConfigError, readEnvFile, loadEnv, parseConfig, poolOptions, createPool, openScriptPool };
@@ -0,0 +1,99 @@
+const { getPool } = require('../db');
+const { withTransaction } = require('../db/utils');
+const { actorOf, recordAudit } = require('../db/audit');
+const { RESOLVER_COLUMNS, validateResolver } = require('../db/attributeResolvers');
+
+const RESOLVER_FIELDS = ['source_table', 'value_column', 'ref_table', 'ref_key_column', 'ref_label_column', 'order_column'];
+
+// Every tbl/ref/refs attribute with its resolver (null when none is configured yet)
+async function listResolvers(req, res) {
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+    const result = await getPool().query(`
+      SELECT ra.attribute_id, ra.attribute_nm, ra.attribute_text, ra.attribute_type,
+             to_jsonb(r) - 'attribute_id' AS resolver
+      FROM ref_attributes ra
+      LEFT JOIN ref_attribute_resolvers r ON r.attribute_id = ra.attribute_id
+      WHERE ra.attribute_type IN ('tbl', 'ref', 'refs')
+      ORDER BY ra.attribute_nm
+    `);
+    res.json({ success: true, data: result.rows.map(r => ({ ...r, id: r.attribute_id })) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Create or replace the resolver for one attribute; tables and columns are checked first
+async function saveResolver(req, res) {
+  const { attributeId } = req.params;
+  const body = req.body || {};
+  const resolver = {};
+  for (const field of RESOLVER_FIELDS) resolver[field] = body[field] ? String(body[field]).trim() : null;
+
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+    const attr = await getPool().query(
+      `SELECT attribute_id FROM ref_attributes WHERE attribute_id = $1 AND attribute_type IN ('tbl', 'ref', 'refs')`,
+      [attributeId]
+    );
+    if (!attr.rows[0]) return res.status(404).json({ error: 'Attribute not found or not a tbl/ref/refs attribute' });
+
+    const invalid = await validateResolver(resolver);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const row = await withTransaction(async (client) => {
+      const before = await client.query(
+        `SELECT ${RESOLVER_COLUMNS} FROM ref_attribute_resolvers WHERE attribute_id = $1 FOR UPDATE`,
+        [attributeId]
+      );
+      const values = RESOLVER_FIELDS.map(f => resolver[f]);
+      const result = await client.query(
+        `INSERT INTO ref_attribute_resolvers (attribute_id, ${RESOLVER_FIELDS.join(', ')})
+         VALUES ($1, ${RESOLVER_FIELDS.map((f, i) => `$${i + 2}`).join(', ')})
+         ON CONFLICT (attribute_id) DO UPDATE SET
+           ${RESOLVER_FIELDS.map(f => `${f} = EXCLUDED.${f}`).join(', ')}, updated_at = NOW()
+         RETURNING ${RESOLVER_COLUMNS}`,
+        [attributeId, ...values]
+      );
+      const saved = result.rows[0];
+      await recordAudit(client, {
+        actor: actorOf(req),
+        action: before.rows[0] ? 'update' : 'insert',
+        tableName: 'ref_attribute_resolvers',
+        recordId: attributeId,
+        before: before.rows[0] || null,
+        after: saved
+      });
+      return saved;
+    });
+    res.json({ success: true, data: { ...row, id: row.attribute_id } });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+async function deleteResolver(req, res) {
+  const { attributeId } = req.params;
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+    const deleted = await withTransaction(async (client) => {
+      const result = await client.query(
+        `DELETE FROM ref_attribute_resolvers WHERE attribute_id = $1 RETURNING ${RESOLVER_COLUMNS}`,
+        [attributeId]
+      );
+      const row = result.rows[0];
+      if (row) {
+        await recordAudit(client, {
+          actor: actorOf(req), action: 'delete', tableName: 'ref_attribute_resolvers', recordId: attributeId, before: row
+        });
+      }
+      return row;
+    });
+    if (!deleted) return res.status(404).json({ error: 'Resolver not found' });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+module.exports = { listResolvers, saveResolver, deleteResolver };
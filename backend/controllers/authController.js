@@ -0,0 +1,116 @@
+const bcrypt = require('bcryptjs');
+const { getPool } = require('../db');
+const { ROLES, signToken } = require('../middleware/auth');
+
+const USER_COLUMNS = 'user_id, username, display_name, role, created_at, last_login_at';
+
+// Exchange username/password for a signed token
+async function login(req, res) {
+  const { username, password } = req.body || {};
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+    if (!username || !password) return res.status(400).json({ error: 'Username and password required' });
+
+    const result = await getPool().query(
+      'SELECT user_id, username, display_name, role, password_hash FROM app_users WHERE username = $1',
+      [username]
+    );
+    const user = result.rows[0];
+    if (!user || !(await bcrypt.compare(password, user.password_hash))) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    await getPool().query('UPDATE app_users SET last_login_at = NOW() WHERE user_id = $1', [user.user_id]);
+    const { password_hash, ...publicUser } = user;
+    res.json({ success: true, token: signToken(user, req.app.locals.config?.jwt), user: publicUser });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Current user, as resolved from the token
+async function me(req, res) {
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+    const result = await getPool().query(`SELECT ${USER_COLUMNS} FROM app_users WHERE user_id = $1`, [req.user.id]);
+    if (!result.rows[0]) return res.status(401).json({ error: 'User no longer exists' });
+    res.json({ success: true, user: result.rows[0] });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+async function listUsers(req, res) {
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+    const result = await getPool().query(`SELECT ${USER_COLUMNS} FROM app_users ORDER BY username`);
+    res.json({ success: true, data: result.rows.map(r => ({ ...r, id: r.user_id })), roles: ROLES });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+async function createUser(req, res) {
+  const { username, password, role = 'viewer', display_name = null } = req.body || {};
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+    if (!username || !password) return res.status(400).json({ error: 'Username and password required' });
+    if (!ROLES.includes(role)) return res.status(400).json({ error: `Invalid role: ${role}. Allowed values: ${ROLES.join(', ')}` });
+
+    const hash = await bcrypt.hash(password, 10);
+    const result = await getPool().query(
+      `INSERT INTO app_users (username, password_hash, role, display_name) VALUES ($1, $2, $3, $4) RETURNING ${USER_COLUMNS}`,
+      [username, hash, role, display_name]
+    );
+    const row = result.rows[0];
+    res.json({ success: true, data: { ...row, id: row.user_id } });
+  } catch (error) {
+    if (error.code === '23505') return res.status(409).json({ error: `User ${username} already exists` });
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Update role, display name and/or password
+async function updateUser(req, res) {
+  const { userId } = req.params;
+  const { password, role, display_name } = req.body || {};
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role: ${role}. Allowed values: ${ROLES.join(', ')}` });
+    }
+
+    const updates = {};
+    if (role !== undefined) updates.role = role;
+    if (display_name !== undefined) updates.display_name = display_name;
+    if (password) updates.password_hash = await bcrypt.hash(password, 10);
+    const keys = Object.keys(updates);
+    if (keys.length === 0) return res.status(400).json({ error: 'No data provided' });
+
+    const setClause = keys.map((k, i) => `${k} = $${i + 1}`).join(', ');
+    const values = [...Object.values(updates), userId];
+    const result = await getPool().query(
+      `UPDATE app_users SET ${setClause} WHERE user_id = $${values.length} RETURNING ${USER_COLUMNS}`,
+      values
+    );
+    const row = result.rows[0];
+    if (!row) return res.status(404).json({ error: 'User not found' });
+    res.json({ success: true, data: { ...row, id: row.user_id } });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+async function deleteUser(req, res) {
+  const { userId } = req.params;
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+    if (String(req.user.id) === String(userId)) return res.status(400).json({ error: 'You cannot delete your own account' });
+    await getPool().query('DELETE FROM app_users WHERE user_id = $1', [userId]);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+module.exports = { login, me, listUsers, createUser, updateUser, deleteUser };
@@ -0,0 +1,89 @@
+const { getPool } = require('../db');
+const { parseTableName, validateTableName, getPrimaryKey, withTransaction } = require('../db/utils');
+const { actorOf, recordAudit, fetchRowForUpdate } = require('../db/audit');
+const { quoteIdent, quoteTableName } = require('../db/tableQuery');
+
+// Audit entries for one record, newest first
+async function getHistory(req, res) {
+  const { tableName, id } = req.params;
+  let { limit = 100 } = req.query;
+  limit = Math.min(parseInt(limit, 10) || 100, 1000);
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+    if (!validateTableName(tableName)) return res.status(400).json({ error: 'Invalid table name' });
+
+    const result = await getPool().query(
+      `SELECT audit_id, actor, action, table_name, record_id, before_data, after_data, changed_at
+       FROM audit_log
+       WHERE table_name = $1 AND record_id = $2
+       ORDER BY changed_at DESC, audit_id DESC
+       LIMIT $3`,
+      [tableName, String(id), limit]
+    );
+    res.json({ success: true, data: result.rows.map(r => ({ ...r, id: r.audit_id })) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Put a record back to the state captured by an audit entry (the row after that change,
+// or the deleted row for a delete entry). Re-inserts the row if it no longer exists.
+async function restoreVersion(req, res) {
+  const { auditId } = req.params;
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+
+    const entryRes = await getPool().query('SELECT * FROM audit_log WHERE audit_id = $1', [auditId]);
+    const entry = entryRes.rows[0];
+    if (!entry) return res.status(404).json({ error: 'History entry not found' });
+
+    const tableName = entry.table_name;
+    const ref = parseTableName(tableName);
+    if (!ref) return res.status(400).json({ error: 'Invalid table name' });
+    const snapshot = entry.action === 'delete' ? entry.before_data : entry.after_data;
+    const pk = await getPrimaryKey(tableName);
+    if (!snapshot || !pk || snapshot[pk] == null) {
+      return res.status(400).json({ error: 'This history entry cannot be restored' });
+    }
+
+    // Columns may have been dropped since the snapshot was taken
+    const colRes = await getPool().query(
+      `SELECT column_name FROM information_schema.columns WHERE table_schema = $1 AND table_name = $2`,
+      [ref.schema, ref.table]
+    );
+    const existing = new Set(colRes.rows.map(r => r.column_name));
+    const cols = Object.keys(snapshot).filter(c => existing.has(c));
+    const setCols = cols.filter(c => c !== pk);
+    if (setCols.length === 0) {
+      return res.status(400).json({ error: 'Nothing to restore: none of the recorded columns besides the primary key still exist' });
+    }
+    const id = snapshot[pk];
+
+    const row = await withTransaction(async (client) => {
+      const before = await fetchRowForUpdate(client, tableName, pk, id);
+      let result;
+      if (before) {
+        const setClause = setCols.map((c, i) => `${quoteIdent(c)} = $${i + 1}`).join(', ');
+        result = await client.query(
+          `UPDATE ${quoteTableName(tableName)} SET ${setClause} WHERE ${quoteIdent(pk)} = $${setCols.length + 1} RETURNING *`,
+          [...setCols.map(c => snapshot[c]), id]
+        );
+      } else {
+        const placeholders = cols.map((_, i) => `$${i + 1}`).join(', ');
+        result = await client.query(
+          `INSERT INTO ${quoteTableName(tableName)} (${cols.map(quoteIdent).join(', ')}) VALUES (${placeholders}) RETURNING *`,
+          cols.map(c => snapshot[c])
+        );
+      }
+      const restored = result.rows[0];
+      await recordAudit(client, { actor: actorOf(req), action: 'restore', tableName, recordId: id, before, after: restored });
+      return restored;
+    });
+
+    res.json({ success: true, data: row });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+module.exports = { getHistory, restoreVersion };
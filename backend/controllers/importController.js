@@ -0,0 +1,153 @@
+const { getPool } = require('../db');
+const { getEnumMap, findEnumViolation, validateTableName, getPrimaryKey, withTransaction } = require('../db/utils');
+const { describeColumns, coerceValue } = require('../db/columns');
+const { actorOf, recordAudit } = require('../db/audit');
+const { quoteIdent, quoteTableName } = require('../db/tableQuery');
+const { parseCsv } = require('../db/csv');
+
+// Header text -> column name used when no explicit mapping is given: case-insensitive,
+// with spaces and dashes treated as underscores
+const normalizeHeader = (h) => String(h).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+// POST /api/table/:tableName/import  (body: text/csv)
+//   ?dryRun=true            validate only and return the report
+//   ?mapping[Header]=col    map a CSV header to a column; an empty value skips the header
+// Valid rows are inserted in one transaction; rows with errors are reported and skipped. A
+// constraint violation (foreign key, unique, check) or a value Postgres rejects (out of range,
+// bad format) while inserting rolls everything back and answers 409 with the same report, the
+// failing line added to its errors.
+async function importCsv(req, res) {
+  const { tableName } = req.params;
+  const dryRun = String(req.query.dryRun) === 'true';
+  const mapping = req.query.mapping && typeof req.query.mapping === 'object' ? req.query.mapping : {};
+
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+    if (!validateTableName(tableName)) return res.status(400).json({ error: 'Invalid table name' });
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      return res.status(400).json({ error: 'Send the CSV as the request body with Content-Type: text/csv' });
+    }
+
+    const columns = await describeColumns(tableName);
+    if (columns.length === 0) return res.status(404).json({ error: `Table not found: ${tableName}` });
+    const byName = new Map(columns.map(c => [c.column_name, c]));
+
+    let rows;
+    try {
+      rows = parseCsv(req.body);
+    } catch (e) {
+      return res.status(400).json({ error: `Could not parse CSV: ${e.message}` });
+    }
+    const [headers = [], ...dataRows] = rows;
+    if (headers.length === 0) return res.status(400).json({ error: 'CSV has no header row' });
+
+    // Resolve each header to a column (or null when skipped / unknown)
+    const byHeader = new Map(columns.map(c => [normalizeHeader(c.column_name), c.column_name]));
+    const headerColumns = headers.map(h => {
+      const target = Object.prototype.hasOwnProperty.call(mapping, h) ? mapping[h] : byHeader.get(normalizeHeader(h));
+      return target && byName.has(target) ? target : null;
+    });
+    const unknownTargets = Object.entries(mapping).filter(([, col]) => col && !byName.has(col)).map(([, col]) => col);
+    if (unknownTargets.length > 0) return res.status(400).json({ error: `Unknown column in mapping: ${unknownTargets.join(', ')}` });
+    const mapped = headerColumns.filter(Boolean);
+    const duplicates = mapped.filter((c, i) => mapped.indexOf(c) !== i);
+    if (duplicates.length > 0) return res.status(400).json({ error: `Column mapped more than once: ${[...new Set(duplicates)].join(', ')}` });
+    const generated = mapped.filter(c => byName.get(c).is_generated || byName.get(c).identity_generation === 'ALWAYS');
+    if (generated.length > 0) return res.status(400).json({ error: `Column is generated by the database: ${generated.join(', ')}` });
+
+    // Required columns that no header feeds fail every row, so report them once up front
+    const missingRequired = columns
+      .filter(c => !c.is_nullable && c.column_default == null && !c.is_auto && !mapped.includes(c.column_name))
+      .map(c => c.column_name);
+
+    const enumMap = await getEnumMap(tableName);
+    const errors = [];
+    const validRecords = [];
+    dataRows.forEach((cells, index) => {
+      const line = index + 2; // header is line 1
+      const rowErrors = [];
+      if (cells.length !== headers.length) {
+        rowErrors.push({ line, column: null, message: `has ${cells.length} fields, expected ${headers.length}` });
+      }
+      const record = {};
+      headerColumns.forEach((col, i) => {
+        if (!col) return;
+        const result = coerceValue(byName.get(col), cells[i] ?? '');
+        if (result.error) rowErrors.push({ line, column: col, message: `${col} ${result.error}` });
+        else record[col] = result.value;
+      });
+      const enumError = findEnumViolation(enumMap, record);
+      if (enumError) rowErrors.push({ line, column: null, message: enumError });
+
+      if (rowErrors.length > 0) errors.push(...rowErrors);
+      else validRecords.push({ line, record });
+    });
+
+    const report = {
+      success: true,
+      dryRun,
+      total: dataRows.length,
+      valid: validRecords.length,
+      invalid: new Set(errors.map(e => e.line)).size,
+      columns: headers.map((h, i) => ({ header: h, column: headerColumns[i] })),
+      missingRequired,
+      errors
+    };
+    if (missingRequired.length > 0) {
+      report.valid = 0;
+      report.invalid = dataRows.length;
+    }
+    if (dryRun || report.valid === 0) return res.json({ ...report, inserted: 0 });
+
+    const pk = await getPrimaryKey(tableName);
+    let failedLine = null;
+    let inserted;
+    try {
+      inserted = await withTransaction(async (client) => {
+        let count = 0;
+        for (const { line, record } of validRecords) {
+          const keys = Object.keys(record);
+          let result;
+          try {
+            result = keys.length > 0
+              ? await client.query(
+                `INSERT INTO ${quoteTableName(tableName)} (${keys.map(quoteIdent).join(', ')}) VALUES (${keys.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+                Object.values(record)
+              )
+              : await client.query(`INSERT INTO ${quoteTableName(tableName)} DEFAULT VALUES RETURNING *`);
+          } catch (err) {
+            // Constraint failures (FKs, uniques) only show up here; note the line and roll back
+            failedLine = line;
+            throw err;
+          }
+          const row = result.rows[0];
+          await recordAudit(client, { actor: actorOf(req), action: 'insert', tableName, recordId: pk ? row[pk] : null, after: row });
+          count++;
+        }
+        return count;
+      });
+    } catch (error) {
+      // SQLSTATE class 22 (data exception) or 23 (integrity constraint violation); anything else
+      // stays a server error
+      if (failedLine == null || !/^2[23]/.test(String(error.code))) {
+        if (failedLine != null) error.message = `Line ${failedLine}: ${error.message}`;
+        throw error;
+      }
+      const message = error.detail ? `${error.message} (${error.detail})` : error.message;
+      return res.status(409).json({
+        ...report,
+        success: false,
+        error: `Line ${failedLine}: ${message}; nothing was imported`,
+        valid: report.valid - 1,
+        invalid: report.invalid + 1,
+        errors: [...report.errors, { line: failedLine, column: error.column || null, message }].sort((a, b) => a.line - b.line),
+        inserted: 0
+      });
+    }
+    res.json({ ...report, inserted });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+module.exports = { importCsv };
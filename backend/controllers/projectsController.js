@@ -1,5 +1,10 @@
 const { getPool } = require('../db');
-const { getEnumMap, getPrimaryKey } = require('../db/utils');
+const { getEnumMap, getPrimaryKey, isId, withTransaction } = require('../db/utils');
+const { actorOf, recordAudit, fetchRowForUpdate } = require('../db/audit');
+const { EXPORT_FORMATS, sendExport } = require('../db/export');
+const { toWgs84, parseBbox } = require('../db/spatial');
+const { parseAsOf, getTemporalColumns, asOfCondition } = require('../db/temporal');
+const { GENERIC_ATTRIBUTE_TYPES, loadResolvers, isMultiValued, resolverQuery } = require('../db/attributeResolvers');
 
 async function listProjects(req, res) {
   try {
@@ -51,11 +56,17 @@ async function createProject(req, res) {
     if (!columns) return res.status(400).json({ error: 'No data provided' });
     const values = Object.values(data);
     const placeholders = values.map((_, i) => `$${i + 1}`).join(', ');
-    const result = await getPool().query(
-      `INSERT INTO ${tableName} (${columns}) VALUES (${placeholders}) RETURNING *`,
-      values
-    );
-    const row = result.rows[0];
+    const row = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO ${tableName} (${columns}) VALUES (${placeholders}) RETURNING *`,
+        values
+      );
+      const inserted = result.rows[0];
+      await recordAudit(client, {
+        actor: actorOf(req), action: 'insert', tableName, recordId: inserted.hub_project_id, after: inserted
+      });
+      return inserted;
+    });
     row.id = row.hub_project_id;
     res.json({ success: true, data: row });
   } catch (error) {
@@ -84,11 +95,18 @@ async function updateProject(req, res) {
     const keys = Object.keys(data);
     const setClause = keys.map((k, i) => `${k} = $${i + 1}`).join(', ');
     const values = [...Object.values(data), projectId];
-    const result = await getPool().query(
-      `UPDATE ${tableName} SET ${setClause} WHERE ${pk} = $${values.length} RETURNING *`,
-      values
-    );
-    const row = result.rows[0];
+    const row = await withTransaction(async (client) => {
+      const before = await fetchRowForUpdate(client, tableName, pk, projectId);
+      const result = await client.query(
+        `UPDATE ${tableName} SET ${setClause} WHERE ${pk} = $${values.length} RETURNING *`,
+        values
+      );
+      const updated = result.rows[0];
+      if (updated) {
+        await recordAudit(client, { actor: actorOf(req), action: 'update', tableName, recordId: projectId, before, after: updated });
+      }
+      return updated;
+    });
     if (!row) return res.status(404).json({ error: 'Project not found' });
     row.id = row.hub_project_id;
     res.json({ success: true, data: row });
@@ -104,7 +122,13 @@ async function deleteProject(req, res) {
   try {
     if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
     const pk = await getPrimaryKey(tableName) || 'hub_project_id';
-    await getPool().query(`DELETE FROM ${tableName} WHERE ${pk} = $1`, [projectId]);
+    await withTransaction(async (client) => {
+      const before = await fetchRowForUpdate(client, tableName, pk, projectId);
+      await client.query(`DELETE FROM ${tableName} WHERE ${pk} = $1`, [projectId]);
+      if (before) {
+        await recordAudit(client, { actor: actorOf(req), action: 'delete', tableName, recordId: projectId, before });
+      }
+    });
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -141,20 +165,37 @@ async function updateProjectSiteAttributes(req, res) {
       return res.status(400).json({ error: 'attributeIds must be an array' });
     }
 
-    // Delete existing attributes for this project
-    await getPool().query(
-      'DELETE FROM sat_project_site_attributes WHERE hub_project_id = $1',
-      [projectId]
-    );
-
-    // Insert new attributes with sort_order based on array position
-    for (let i = 0; i < attributeIds.length; i++) {
-      const attrId = attributeIds[i];
-      await getPool().query(
-        'INSERT INTO sat_project_site_attributes (hub_project_id, attribute_id, sort_order) VALUES ($1, $2, $3)',
-        [projectId, attrId, i]
+    await withTransaction(async (client) => {
+      const beforeRes = await client.query(
+        'SELECT attribute_id FROM sat_project_site_attributes WHERE hub_project_id = $1 ORDER BY sort_order',
+        [projectId]
+      );
+
+      // Delete existing attributes for this project
+      await client.query(
+        'DELETE FROM sat_project_site_attributes WHERE hub_project_id = $1',
+        [projectId]
       );
-    }
+
+      // Insert new attributes with sort_order based on array position
+      for (let i = 0; i < attributeIds.length; i++) {
+        const attrId = attributeIds[i];
+        await client.query(
+          'INSERT INTO sat_project_site_attributes (hub_project_id, attribute_id, sort_order) VALUES ($1, $2, $3)',
+          [projectId, attrId, i]
+        );
+      }
+
+      // The selection is audited as a whole, keyed by project
+      await recordAudit(client, {
+        actor: actorOf(req),
+        action: 'update',
+        tableName: 'sat_project_site_attributes',
+        recordId: projectId,
+        before: { attributeIds: beforeRes.rows.map(r => r.attribute_id) },
+        after: { attributeIds }
+      });
+    });
 
     res.json({ success: true, count: attributeIds.length });
   } catch (error) {
@@ -178,185 +219,249 @@ async function getSiteAttributes(req, res) {
   }
 }
 
-// Get sites with attribute values for project's selected attributes
+// Sites linked to a project with a column per selected attribute, in the project's attribute order.
+// Values are those valid on asOf (YYYY-MM-DD), or the current ones when it is absent.
+// With typed, each attribute holds an array of typed values instead of a pipe-joined string.
+async function loadSitesWithAttributes(pool, projectId, asOf = null, { typed = false } = {}) {
+  // Get project's selected attributes ordered by sort_order
+  const attrsResult = await pool.query(`
+    SELECT ra.attribute_id, ra.attribute_nm, ra.attribute_text, ra.attribute_type, psa.sort_order
+    FROM sat_project_site_attributes psa
+    JOIN ref_attributes ra ON psa.attribute_id = ra.attribute_id
+    WHERE psa.hub_project_id = $1
+    ORDER BY psa.sort_order, ra.attribute_nm
+  `, [projectId]);
+  const attributes = attrsResult.rows;
+
+  // Get only sites linked to this project
+  const sitesResult = await pool.query(`
+    SELECT hs.hub_site_id 
+    FROM hub_sites hs
+    JOIN lnk_project_site lps ON hs.hub_site_id = lps.hub_site_id
+    WHERE lps.hub_project_id = $1
+    ORDER BY hs.hub_site_id
+  `, [projectId]);
+
+  // Build sites map for quick lookup
+  const sitesMap = new Map();
+  const siteIds = [];
+  for (const s of sitesResult.rows) {
+    sitesMap.set(s.hub_site_id, { hub_site_id: s.hub_site_id, id: s.hub_site_id });
+    siteIds.push(s.hub_site_id);
+  }
+
+  // Resolvers for table-backed attributes; ones without a resolver are reported, not left blank silently
+  const resolvers = await loadResolvers(
+    attributes.filter(a => RESOLVED_ATTRIBUTE_TYPES.includes(a.attribute_type)).map(a => a.attribute_id)
+  );
+  const warnings = attributes
+    .filter(a => RESOLVED_ATTRIBUTE_TYPES.includes(a.attribute_type) && !resolvers.has(a.attribute_id))
+    .map(a => `No resolver configured for attribute ${a.attribute_nm}`);
+  const sourceTables = ['sat_site_attributes', ...[...resolvers.values()].map(r => r.source_table)];
+  const temporal = await getTemporalColumns([...new Set(sourceTables)]);
+
+  // Batch fetch attribute data only for project's sites
+  const valueTypes = new Map();
+  for (const attr of attributes) {
+    const attrKey = `attr_${attr.attribute_id}`;
+    const { values, valueType } = await getBatchAttributeValues(pool, attr, siteIds, {
+      asOf, temporal, resolver: resolvers.get(attr.attribute_id), warnings
+    });
+    valueTypes.set(attr.attribute_id, valueType);
+
+    // Assign values to sites
+    for (const [siteId, site] of sitesMap) {
+      site[attrKey] = typed ? (values.get(siteId) || []) : flattenValues(values.get(siteId), valueType);
+    }
+  }
+
+  return {
+    data: Array.from(sitesMap.values()),
+    attributes: attributes.map(a => ({
+      id: a.attribute_id,
+      name: a.attribute_nm,
+      key: `attr_${a.attribute_id}`,
+      type: a.attribute_type,
+      valueType: valueTypes.get(a.attribute_id),
+      multi: isMultiValued(a.attribute_type, temporal.get(
+        GENERIC_ATTRIBUTE_TYPES[a.attribute_type] ? 'sat_site_attributes' : resolvers.get(a.attribute_id)?.source_table
+      ))
+    })),
+    warnings
+  };
+}
+
+// Get sites with attribute values for project's selected attributes. ?values=typed returns each
+// attribute as an array of typed values (see getBatchAttributeValues) instead of a display string.
 async function getSitesWithAttributes(req, res) {
   const { projectId } = req.params;
+  const { values = 'text' } = req.query;
   try {
     if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
-    const pool = getPool();
-    
-    // Get project's selected attributes ordered by sort_order
-    const attrsResult = await pool.query(`
-      SELECT ra.attribute_id, ra.attribute_nm, ra.attribute_text, ra.attribute_type, psa.sort_order
-      FROM sat_project_site_attributes psa
-      JOIN ref_attributes ra ON psa.attribute_id = ra.attribute_id
-      WHERE psa.hub_project_id = $1
-      ORDER BY psa.sort_order, ra.attribute_nm
-    `, [projectId]);
-    const attributes = attrsResult.rows;
-    
-    // Get only sites linked to this project
-    const sitesResult = await pool.query(`
-      SELECT hs.hub_site_id 
-      FROM hub_sites hs
-      JOIN lnk_project_site lps ON hs.hub_site_id = lps.hub_site_id
-      WHERE lps.hub_project_id = $1
-      ORDER BY hs.hub_site_id
-    `, [projectId]);
-    
-    // Build sites map for quick lookup
-    const sitesMap = new Map();
-    const siteIds = [];
-    for (const s of sitesResult.rows) {
-      sitesMap.set(s.hub_site_id, { hub_site_id: s.hub_site_id, id: s.hub_site_id });
-      siteIds.push(s.hub_site_id);
-    }
-    
-    // Batch fetch attribute data only for project's sites
-    for (const attr of attributes) {
-      const attrKey = `attr_${attr.attribute_id}`;
-      const attrData = await getBatchAttributeValues(pool, attr, siteIds);
-      
-      // Assign values to sites
-      for (const [siteId, site] of sitesMap) {
-        site[attrKey] = attrData.get(siteId) || '';
-      }
-    }
-    
-    res.json({ 
-      success: true, 
-      data: Array.from(sitesMap.values()),
-      attributes: attributes.map(a => ({
-        id: a.attribute_id,
-        name: a.attribute_nm,
-        key: `attr_${a.attribute_id}`
-      }))
-    });
+    if (!['text', 'typed'].includes(values)) return res.status(400).json({ error: `Invalid values: ${values}. Allowed values: text, typed` });
+    const asOf = parseAsOf(req.query.asOf);
+    if (asOf === undefined) return res.status(400).json({ error: 'asOf must be a date (YYYY-MM-DD)' });
+    const { data, attributes, warnings } = await loadSitesWithAttributes(getPool(), projectId, asOf, { typed: values === 'typed' });
+    res.json({ success: true, data, attributes, asOf, warnings });
   } catch (error) {
     console.error('getSitesWithAttributes error:', error);
     res.status(500).json({ error: error.message });
   }
 }
 
-// Batch fetch values for an attribute, optionally filtered by site IDs
-async function getBatchAttributeValues(pool, attr, siteIds = null) {
-  const attrText = attr.attribute_text;
-  const attrType = attr.attribute_type;
-  const result = new Map(); // siteId -> pipe-separated values
-  
-  // Build WHERE clause for filtering by site IDs
-  const siteFilter = siteIds && siteIds.length > 0 
-    ? `AND hub_site_id = ANY($2)` 
-    : '';
-  const siteFilterNoAlias = siteIds && siteIds.length > 0 
-    ? `WHERE hub_site_id = ANY($1)` 
-    : '';
-  const params = siteIds && siteIds.length > 0 ? [siteIds] : [];
+// The project site grid as a CSV or XLSX download, attributes as columns in project order
+async function exportSitesWithAttributes(req, res) {
+  const { projectId } = req.params;
+  const { format = 'csv' } = req.query;
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+    if (!EXPORT_FORMATS.includes(format)) return res.status(400).json({ error: `Invalid format: ${format}. Allowed values: ${EXPORT_FORMATS.join(', ')}` });
+    const asOf = parseAsOf(req.query.asOf);
+    if (asOf === undefined) return res.status(400).json({ error: 'asOf must be a date (YYYY-MM-DD)' });
+    const { data, attributes } = await loadSitesWithAttributes(getPool(), projectId, asOf);
+    await sendExport(res, {
+      format,
+      filename: asOf ? `project_${projectId}_sites_${asOf.slice(0, 10)}` : `project_${projectId}_sites`,
+      columns: [{ key: 'hub_site_id', header: 'hub_site_id' }, ...attributes.map(a => ({ key: a.key, header: a.name }))],
+      rows: data
+    });
+  } catch (error) {
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Attribute types whose values come from a satellite table via a configured resolver
+const RESOLVED_ATTRIBUTE_TYPES = ['tbl', 'ref', 'refs'];
+
+// Value type of a raw column value as returned by pg (numeric and bigint arrive as strings)
+function inferValueType(value) {
+  if (value instanceof Date) return 'date';
+  if (typeof value === 'number') return 'number';
+  return 'text';
+}
+
+// Typed value for the client: dates as ISO strings, numbers as numbers
+function toTypedValue(value, valueType) {
+  if (value instanceof Date) return value.toISOString();
+  if (valueType === 'number') return Number(value);
+  return value;
+}
+
+// Batch fetch values for an attribute, optionally filtered by site IDs. Returns { values, valueType }
+// where values maps siteId -> array of typed values ('ref' attributes give { id, label } objects).
+// tbl/ref/refs attributes are read through their resolver (db/attributeResolvers.js). Only
+// satellite rows valid at asOf, or now when it is absent, are used (see db/temporal.js); temporal
+// maps each source table to its start_dt/end_dt columns. Failures are added to warnings.
+async function getBatchAttributeValues(pool, attr, siteIds = null, { asOf = null, temporal = new Map(), resolver = null, warnings = [] } = {}) {
+  const generic = GENERIC_ATTRIBUTE_TYPES[attr.attribute_type];
+  const values = new Map(); // siteId -> [typed value]
+  let valueType = generic ? generic.valueType : (resolver?.ref_table ? 'ref' : 'text');
+  const add = (siteId, value) => {
+    if (!values.has(siteId)) values.set(siteId, []);
+    values.get(siteId).push(value);
+  };
+
+  const params = [];
+  const addParam = (v) => { params.push(v); return `$${params.length}`; };
+  // WHERE conditions shared by every source: site filter and as-of date
+  const where = (table, alias, extra = [], partitionBy = [], valueColumn = null) => {
+    const conds = [...extra];
+    if (siteIds && siteIds.length > 0) conds.push(`${alias}.hub_site_id = ANY(${addParam(siteIds)})`);
+    if (temporal.get(table)?.start) {
+      conds.push(asOfCondition(table, alias, temporal.get(table), asOf ? addParam(asOf) : 'NOW()', partitionBy, valueColumn));
+    }
+    return conds.length > 0 ? `WHERE ${conds.join(' AND ')}` : '';
+  };
   
   try {
-    if (attrType === 'int' || attrType === 'txt' || attrType === 'num' || attrType === 'ts') {
+    if (generic) {
       // Generic attributes from sat_site_attributes
-      const queryParams = [attr.attribute_id, ...(siteIds?.length ? [siteIds] : [])];
       const query = await pool.query(`
-        SELECT hub_site_id, attribute_value_text, attribute_value_int, attribute_value_number, attribute_value_ts
-        FROM sat_site_attributes
-        WHERE attribute_id = $1 ${siteFilter}
-        ORDER BY hub_site_id, start_dt
-      `, queryParams);
-      
-      const grouped = new Map();
+        SELECT s.hub_site_id, s.${generic.column} AS value
+        FROM sat_site_attributes s
+        ${where('sat_site_attributes', 's', [`s.attribute_id = ${addParam(attr.attribute_id)}`], ['attribute_id'])}
+        ORDER BY s.hub_site_id, s.start_dt
+      `, params);
       for (const row of query.rows) {
-        let val = null;
-        if (attrType === 'int' && row.attribute_value_int != null) val = String(row.attribute_value_int);
-        else if (attrType === 'txt' && row.attribute_value_text != null) val = row.attribute_value_text;
-        else if (attrType === 'num' && row.attribute_value_number != null) val = String(row.attribute_value_number);
-        else if (attrType === 'ts' && row.attribute_value_ts != null) val = new Date(row.attribute_value_ts).toLocaleDateString();
-        
-        if (val) {
-          if (!grouped.has(row.hub_site_id)) grouped.set(row.hub_site_id, []);
-          grouped.get(row.hub_site_id).push(val);
-        }
-      }
-      for (const [siteId, vals] of grouped) {
-        result.set(siteId, vals.join(' | '));
-      }
-      
-    } else if (attrType === 'tbl') {
-      if (attrText === 'bbl') {
-        const query = await pool.query(`SELECT hub_site_id, bbl FROM sat_site_bbl ${siteFilterNoAlias} ORDER BY hub_site_id, start_dt`, params);
-        groupAndSet(query.rows, result, 'bbl');
-      } else if (attrText === 'built') {
-        const query = await pool.query(`SELECT hub_site_id, date_combo FROM sat_site_built ${siteFilterNoAlias} ORDER BY hub_site_id, start_dt`, params);
-        groupAndSet(query.rows, result, 'date_combo');
-      } else if (attrText === 'alteration') {
-        const query = await pool.query(`
-          SELECT sa.hub_site_id, a.alteration_nm
-          FROM sat_site_alteration sa
-          JOIN ref_alteration a ON sa.alteration_id = a.alteration_id
-          ${siteIds?.length ? 'WHERE sa.hub_site_id = ANY($1)' : ''}
-          ORDER BY sa.hub_site_id, sa.sort_order
-        `, params);
-        groupAndSet(query.rows, result, 'alteration_nm');
+        if (row.value != null && row.value !== '') add(row.hub_site_id, toTypedValue(row.value, valueType));
       }
       
-    } else if (attrType === 'refs' || attrType === 'ref') {
-      if (attrText === 'material') {
-        const query = await pool.query(`
-          SELECT sm.hub_site_id, m.material_nm
-          FROM sat_site_material sm
-          JOIN ref_material m ON sm.material_id = m.material_id
-          ${siteIds?.length ? 'WHERE sm.hub_site_id = ANY($1)' : ''}
-          ORDER BY sm.hub_site_id, sm.sort_order
-        `, params);
-        groupAndSet(query.rows, result, 'material_nm');
-      } else if (attrText === 'style') {
-        const query = await pool.query(`
-          SELECT ss.hub_site_id, s.style_nm
-          FROM sat_site_style ss
-          JOIN ref_style s ON ss.style_id = s.style_id
-          ${siteIds?.length ? 'WHERE ss.hub_site_id = ANY($1)' : ''}
-          ORDER BY ss.hub_site_id, ss.sort_order
-        `, params);
-        groupAndSet(query.rows, result, 'style_nm');
-      } else if (attrText === 'type') {
-        const query = await pool.query(`
-          SELECT st.hub_site_id, t.type_nm
-          FROM sat_site_type st
-          JOIN ref_type t ON st.type_id = t.type_id
-          ${siteIds?.length ? 'WHERE st.hub_site_id = ANY($1)' : ''}
-          ORDER BY st.hub_site_id, st.sort_order
-        `, params);
-        groupAndSet(query.rows, result, 'type_nm');
-      } else if (attrText === 'use') {
-        const query = await pool.query(`
-          SELECT su.hub_site_id, u.use_nm
-          FROM sat_site_use su
-          JOIN ref_use u ON su.use_id = u.use_id
-          ${siteIds?.length ? 'WHERE su.hub_site_id = ANY($1)' : ''}
-          ORDER BY su.hub_site_id, su.sort_order
-        `, params);
-        groupAndSet(query.rows, result, 'use_nm');
+    } else if (RESOLVED_ATTRIBUTE_TYPES.includes(attr.attribute_type) && resolver) {
+      const query = await pool.query(resolverQuery(resolver, where(resolver.source_table, 's', [], [], resolver.value_column)), params);
+      if (resolver.ref_table) {
+        for (const row of query.rows) {
+          if (row.label != null) add(row.hub_site_id, { id: row.value, label: row.label });
+        }
+      } else {
+        const first = query.rows.find(r => r.value != null);
+        if (first) valueType = inferValueType(first.value);
+        for (const row of query.rows) {
+          if (row.value != null && row.value !== '') add(row.hub_site_id, toTypedValue(row.value, valueType));
+        }
       }
     }
   } catch (err) {
     console.error(`Error batch fetching attribute ${attr.attribute_nm}:`, err.message);
+    warnings.push(`Could not load attribute ${attr.attribute_nm}: ${err.message}`);
   }
   
-  return result;
+  return { values, valueType };
 }
 
-// Helper to group rows by site and set pipe-separated values
-function groupAndSet(rows, resultMap, valueKey) {
-  const grouped = new Map();
-  for (const row of rows) {
-    const val = row[valueKey];
-    if (val) {
-      if (!grouped.has(row.hub_site_id)) grouped.set(row.hub_site_id, []);
-      grouped.get(row.hub_site_id).push(val);
+// Typed values as the pipe-joined display string: labels for lookups, dates as YYYY-MM-DD
+function flattenValues(vals, valueType) {
+  return (vals || []).map(v => {
+    if (v && typeof v === 'object') return v.label;
+    if (valueType === 'date') return String(v).slice(0, 10);
+    return String(v);
+  }).join(' | ');
+}
+
+// Project site geometries as a GeoJSON FeatureCollection (WGS84), each feature carrying the
+// hub_sites row as properties. ?bbox=minLng,minLat,maxLng,maxLat keeps only features that
+// intersect the box.
+async function getProjectGeometry(req, res) {
+  const { projectId } = req.params;
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+    const params = [projectId];
+    let bboxClause = '';
+    if (req.query.bbox) {
+      const bbox = parseBbox(req.query.bbox);
+      if (!bbox) return res.status(400).json({ error: 'bbox must be minLng,minLat,maxLng,maxLat' });
+      params.push(...bbox);
+      bboxClause = 'WHERE ST_Intersects(geom, ST_MakeEnvelope($2, $3, $4, $5, 4326))';
     }
-  }
-  for (const [siteId, vals] of grouped) {
-    resultMap.set(siteId, vals.join(' | '));
+
+    const projectRes = await getPool().query('SELECT hub_project_id FROM hub_projects WHERE hub_project_id = $1', [projectId]);
+    if (!projectRes.rows[0]) return res.status(404).json({ error: 'Project not found' });
+
+    const result = await getPool().query(`
+      SELECT hub_site_id, ST_AsGeoJSON(geom)::json AS geometry, properties
+      FROM (
+        SELECT g.hub_site_id,
+               ${toWgs84('g.shape')} AS geom,
+               (to_jsonb(g) - 'shape') || to_jsonb(hs) AS properties
+        FROM lnk_project_site lps
+        JOIN sat_site_geometry g ON g.hub_site_id = lps.hub_site_id
+        JOIN hub_sites hs ON hs.hub_site_id = lps.hub_site_id
+        WHERE lps.hub_project_id = $1 AND g.shape IS NOT NULL
+      ) shapes
+      ${bboxClause}
+      ORDER BY hub_site_id
+    `, params);
+
+    res.json({
+      type: 'FeatureCollection',
+      features: result.rows.map(r => ({
+        type: 'Feature',
+        geometry: r.geometry,
+        properties: r.properties
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
 }
 
@@ -376,6 +481,70 @@ async function getAllSites(req, res) {
   }
 }
 
+// Apply an add/remove delta to a project's site links inside the caller's transaction.
+// planDelta(before) returns { add, remove } given the linked site ids, read after the project
+// row is locked so concurrent edits cannot interleave. Existing links are never rewritten, so
+// their linked_at and other metadata survive.
+async function applySiteDelta(client, req, projectId, planDelta) {
+  const projectRes = await client.query(
+    'SELECT hub_project_id FROM hub_projects WHERE hub_project_id = $1 FOR UPDATE',
+    [projectId]
+  );
+  if (projectRes.rows.length === 0) return null;
+
+  const beforeRes = await client.query(
+    'SELECT hub_site_id FROM lnk_project_site WHERE hub_project_id = $1 ORDER BY hub_site_id',
+    [projectId]
+  );
+  const before = beforeRes.rows.map(r => r.hub_site_id);
+  const { add, remove } = planDelta(before);
+
+  const removedRes = remove.length > 0
+    ? await client.query(
+      'DELETE FROM lnk_project_site WHERE hub_project_id = $1 AND hub_site_id = ANY($2) RETURNING hub_site_id',
+      [projectId, remove]
+    )
+    : { rows: [] };
+
+  // Only link sites that exist and are not linked yet
+  const addedRes = add.length > 0
+    ? await client.query(`
+      INSERT INTO lnk_project_site (hub_project_id, hub_site_id)
+      SELECT $1, s.hub_site_id
+      FROM hub_sites s
+      WHERE s.hub_site_id = ANY($2)
+        AND NOT EXISTS (
+          SELECT 1 FROM lnk_project_site l WHERE l.hub_project_id = $1 AND l.hub_site_id = s.hub_site_id
+        )
+      RETURNING hub_site_id
+    `, [projectId, add])
+    : { rows: [] };
+
+  const added = addedRes.rows.map(r => r.hub_site_id).sort((a, b) => a - b);
+  const removed = removedRes.rows.map(r => r.hub_site_id).sort((a, b) => a - b);
+  const beforeSet = new Set(before.map(String));
+  const addedSet = new Set(added.map(String));
+  const removedSet = new Set(removed.map(String));
+  const alreadyLinked = add.filter(id => beforeSet.has(String(id)) && !removedSet.has(String(id)));
+  const notFound = add.filter(id => !beforeSet.has(String(id)) && !addedSet.has(String(id)));
+  const notLinked = remove.filter(id => !removedSet.has(String(id)));
+
+  const after = before.filter(id => !removedSet.has(String(id))).concat(added);
+  if (added.length > 0 || removed.length > 0) {
+    // The link set is audited as a whole, keyed by project
+    await recordAudit(client, {
+      actor: actorOf(req),
+      action: 'update',
+      tableName: 'lnk_project_site',
+      recordId: projectId,
+      before: { siteIds: before },
+      after: { siteIds: after }
+    });
+  }
+
+  return { added, removed, alreadyLinked, notLinked, notFound, count: after.length };
+}
+
 // Update sites for a project (replace all linked sites)
 async function updateProjectSites(req, res) {
   const { projectId } = req.params;
@@ -385,22 +554,46 @@ async function updateProjectSites(req, res) {
     if (!Array.isArray(siteIds)) {
       return res.status(400).json({ error: 'siteIds must be an array' });
     }
+    const invalid = siteIds.filter(id => !isId(id));
+    if (invalid.length > 0) return res.status(400).json({ error: `Site ids must be integers: ${invalid.map(String).join(', ')}` });
 
-    // Delete existing site links for this project
-    await getPool().query(
-      'DELETE FROM lnk_project_site WHERE hub_project_id = $1',
-      [projectId]
-    );
-
-    // Insert new site links
-    for (const siteId of siteIds) {
-      await getPool().query(
-        'INSERT INTO lnk_project_site (hub_project_id, hub_site_id) VALUES ($1, $2)',
-        [projectId, siteId]
-      );
+    const wanted = new Set(siteIds.map(String));
+    const delta = await withTransaction(client => applySiteDelta(client, req, projectId, (before) => {
+      const current = new Set(before.map(String));
+      return {
+        add: siteIds.filter(id => !current.has(String(id))),
+        remove: before.filter(id => !wanted.has(String(id)))
+      };
+    }));
+    if (!delta) return res.status(404).json({ error: 'Project not found' });
+
+    res.json({ success: true, count: delta.count, added: delta.added, removed: delta.removed });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Add and/or remove individual site links for a project in one transaction
+async function patchProjectSites(req, res) {
+  const { projectId } = req.params;
+  const { add = [], remove = [] } = req.body || {};
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+    if (!Array.isArray(add) || !Array.isArray(remove)) {
+      return res.status(400).json({ error: 'add and remove must be arrays' });
+    }
+    const invalid = [...add, ...remove].filter(id => !isId(id));
+    if (invalid.length > 0) return res.status(400).json({ error: `Site ids must be integers: ${invalid.map(String).join(', ')}` });
+    const removeSet = new Set(remove.map(String));
+    const overlap = add.filter(id => removeSet.has(String(id)));
+    if (overlap.length > 0) {
+      return res.status(400).json({ error: `Sites cannot be both added and removed: ${overlap.join(', ')}` });
     }
 
-    res.json({ success: true, count: siteIds.length });
+    const delta = await withTransaction(client => applySiteDelta(client, req, projectId, () => ({ add, remove })));
+    if (!delta) return res.status(404).json({ error: 'Project not found' });
+
+    res.json({ success: true, ...delta });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -416,6 +609,9 @@ module.exports = {
   updateProjectSiteAttributes,
   getSiteAttributes,
   getSitesWithAttributes,
+  exportSitesWithAttributes,
+  getProjectGeometry,
   getAllSites,
-  updateProjectSites
+  updateProjectSites,
+  patchProjectSites
 };
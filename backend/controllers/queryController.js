@@ -1,46 +1,255 @@
 const { getPool } = require('../db');
+const { EXPORT_BATCH_SIZE, sendExport } = require('../db/export');
+const { inspectQuery, checkAllowlist } = require('../db/queryGuard');
+
+const HISTORY_LIMIT = parseInt(process.env.QUERY_HISTORY_LIMIT || '200', 10);
+const QUERY_EXPORT_FORMATS = ['csv', 'ndjson'];
+
+// Parameter values bind to $1..$n as text; Postgres casts them to the placeholder's type
+function invalidParams(params) {
+  if (!Array.isArray(params)) return 'params must be an array';
+  const bad = params.findIndex(p => p !== null && !['string', 'number', 'boolean'].includes(typeof p));
+  if (bad !== -1) return `Parameter $${bad + 1} must be a string, number, boolean or null`;
+  return null;
+}
+
+// Append one execution to the caller's history and drop entries beyond HISTORY_LIMIT. Failures
+// are only logged: history must never break the query itself. Both statements share a snapshot, so
+// the DELETE does not see the new row and keeps HISTORY_LIMIT - 1 older ones.
+function recordHistory(userId, entry) {
+  if (!userId || !getPool()) return;
+  const { sql, params, status, rowCount = null, durationMs = null, error = null } = entry;
+  getPool().query(
+    `WITH inserted AS (
+       INSERT INTO query_history (user_id, sql_text, params, status, row_count, duration_ms, error)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+     )
+     DELETE FROM query_history WHERE history_id IN (
+       SELECT history_id FROM query_history WHERE user_id = $1
+       ORDER BY executed_at DESC OFFSET $8
+     )`,
+    [userId, sql, params.length > 0 ? JSON.stringify(params) : null, status, rowCount, durationMs, error, HISTORY_LIMIT - 1]
+  ).catch(err => console.error('Failed to record query history:', err.message));
+}
+
+// Parser checks (db/queryGuard.js) plus the params; returns { error } or the inspected query
+async function checkQuery(query, params) {
+  const inspected = await inspectQuery(query);
+  if (inspected.error) return inspected;
+  const paramsError = invalidParams(params);
+  if (paramsError) return { error: paramsError };
+  if (params.length < inspected.paramCount) {
+    return { error: `Query uses $${inspected.paramCount} but only ${params.length} parameter value(s) were given` };
+  }
+  return inspected;
+}
+
+// The caller's table allowlist (QUERY_ALLOW_<ROLE>, see config.js); an error message or null
+function allowlistError(req, client, inspected) {
+  return checkAllowlist(client, inspected.relations, req.user?.role, req.app.locals.config?.queryAllowlist);
+}
+
+// Every user query runs in a read-only transaction with a per-statement timeout
+async function beginReadOnly(client) {
+  const TIMEOUT_MS = parseInt(process.env.QUERY_TIMEOUT_MS || '5000', 10);
+  await client.query('BEGIN');
+  await client.query('SET LOCAL statement_timeout = $1', [TIMEOUT_MS]);
+  await client.query('SET LOCAL transaction_read_only = on');
+}
 
 // Safe query runner: read-only, single statement, timeout and row-limit protections
 async function runQuery(req, res) {
   const { query, params = [] } = req.body;
   const MAX_ROWS = parseInt(process.env.MAX_QUERY_ROWS || '1000', 10);
-  const TIMEOUT_MS = parseInt(process.env.QUERY_TIMEOUT_MS || '5000', 10);
 
-  if (!query || typeof query !== 'string') return res.status(400).json({ error: 'Query required' });
+  const inspected = await checkQuery(query, params);
+  if (inspected.error) return res.status(400).json({ error: inspected.error });
   const q = query.trim();
-  if (q.includes(';')) return res.status(400).json({ error: 'Multiple statements are not allowed' });
-  if (!/^(select|with|explain|show)\b/i.test(q)) {
-    return res.status(400).json({ error: 'Only read-only queries are allowed' });
-  }
 
   const db = getPool();
   if (!db) return res.status(500).json({ error: 'Database not connected' });
 
   const client = await db.connect();
+  const started = Date.now();
   try {
-    await client.query('BEGIN');
-    await client.query('SET LOCAL statement_timeout = $1', [TIMEOUT_MS]);
-    await client.query('SET LOCAL transaction_read_only = on');
+    const denied = await allowlistError(req, client, inspected);
+    if (denied) return res.status(403).json({ error: denied });
+    await beginReadOnly(client);
 
-    const result = await client.query(query, params);
+    const result = await client.query(inspected.statement, params);
+    const durationMs = Date.now() - started;
     await client.query('ROLLBACK');
+    recordHistory(req.user?.id, { sql: q, params, status: 'ok', rowCount: result.rowCount, durationMs });
 
     if (result.rowCount > MAX_ROWS) {
       return res.json({
         success: true,
         note: `Result truncated to ${MAX_ROWS} rows`,
         rowCount: result.rowCount,
+        durationMs,
         data: result.rows.slice(0, MAX_ROWS)
       });
     }
 
-    res.json({ success: true, data: result.rows, rowCount: result.rowCount });
+    res.json({ success: true, data: result.rows, rowCount: result.rowCount, durationMs });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    recordHistory(req.user?.id, { sql: q, params, status: 'error', durationMs: Date.now() - started, error: err.message });
+    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+}
+
+// Full result as a CSV or NDJSON download (?format=, default csv). Rows are read through a
+// server-side cursor EXPORT_BATCH_SIZE at a time and written as they arrive, so neither this
+// process nor the response holds the whole result. Same read-only transaction as runQuery; the
+// statement timeout applies to each FETCH and QUERY_EXPORT_TIMEOUT_MS to the export as a whole.
+async function exportQuery(req, res) {
+  const { query, params = [] } = req.body || {};
+  const { format = 'csv' } = req.query;
+  const TIMEOUT_MS = parseInt(process.env.QUERY_EXPORT_TIMEOUT_MS || '300000', 10);
+
+  if (!QUERY_EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Invalid format: ${format}. Allowed values: ${QUERY_EXPORT_FORMATS.join(', ')}` });
+  }
+  const inspected = await checkQuery(query, params);
+  if (inspected.error) return res.status(400).json({ error: inspected.error });
+  // EXPLAIN and SHOW cannot be opened as a cursor
+  if (inspected.kind !== 'select') return res.status(400).json({ error: 'Only SELECT queries can be exported' });
+  const q = query.trim();
+
+  const db = getPool();
+  if (!db) return res.status(500).json({ error: 'Database not connected' });
+
+  const client = await db.connect();
+  const started = Date.now();
+  let rowCount = 0;
+  try {
+    const denied = await allowlistError(req, client, inspected);
+    if (denied) return res.status(403).json({ error: denied });
+    await beginReadOnly(client);
+    await client.query(`DECLARE query_export NO SCROLL CURSOR FOR ${inspected.statement}`, params);
+    // Array rows keep duplicate column names (e.g. two joined "id" columns) apart
+    const fetchBatch = () => client.query({ text: `FETCH ${EXPORT_BATCH_SIZE} FROM query_export`, rowMode: 'array' });
+    let batch = await fetchBatch();
+
+    async function* rows() {
+      while (batch.rows.length > 0) {
+        for (const row of batch.rows) {
+          yield row;
+          rowCount++;
+        }
+        if (batch.rows.length < EXPORT_BATCH_SIZE) return;
+        if (Date.now() - started > TIMEOUT_MS) throw new Error(`Export cancelled after ${TIMEOUT_MS} ms`);
+        batch = await fetchBatch();
+      }
+    }
+
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+    await sendExport(res, {
+      format,
+      filename: `query-${stamp}`,
+      columns: batch.fields.map((f, i) => ({ key: i, header: f.name })),
+      rows: rows()
+    });
+    await client.query('ROLLBACK');
+    recordHistory(req.user?.id, { sql: q, params, status: 'ok', rowCount, durationMs: Date.now() - started });
   } catch (err) {
     await client.query('ROLLBACK').catch(() => {});
+    recordHistory(req.user?.id, { sql: q, params, status: 'error', durationMs: Date.now() - started, error: err.message });
+    if (res.headersSent) return res.destroy(err);
     res.status(500).json({ error: err.message });
   } finally {
     client.release();
   }
 }
 
-module.exports = { runQuery };
+// EXPLAIN (FORMAT JSON) for a SELECT/WITH query, with ANALYZE only when body.analyze is true. ANALYZE
+// really runs the query, so it gets the same read-only, rolled-back transaction and timeout as
+// runQuery. The response also lists the estimated row count of every table the plan scans
+// sequentially so the client can flag full scans of large tables.
+async function explainQuery(req, res) {
+  const { query, params = [] } = req.body || {};
+  // Strictly true: a string such as "false" must not run the query
+  const analyze = req.body?.analyze === true;
+  const LARGE_TABLE_ROWS = parseInt(process.env.EXPLAIN_LARGE_TABLE_ROWS || '10000', 10);
+
+  const inspected = await checkQuery(query, params);
+  if (inspected.error) return res.status(400).json({ error: inspected.error });
+  if (inspected.kind !== 'select') return res.status(400).json({ error: 'Only SELECT queries can be explained' });
+
+  const db = getPool();
+  if (!db) return res.status(500).json({ error: 'Database not connected' });
+
+  const client = await db.connect();
+  try {
+    const denied = await allowlistError(req, client, inspected);
+    if (denied) return res.status(403).json({ error: denied });
+    await beginReadOnly(client);
+    // VERBOSE adds the schema of each scanned relation (and output columns, which the client ignores)
+    const options = analyze ? 'FORMAT JSON, VERBOSE, ANALYZE, BUFFERS' : 'FORMAT JSON, VERBOSE';
+    const result = await client.query(`EXPLAIN (${options}) ${inspected.statement}`, params);
+    const [explained] = result.rows[0]['QUERY PLAN'];
+
+    const scanned = new Map();
+    (function collect(node) {
+      if (node['Node Type'] === 'Seq Scan' && node['Relation Name']) {
+        scanned.set(`${node.Schema}.${node['Relation Name']}`, [node.Schema, node['Relation Name']]);
+      }
+      (node.Plans || []).forEach(collect);
+    })(explained.Plan);
+    const sizes = scanned.size === 0 ? { rows: [] } : await client.query(
+      `SELECT n.nspname AS schema, c.relname AS name, GREATEST(c.reltuples, 0)::bigint AS rows
+       FROM unnest($1::text[], $2::text[]) AS t(schema, name)
+       JOIN pg_namespace n ON n.nspname = t.schema
+       JOIN pg_class c ON c.relnamespace = n.oid AND c.relname = t.name`,
+      [[...scanned.values()].map(t => t[0]), [...scanned.values()].map(t => t[1])]
+    );
+    await client.query('ROLLBACK');
+
+    res.json({
+      success: true,
+      analyze,
+      plan: explained.Plan,
+      planningTime: explained['Planning Time'] ?? null,
+      executionTime: explained['Execution Time'] ?? null,
+      tables: sizes.rows.map(r => ({ ...r, rows: Number(r.rows) })),
+      largeTableRows: LARGE_TABLE_ROWS
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+}
+
+// The caller's most recent executions, newest first (?limit=, default 50)
+async function listHistory(req, res) {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), HISTORY_LIMIT);
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+    const result = await getPool().query(
+      `SELECT history_id, sql_text, params, status, row_count, duration_ms, error, executed_at
+       FROM query_history WHERE user_id = $1
+       ORDER BY executed_at DESC LIMIT $2`,
+      [req.user.id, limit]
+    );
+    res.json({ success: true, data: result.rows.map(r => ({ ...r, id: r.history_id })) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+async function clearHistory(req, res) {
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+    const result = await getPool().query('DELETE FROM query_history WHERE user_id = $1', [req.user.id]);
+    res.json({ success: true, deleted: result.rowCount });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+module.exports = { runQuery, exportQuery, explainQuery, listHistory, clearHistory };
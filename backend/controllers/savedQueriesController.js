@@ -0,0 +1,118 @@
+const { getPool } = require('../db');
+const { hasRole } = require('../middleware/auth');
+
+const SAVED_QUERY_COLUMNS = `q.query_id, q.name, q.description, q.sql_text, q.shared, q.owner_id,
+  u.username AS owner_username, q.created_at, q.updated_at`;
+
+const toRow = (r) => ({ ...r, id: r.query_id });
+
+// Name, description, SQL and shared flag from a request body; returns { error } when invalid
+function readSavedQuery(body, { partial = false } = {}) {
+  const fields = {};
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) return { error: 'Name is required' };
+    if (name.length > 200) return { error: 'Name must be at most 200 characters' };
+    fields.name = name;
+  }
+  if (body.sql_text !== undefined || !partial) {
+    if (typeof body.sql_text !== 'string' || !body.sql_text.trim()) return { error: 'SQL is required' };
+    fields.sql_text = body.sql_text.trim();
+  }
+  if (body.description !== undefined) fields.description = body.description ? String(body.description) : null;
+  if (body.shared !== undefined) fields.shared = body.shared === true;
+  return { fields };
+}
+
+// The caller's own saved queries plus everyone else's shared ones
+async function listSavedQueries(req, res) {
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+    const result = await getPool().query(
+      `SELECT ${SAVED_QUERY_COLUMNS}
+       FROM saved_queries q
+       JOIN app_users u ON u.user_id = q.owner_id
+       WHERE q.owner_id = $1 OR q.shared
+       ORDER BY (q.owner_id = $1) DESC, lower(q.name)`,
+      [req.user.id]
+    );
+    res.json({ success: true, data: result.rows.map(toRow) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+async function createSavedQuery(req, res) {
+  const { fields, error: invalid } = readSavedQuery(req.body || {});
+  if (invalid) return res.status(400).json({ error: invalid });
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+    const result = await getPool().query(
+      `WITH q AS (
+         INSERT INTO saved_queries (owner_id, name, description, sql_text, shared)
+         VALUES ($1, $2, $3, $4, $5) RETURNING *
+       )
+       SELECT ${SAVED_QUERY_COLUMNS} FROM q JOIN app_users u ON u.user_id = q.owner_id`,
+      [req.user.id, fields.name, fields.description || null, fields.sql_text, fields.shared || false]
+    );
+    res.json({ success: true, data: toRow(result.rows[0]) });
+  } catch (error) {
+    if (error.code === '23505') return res.status(409).json({ error: `You already have a saved query named ${fields.name}` });
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Owner or admin only; shared queries are read-only for everyone else
+async function loadOwnedQuery(req, res) {
+  const result = await getPool().query('SELECT query_id, owner_id FROM saved_queries WHERE query_id = $1', [req.params.queryId]);
+  const row = result.rows[0];
+  if (!row) {
+    res.status(404).json({ error: 'Saved query not found' });
+    return null;
+  }
+  if (String(row.owner_id) !== String(req.user.id) && !hasRole(req.user.role, 'admin')) {
+    res.status(403).json({ error: 'Only the owner can change this saved query' });
+    return null;
+  }
+  return row;
+}
+
+async function updateSavedQuery(req, res) {
+  const { fields, error: invalid } = readSavedQuery(req.body || {}, { partial: true });
+  if (invalid) return res.status(400).json({ error: invalid });
+  const keys = Object.keys(fields);
+  if (keys.length === 0) return res.status(400).json({ error: 'No data provided' });
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+    if (!(await loadOwnedQuery(req, res))) return;
+
+    const setClause = keys.map((k, i) => `${k} = $${i + 1}`).join(', ');
+    const values = [...Object.values(fields), req.params.queryId];
+    const result = await getPool().query(
+      `WITH q AS (
+         UPDATE saved_queries SET ${setClause}, updated_at = NOW()
+         WHERE query_id = $${values.length} RETURNING *
+       )
+       SELECT ${SAVED_QUERY_COLUMNS} FROM q JOIN app_users u ON u.user_id = q.owner_id`,
+      values
+    );
+    if (!result.rows[0]) return res.status(404).json({ error: 'Saved query not found' });
+    res.json({ success: true, data: toRow(result.rows[0]) });
+  } catch (error) {
+    if (error.code === '23505') return res.status(409).json({ error: `A saved query named ${fields.name} already exists` });
+    res.status(500).json({ error: error.message });
+  }
+}
+
+async function deleteSavedQuery(req, res) {
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+    if (!(await loadOwnedQuery(req, res))) return;
+    await getPool().query('DELETE FROM saved_queries WHERE query_id = $1', [req.params.queryId]);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+module.exports = { listSavedQueries, createSavedQuery, updateSavedQuery, deleteSavedQuery };
@@ -0,0 +1,370 @@
+const { getPool } = require('../db');
+const { parseTableQuery, quoteIdent, quoteTableName } = require('../db/tableQuery');
+const { toWgs84, parseBbox, parsePoint, polygonFromGeoJson } = require('../db/spatial');
+const { parseAsOf, getTemporalColumns, asOfCondition } = require('../db/temporal');
+const { getPrimaryKey, isId, tableNameSql, withTransaction } = require('../db/utils');
+const { describeColumns, coerceValue } = require('../db/columns');
+const { actorOf, recordAudit } = require('../db/audit');
+const { loadResolvers, isMultiValued, attributeSource } = require('../db/attributeResolvers');
+
+// Satellites included in a site dossier. `ref` names the lookup table whose name column is
+// joined onto each row.
+const SATELLITES = [
+  { key: 'bbl', table: 'sat_site_bbl' },
+  { key: 'built', table: 'sat_site_built' },
+  { key: 'alteration', table: 'sat_site_alteration', ref: { table: 'ref_alteration', id: 'alteration_id', name: 'alteration_nm' } },
+  { key: 'material', table: 'sat_site_material', ref: { table: 'ref_material', id: 'material_id', name: 'material_nm' } },
+  { key: 'style', table: 'sat_site_style', ref: { table: 'ref_style', id: 'style_id', name: 'style_nm' } },
+  { key: 'type', table: 'sat_site_type', ref: { table: 'ref_type', id: 'type_id', name: 'type_nm' } },
+  { key: 'use', table: 'sat_site_use', ref: { table: 'ref_use', id: 'use_id', name: 'use_nm' } },
+  { key: 'attributes', table: 'sat_site_attributes' },
+  { key: 'geometry', table: 'sat_site_geometry' }
+];
+
+// Which sat_site_attributes column holds the value for each ref_attributes.attribute_type
+const ATTRIBUTE_VALUE_COLUMNS = {
+  int: 'attribute_value_int',
+  txt: 'attribute_value_text',
+  num: 'attribute_value_number',
+  ts: 'attribute_value_ts'
+};
+
+// Every row of one satellite for a site (no paging), geometry as GeoJSON, ordered by
+// sort_order and/or start_dt where the table has them. With asOf, only rows valid on that date.
+async function loadSatellite(sat, columns, siteId, asOf = null) {
+  const parsed = parseTableQuery(columns, {}, []);
+  const names = columns.map(c => c.column_name);
+  const order = ['sort_order', 'start_dt'].filter(c => names.includes(c)).map(c => `s.${quoteIdent(c)}`);
+
+  let extra = '';
+  let join = '';
+  if (sat.ref) {
+    extra = `, r.${quoteIdent(sat.ref.name)}`;
+    join = `LEFT JOIN ${quoteIdent(sat.ref.table)} r ON r.${quoteIdent(sat.ref.id)} = s.${quoteIdent(sat.ref.id)}`;
+  } else if (sat.key === 'attributes') {
+    extra = ', r.attribute_nm, r.attribute_type';
+    join = 'LEFT JOIN ref_attributes r ON r.attribute_id = s.attribute_id';
+    order.unshift('r.attribute_nm');
+  }
+
+  const params = [siteId];
+  let asOfSql = '';
+  if (asOf && names.includes('start_dt')) {
+    params.push(asOf);
+    const temporal = { start: true, end: names.includes('end_dt'), multi: names.includes('sort_order') };
+    const partitionBy = sat.key === 'attributes' ? ['attribute_id'] : [];
+    asOfSql = `AND ${asOfCondition(sat.table, 't', temporal, '$2', partitionBy, sat.ref ? sat.ref.id : null)}`;
+  }
+
+  const result = await getPool().query(
+    `SELECT s.*${extra}
+     FROM (SELECT ${parsed.select} FROM ${quoteIdent(sat.table)} t WHERE t.hub_site_id = $1 ${asOfSql}) s
+     ${join}
+     ${order.length > 0 ? `ORDER BY ${order.join(', ')}` : ''}`,
+    params
+  );
+
+  if (sat.key === 'attributes') {
+    return result.rows.map(row => ({ ...row, value: row[ATTRIBUTE_VALUE_COLUMNS[row.attribute_type]] ?? null }));
+  }
+  return result.rows;
+}
+
+// Hub row plus every satellite for one site, in a single response (?asOf=YYYY-MM-DD for the
+// satellite values valid on that date)
+async function getSiteDossier(req, res) {
+  const { id } = req.params;
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+    const asOf = parseAsOf(req.query.asOf);
+    if (asOf === undefined) return res.status(400).json({ error: 'asOf must be a date (YYYY-MM-DD)' });
+
+    const siteRes = await getPool().query('SELECT * FROM hub_sites WHERE hub_site_id = $1', [id]);
+    const site = siteRes.rows[0];
+    if (!site) return res.status(404).json({ error: 'Site not found' });
+
+    const colRes = await getPool().query(
+      `SELECT ${tableNameSql('table_schema', 'table_name')} AS table_name, column_name, data_type, udt_name
+       FROM information_schema.columns
+       WHERE ${tableNameSql('table_schema', 'table_name')} = ANY($1) ORDER BY table_name, ordinal_position`,
+      [SATELLITES.map(s => s.table)]
+    );
+    const columnsByTable = new Map();
+    for (const row of colRes.rows) {
+      if (!columnsByTable.has(row.table_name)) columnsByTable.set(row.table_name, []);
+      columnsByTable.get(row.table_name).push(row);
+    }
+
+    // Satellites missing from this database come back empty rather than failing the dossier
+    const satellites = {};
+    for (const sat of SATELLITES) {
+      const columns = columnsByTable.get(sat.table);
+      satellites[sat.key] = columns ? await loadSatellite(sat, columns, site.hub_site_id, asOf) : [];
+    }
+
+    res.json({ success: true, site: { ...site, id: site.hub_site_id }, satellites, asOf });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+const METERS_PER_UNIT = { m: 1, ft: 0.3048, km: 1000, mi: 1609.344 };
+
+// Sites whose geometry matches every given constraint (at least one is required):
+//   near=lng,lat&radius=500&units=ft   within a distance (ST_DWithin on geography)
+//   bbox=minLng,minLat,maxLng,maxLat   intersects the box
+//   POST body { geometry }             intersects a GeoJSON Polygon/MultiPolygon
+// One row per site: the hub_sites columns, the site's geometry as GeoJSON and, with near,
+// distance_m to the closest shape (results are then ordered nearest first).
+// Shapes are stored in any SRID, so each constraint also gives a WGS84 area around it; that
+// area is transformed once into every SRID present and matched with && against the raw
+// (GIST-indexed) column, and only those candidates are reprojected for the exact test.
+async function searchSites(req, res) {
+  const source = { ...req.query, ...(req.method === 'POST' ? req.body : {}) };
+  const { near, radius, units = 'm', bbox } = source;
+  let limit = parseInt(source.limit, 10) || 500;
+  const MAX_LIMIT = parseInt(process.env.MAX_PAGE_LIMIT || '1000', 10);
+  if (limit > MAX_LIMIT) limit = MAX_LIMIT;
+
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+
+    const params = [];
+    const addParam = (v) => { params.push(v); return `$${params.length}`; };
+    const clauses = [];
+    const areas = [];
+    let distance = null;
+
+    if (near != null) {
+      const point = parsePoint(near);
+      if (!point) return res.status(400).json({ error: 'near must be lng,lat' });
+      if (!METERS_PER_UNIT[units]) return res.status(400).json({ error: `Invalid units: ${units}. Allowed values: ${Object.keys(METERS_PER_UNIT).join(', ')}` });
+      const r = Number(radius);
+      if (!Number.isFinite(r) || r <= 0) return res.status(400).json({ error: 'radius must be a positive number' });
+      const origin = `ST_SetSRID(ST_MakePoint(${addParam(point[0])}, ${addParam(point[1])}), 4326)::geography`;
+      const meters = addParam(r * METERS_PER_UNIT[units]);
+      clauses.push(`ST_DWithin(s.geom::geography, ${origin}, ${meters})`);
+      areas.push(`ST_Buffer(${origin}, ${meters})::geometry`);
+      distance = `MIN(ST_Distance(s.geom::geography, ${origin}))`;
+    }
+    if (bbox != null) {
+      const box = parseBbox(bbox);
+      if (!box) return res.status(400).json({ error: 'bbox must be minLng,minLat,maxLng,maxLat' });
+      const envelope = `ST_MakeEnvelope(${box.map(addParam).join(', ')}, 4326)`;
+      clauses.push(`ST_Intersects(s.geom, ${envelope})`);
+      areas.push(envelope);
+    }
+    if (source.geometry != null) {
+      const polygon = polygonFromGeoJson(source.geometry);
+      if (!polygon) return res.status(400).json({ error: 'geometry must be a GeoJSON Polygon or MultiPolygon' });
+      const shape = `ST_SetSRID(ST_GeomFromGeoJSON(${addParam(JSON.stringify(polygon))}), 4326)`;
+      clauses.push(`ST_Intersects(s.geom, ${shape})`);
+      areas.push(shape);
+    }
+    if (clauses.length === 0) return res.status(400).json({ error: 'Provide near and radius, bbox, or a geometry' });
+
+    // Bounding box of a WGS84 area in the SRID being scanned. SRID 0 is stored WGS84 (see
+    // toWgs84); the envelope is densified first so its edges follow the projection.
+    const inSrid = (area) => `(CASE WHEN srids.srid = 0 THEN ST_SetSRID(ST_Envelope(${area}), 0)
+      ELSE ST_Transform(ST_Segmentize(ST_Envelope(${area}), 0.01), srids.srid) END)`;
+
+    const result = await getPool().query(`
+      WITH RECURSIVE srids AS (
+        (SELECT ST_SRID(shape) AS srid FROM sat_site_geometry
+         WHERE ST_SRID(shape) IS NOT NULL ORDER BY ST_SRID(shape) LIMIT 1)
+        UNION ALL
+        SELECT (SELECT ST_SRID(g.shape) FROM sat_site_geometry g
+                WHERE ST_SRID(g.shape) > srids.srid ORDER BY ST_SRID(g.shape) LIMIT 1)
+        FROM srids WHERE srids.srid IS NOT NULL
+      ),
+      shapes AS (
+        SELECT c.hub_site_id, ${toWgs84('c.shape')} AS geom
+        FROM srids
+        CROSS JOIN LATERAL (
+          SELECT g.hub_site_id, g.shape
+          FROM sat_site_geometry g
+          WHERE ${areas.map(area => `g.shape && ${inSrid(area)}`).join(' AND ')}
+            AND ST_SRID(g.shape) = srids.srid
+        ) c
+        WHERE srids.srid IS NOT NULL
+      )
+      SELECT hs.*, ST_AsGeoJSON(ST_Collect(s.geom))::json AS geometry${distance ? `, ${distance} AS distance_m` : ''}
+      FROM shapes s
+      JOIN hub_sites hs ON hs.hub_site_id = s.hub_site_id
+      WHERE ${clauses.join(' AND ')}
+      GROUP BY hs.hub_site_id
+      ORDER BY ${distance ? 'distance_m, ' : ''}hs.hub_site_id
+      LIMIT ${addParam(limit + 1)}
+    `, params);
+
+    const rows = result.rows.slice(0, limit);
+    res.json({
+      success: true,
+      data: rows.map(r => ({ ...r, id: r.hub_site_id })),
+      count: rows.length,
+      truncated: result.rows.length > limit
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// ref_attributes row plus where its values are stored (see attributeSource), or null when unknown
+async function loadAttributeSource(attributeId) {
+  const attrRes = await getPool().query(
+    'SELECT attribute_id, attribute_nm, attribute_type FROM ref_attributes WHERE attribute_id = $1',
+    [attributeId]
+  );
+  const attr = attrRes.rows[0];
+  if (!attr) return null;
+  const resolvers = await loadResolvers([attr.attribute_id]);
+  return { attr, source: attributeSource(attr, resolvers.get(attr.attribute_id)) };
+}
+
+// Lookup values ({ id, label }) an attribute backed by a reference table can take
+async function getAttributeOptions(req, res) {
+  const { attributeId } = req.params;
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+    if (!isId(attributeId)) return res.status(400).json({ error: 'Attribute id must be an integer' });
+    const found = await loadAttributeSource(attributeId);
+    if (!found) return res.status(404).json({ error: 'Attribute not found' });
+    const { attr, source } = found;
+    if (!source || !source.ref) return res.status(400).json({ error: `Attribute ${attr.attribute_nm} has no reference table` });
+
+    const { table, key, label } = source.ref;
+    const result = await getPool().query(
+      `SELECT ${quoteIdent(key)} AS id, ${quoteIdent(label)} AS label FROM ${quoteTableName(table)} ORDER BY 2`
+    );
+    res.json({ success: true, data: result.rows });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Replace a site's current values for one attribute with { values: [...] } (lookup ids for
+// ref/refs attributes). The satellite's history is kept the same way it is read back:
+//   start_dt and end_dt   current rows are closed at NOW() and the new values start at NOW()
+//   start_dt only         the new values start at NOW() and supersede the old rows
+//   start_dt, sort_order  the old rows are deleted and the new values start at NOW() (in a
+//                         multi-valued satellite a new row only supersedes the same value)
+//   neither               the old rows are deleted
+// Rows that would tie with the new ones (a second edit on the same day for a DATE start_dt)
+// are deleted instead. Every change is written to audit_log.
+async function updateSiteAttribute(req, res) {
+  const { id, attributeId } = req.params;
+  const { values } = req.body || {};
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+    if (!isId(id) || !isId(attributeId)) return res.status(400).json({ error: 'Site and attribute ids must be integers' });
+    if (!Array.isArray(values)) return res.status(400).json({ error: 'values must be an array' });
+
+    const found = await loadAttributeSource(attributeId);
+    if (!found) return res.status(404).json({ error: 'Attribute not found' });
+    const { attr, source } = found;
+    if (!source) return res.status(400).json({ error: `No resolver configured for attribute ${attr.attribute_nm}` });
+
+    const siteRes = await getPool().query('SELECT hub_site_id FROM hub_sites WHERE hub_site_id = $1', [id]);
+    if (!siteRes.rows[0]) return res.status(404).json({ error: 'Site not found' });
+    const siteId = siteRes.rows[0].hub_site_id;
+
+    const columns = await describeColumns(source.table);
+    const valueCol = columns.find(c => c.column_name === source.valueColumn);
+    if (!valueCol) return res.status(400).json({ error: `Column ${source.valueColumn} not found in ${source.table}` });
+
+    const newValues = [];
+    for (const raw of values) {
+      if (raw == null || String(raw).trim() === '') continue;
+      const result = coerceValue(valueCol, String(raw));
+      if (result.error) return res.status(400).json({ error: `${attr.attribute_nm} ${result.error}` });
+      newValues.push(result.value);
+    }
+    const temporal = (await getTemporalColumns([source.table])).get(source.table);
+    if (!isMultiValued(attr.attribute_type, temporal) && newValues.length > 1) {
+      return res.status(400).json({ error: `${attr.attribute_nm} takes a single value` });
+    }
+    if (source.ref && newValues.length > 0) {
+      const known = await getPool().query(
+        `SELECT ${quoteIdent(source.ref.key)}::text AS id FROM ${quoteTableName(source.ref.table)}
+         WHERE ${quoteIdent(source.ref.key)}::text = ANY($1)`,
+        [newValues.map(String)]
+      );
+      const knownIds = new Set(known.rows.map(r => r.id));
+      const unknown = newValues.filter(v => !knownIds.has(String(v)));
+      if (unknown.length > 0) return res.status(400).json({ error: `Unknown ${source.ref.table} ids: ${unknown.join(', ')}` });
+    }
+
+    // Rows that would otherwise stay valid next to the new values are deleted
+    const replaceByDelete = !temporal.start || (temporal.multi && !temporal.end);
+    if (temporal.start && !temporal.end && !replaceByDelete && newValues.length === 0) {
+      return res.status(400).json({ error: `${source.table} has no end_dt, so its values can be replaced but not cleared` });
+    }
+    const pk = await getPrimaryKey(source.table);
+    if (!pk) return res.status(400).json({ error: `Table ${source.table} has no primary key` });
+
+    const table = quoteTableName(source.table);
+    const matchCols = { hub_site_id: siteId, ...source.match };
+    const audit = (client, action, row, before = null) => recordAudit(client, {
+      actor: actorOf(req), action, tableName: source.table, recordId: row[pk], before, after: action === 'delete' ? null : row
+    });
+
+    const result = await withTransaction(async (client) => {
+      const params = Object.values(matchCols);
+      const matchSql = Object.keys(matchCols).map((c, i) => `t.${quoteIdent(c)} = $${i + 1}`).join(' AND ');
+      const currentRes = await client.query(
+        `SELECT t.* FROM ${table} t
+         WHERE ${matchSql} AND ${asOfCondition(source.table, 't', temporal, 'NOW()', Object.keys(source.match), source.valueColumn)}
+         FOR UPDATE`,
+        params
+      );
+      const current = currentRes.rows;
+
+      const inserted = [];
+      for (const [i, value] of newValues.entries()) {
+        const row = { ...matchCols, [source.valueColumn]: value };
+        if (source.orderColumn && source.orderColumn !== 'start_dt') row[source.orderColumn] = i + 1;
+        const cols = Object.keys(row).map(quoteIdent);
+        const placeholders = cols.map((c, j) => `$${j + 1}`);
+        if (temporal.start) { cols.push('start_dt'); placeholders.push('NOW()'); }
+        const insRes = await client.query(
+          `INSERT INTO ${table} (${cols.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+          Object.values(row)
+        );
+        inserted.push(insRes.rows[0]);
+        await audit(client, 'insert', insRes.rows[0]);
+      }
+
+      // Old rows starting no earlier than the new ones would tie with them, so they go
+      const ids = current.map(r => r[pk]);
+      let removed = [];
+      if (replaceByDelete) {
+        removed = (await client.query(`DELETE FROM ${table} WHERE ${quoteIdent(pk)} = ANY($1) RETURNING *`, [ids])).rows;
+      } else if (inserted.length > 0) {
+        removed = (await client.query(
+          `DELETE FROM ${table} WHERE ${quoteIdent(pk)} = ANY($1) AND start_dt >= $2 RETURNING *`,
+          [ids, inserted[0].start_dt]
+        )).rows;
+      }
+      for (const row of removed) await audit(client, 'delete', row, row);
+
+      let closed = [];
+      if (temporal.end) {
+        const removedIds = new Set(removed.map(r => String(r[pk])));
+        const byId = new Map(current.map(r => [String(r[pk]), r]));
+        closed = (await client.query(
+          `UPDATE ${table} SET end_dt = NOW() WHERE ${quoteIdent(pk)} = ANY($1) RETURNING *`,
+          [ids.filter(v => !removedIds.has(String(v)))]
+        )).rows;
+        for (const row of closed) await audit(client, 'update', row, byId.get(String(row[pk])));
+      }
+
+      return { inserted, closed: closed.length, removed: removed.length };
+    });
+
+    res.json({ success: true, data: result.inserted, closed: result.closed, removed: result.removed });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+module.exports = { getSiteDossier, searchSites, getAttributeOptions, updateSiteAttribute };
@@ -1,9 +1,103 @@
 const { getPool } = require('../db');
-const { getEnumMap, validateTableName, getPrimaryKey } = require('../db/utils');
+const {
+  getEnumMap, findEnumViolation, parseTableName, regclassName, validateTableName, getPrimaryKey, withTransaction
+} = require('../db/utils');
+const { actorOf, recordAudit, fetchRowForUpdate } = require('../db/audit');
+const {
+  quoteIdent, quoteTableName, parseTableQuery, encodeCursor, decodeCursor, keysetClause, cursorKeySelect, orderByFor
+} = require('../db/tableQuery');
+const { EXPORT_FORMATS, EXPORT_BATCH_SIZE, sendExport } = require('../db/export');
+const { getReferencingForeignKeys, getOutgoingForeignKeys, resolveLabels } = require('../db/relations');
+
+async function estimateCount(tableName) {
+  const estRes = await getPool().query(`SELECT reltuples::bigint AS estimate FROM pg_class WHERE oid = $1::regclass`, [regclassName(tableName)]);
+  return parseInt(estRes.rows[0]?.estimate || 0, 10);
+}
+
+// Keyset page: rows after/before the cursor's boundary row in the requested sort, plus
+// opaque next/prev cursors. No COUNT(*) is run; fastCount=true adds the planner estimate.
+async function sendCursorPage(res, { tableName, pk, parsed, params, whereClauses, limit, cursor, fastCount }) {
+  const { sort } = parsed;
+  if (!pk) return res.status(400).json({ error: 'Cursor pagination requires a table with a primary key' });
+
+  let direction = 'next';
+  const clauses = [...whereClauses];
+  if (cursor) {
+    const decoded = decodeCursor(cursor, sort);
+    if (decoded.error) return res.status(400).json({ error: decoded.error });
+    direction = decoded.direction;
+    clauses.push(keysetClause(sort, decoded.values, direction, (v) => { params.push(v); return `$${params.length}`; }));
+  }
+  const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+  const reverse = direction === 'prev';
+
+  // Fetch one extra row to learn whether another page exists in this direction
+  const result = await getPool().query(
+    `SELECT ${parsed.select}, ${cursorKeySelect(sort)} FROM ${quoteTableName(tableName)} ${where} ${orderByFor(sort, reverse)} LIMIT $${params.length + 1}`,
+    [...params, limit + 1]
+  );
+  const hasMore = result.rows.length > limit;
+  const rows = result.rows.slice(0, limit);
+  if (reverse) rows.reverse();
+
+  const keyOf = (row) => sort.map((_, i) => row[`__cursor_${i}`]);
+  const next = rows.length > 0 && (reverse || hasMore) ? encodeCursor(sort, keyOf(rows[rows.length - 1]), 'next') : null;
+  const prev = rows.length > 0 && (reverse ? hasMore : !!cursor) ? encodeCursor(sort, keyOf(rows[0]), 'prev') : null;
+  const data = rows.map(row => {
+    const out = { ...row };
+    sort.forEach((_, i) => { delete out[`__cursor_${i}`]; });
+    return out;
+  });
+
+  res.json({
+    success: true,
+    data,
+    count: fastCount === 'true' ? await estimateCount(tableName) : null,
+    count_estimated: fastCount === 'true',
+    limit,
+    next,
+    prev,
+    fields: parsed.fields,
+    sort
+  });
+}
+
+// Shared by listing and export: validates the table and turns q / filter / sort / fields into
+// SQL pieces. Returns { status, error } or { pk, parsed, params, whereClauses }.
+async function buildListingQuery(tableName, query) {
+  const ref = parseTableName(tableName);
+  if (!ref) return { status: 400, error: 'Invalid table name' };
+
+  const colRes = await getPool().query(
+    `SELECT column_name, data_type, udt_name FROM information_schema.columns WHERE table_schema = $1 AND table_name = $2 ORDER BY ordinal_position`,
+    [ref.schema, ref.table]
+  );
+  if (colRes.rows.length === 0) return { status: 404, error: `Table not found: ${tableName}` };
+
+  const params = [];
+  const whereClauses = [];
+  if (query.q) {
+    const textCols = colRes.rows
+      .filter(r => ['character varying', 'text', 'character'].includes(r.data_type))
+      .map(r => quoteIdent(r.column_name));
+    if (textCols.length > 0) {
+      params.push(`%${query.q}%`);
+      whereClauses.push(`(${textCols.map(c => `${c} ILIKE $1`).join(' OR ')})`);
+    }
+  }
+
+  // Structured filter / sort / projection (geometry columns are returned as GeoJSON)
+  const pk = await getPrimaryKey(tableName);
+  const parsed = parseTableQuery(colRes.rows, query, params, { primaryKey: pk });
+  if (parsed.error) return { status: 400, error: parsed.error };
+  whereClauses.push(...parsed.where);
+
+  return { pk, parsed, params, whereClauses };
+}
 
 async function getTableData(req, res) {
   const { tableName } = req.params;
-  let { limit = 100, offset = 0, q = null, fastCount = 'false' } = req.query;
+  let { limit = 100, offset = 0, fastCount = 'false', paginate = 'offset', cursor = null } = req.query;
   limit = parseInt(limit, 10) || 100;
   offset = parseInt(offset, 10) || 0;
   const MAX_LIMIT = parseInt(process.env.MAX_PAGE_LIMIT || '1000', 10);
@@ -11,62 +105,43 @@ async function getTableData(req, res) {
 
   try {
     if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
-    if (!validateTableName(tableName)) return res.status(400).json({ error: 'Invalid table name' });
+    const listing = await buildListingQuery(tableName, req.query);
+    if (listing.error) return res.status(listing.status).json({ error: listing.error });
+    const { pk, parsed, params, whereClauses } = listing;
 
-    // Get geometry columns so we can convert them to GeoJSON
-    const geomColRes = await getPool().query(
-      `SELECT column_name FROM information_schema.columns WHERE table_schema = 'public' AND table_name = $1 AND udt_name = 'geometry'`,
-      [tableName]
-    );
-    const geomCols = geomColRes.rows.map(r => r.column_name);
-
-    let where = '';
-    const params = [];
-    if (q) {
-      const colRes = await getPool().query(
-        `SELECT column_name FROM information_schema.columns WHERE table_schema = 'public' AND table_name = $1 AND data_type IN ('character varying','text','character')`,
-        [tableName]
-      );
-      const textCols = colRes.rows.map(r => r.column_name);
-      if (textCols.length > 0) {
-        const likeClauses = textCols.map((c, i) => `${c} ILIKE $${i + 1}`);
-        where = `WHERE (${likeClauses.join(' OR ')})`;
-        for (let i = 0; i < textCols.length; i++) params.push(`%${q}%`);
-      }
+    // Opt-in keyset pagination: ?paginate=cursor for the first page, then ?cursor=<next|prev>
+    if (paginate === 'cursor' || cursor) {
+      return await sendCursorPage(res, { tableName, pk, parsed, params, whereClauses, limit, cursor, fastCount });
     }
 
-    const pk = await getPrimaryKey(tableName);
-    const orderBy = pk ? `ORDER BY ${pk} ASC` : '';
-
-    // Build SELECT clause, converting geometry columns to GeoJSON
-    const colRes = await getPool().query(
-      `SELECT column_name FROM information_schema.columns WHERE table_schema = 'public' AND table_name = $1 ORDER BY ordinal_position`,
-      [tableName]
-    );
-    const allCols = colRes.rows.map(r => r.column_name);
-    const selectCols = allCols.map(col => 
-      geomCols.includes(col) ? `ST_AsGeoJSON(${col})::text AS ${col}` : col
-    ).join(', ');
-
-    const dataQuery = `SELECT ${selectCols} FROM ${tableName} ${where} ${orderBy} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+    const where = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+    const dataQuery = `SELECT ${parsed.select} FROM ${quoteTableName(tableName)} ${where} ${parsed.orderBy} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
     const dataParams = [...params, limit, offset];
     const result = await getPool().query(dataQuery, dataParams);
     const data = result.rows;
 
     let count = 0;
     if (fastCount === 'true') {
-      const estRes = await getPool().query(`SELECT reltuples::bigint AS estimate FROM pg_class WHERE oid = $1::regclass`, [`public.${tableName}`]);
-      count = parseInt(estRes.rows[0]?.estimate || 0, 10);
+      count = await estimateCount(tableName);
     } else if (where) {
-      const countQuery = `SELECT COUNT(*) FROM ${tableName} ${where}`;
+      const countQuery = `SELECT COUNT(*) FROM ${quoteTableName(tableName)} ${where}`;
       const countRes = await getPool().query(countQuery, params);
       count = parseInt(countRes.rows[0].count, 10);
     } else {
-      const countResult = await getPool().query(`SELECT COUNT(*) FROM ${tableName}`);
+      const countResult = await getPool().query(`SELECT COUNT(*) FROM ${quoteTableName(tableName)}`);
       count = parseInt(countResult.rows[0].count);
     }
 
-    res.json({ success: true, data, count, limit: parseInt(limit), offset: parseInt(offset), count_estimated: fastCount === 'true' });
+    res.json({
+      success: true,
+      data,
+      count,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      count_estimated: fastCount === 'true',
+      fields: parsed.fields,
+      sort: parsed.sort
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -80,23 +155,25 @@ async function insertRecord(req, res) {
     if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
     if (!validateTableName(tableName)) return res.status(400).json({ error: 'Invalid table name' });
 
-    const enumMap = await getEnumMap(tableName);
-    for (const [k, v] of Object.entries(recordData)) {
-      if (v == null) continue;
-      const allowed = enumMap[k];
-      if (Array.isArray(allowed) && allowed.length > 0 && !allowed.includes(String(v))) {
-        return res.status(400).json({ error: `Invalid value for ${k}: ${v}. Allowed values: ${allowed.join(', ')}` });
-      }
-    }
+    const enumError = findEnumViolation(await getEnumMap(tableName), recordData);
+    if (enumError) return res.status(400).json({ error: enumError });
 
-    const columns = Object.keys(recordData).join(', ');
+    const columns = Object.keys(recordData).map(quoteIdent).join(', ');
     const values = Object.values(recordData);
     const placeholders = values.map((_, i) => `$${i + 1}`).join(', ');
-    const result = await getPool().query(
-      `INSERT INTO ${tableName} (${columns}) VALUES (${placeholders}) RETURNING *`,
-      values
-    );
-    res.json({ success: true, data: result.rows[0] });
+    const pk = await getPrimaryKey(tableName);
+    const row = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO ${quoteTableName(tableName)} (${columns}) VALUES (${placeholders}) RETURNING *`,
+        values
+      );
+      const inserted = result.rows[0];
+      await recordAudit(client, {
+        actor: actorOf(req), action: 'insert', tableName, recordId: pk ? inserted[pk] : null, after: inserted
+      });
+      return inserted;
+    });
+    res.json({ success: true, data: row });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -110,23 +187,25 @@ async function updateRecord(req, res) {
     if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
     if (!validateTableName(tableName)) return res.status(400).json({ error: 'Invalid table name' });
 
-    const enumMap = await getEnumMap(tableName);
-    for (const [k, v] of Object.entries(recordData)) {
-      if (v == null) continue;
-      const allowed = enumMap[k];
-      if (Array.isArray(allowed) && allowed.length > 0 && !allowed.includes(String(v))) {
-        return res.status(400).json({ error: `Invalid value for ${k}: ${v}. Allowed values: ${allowed.join(', ')}` });
-      }
-    }
+    const enumError = findEnumViolation(await getEnumMap(tableName), recordData);
+    if (enumError) return res.status(400).json({ error: enumError });
 
     const pk = await getPrimaryKey(tableName) || 'id';
-    const setClause = Object.keys(recordData).map((key, i) => `${key} = $${i + 1}`).join(', ');
+    const setClause = Object.keys(recordData).map((key, i) => `${quoteIdent(key)} = $${i + 1}`).join(', ');
     const values = [...Object.values(recordData), id];
-    const result = await getPool().query(
-      `UPDATE ${tableName} SET ${setClause} WHERE ${pk} = $${values.length} RETURNING *`,
-      values
-    );
-    res.json({ success: true, data: result.rows[0] });
+    const row = await withTransaction(async (client) => {
+      const before = await fetchRowForUpdate(client, tableName, pk, id);
+      const result = await client.query(
+        `UPDATE ${quoteTableName(tableName)} SET ${setClause} WHERE ${quoteIdent(pk)} = $${values.length} RETURNING *`,
+        values
+      );
+      const updated = result.rows[0];
+      if (updated) {
+        await recordAudit(client, { actor: actorOf(req), action: 'update', tableName, recordId: id, before, after: updated });
+      }
+      return updated;
+    });
+    res.json({ success: true, data: row });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -139,11 +218,128 @@ async function deleteRecord(req, res) {
     if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
     if (!validateTableName(tableName)) return res.status(400).json({ error: 'Invalid table name' });
     const pk = await getPrimaryKey(tableName) || 'id';
-    await getPool().query(`DELETE FROM ${tableName} WHERE ${pk} = $1`, [id]);
+    await withTransaction(async (client) => {
+      const before = await fetchRowForUpdate(client, tableName, pk, id);
+      await client.query(`DELETE FROM ${quoteTableName(tableName)} WHERE ${quoteIdent(pk)} = $1`, [id]);
+      if (before) {
+        await recordAudit(client, { actor: actorOf(req), action: 'delete', tableName, recordId: id, before });
+      }
+    });
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 }
 
-module.exports = { getTableData, insertRecord, updateRecord, deleteRecord };
+// Rows in every table whose foreign keys reference this record, found through the catalog's
+// FK constraints. Each group carries labels for its other single-column FKs
+// (e.g. material_id -> ref_material.material_nm) so clients don't need extra lookups.
+async function getRelatedRecords(req, res) {
+  const { tableName, id } = req.params;
+  let { limit = 1000 } = req.query;
+  limit = parseInt(limit, 10) || 1000;
+  const MAX_LIMIT = parseInt(process.env.MAX_PAGE_LIMIT || '1000', 10);
+  if (limit > MAX_LIMIT) limit = MAX_LIMIT;
+
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+    if (!validateTableName(tableName)) return res.status(400).json({ error: 'Invalid table name' });
+
+    const pk = await getPrimaryKey(tableName);
+    if (!pk) return res.status(400).json({ error: `Table ${tableName} has no primary key` });
+    const recRes = await getPool().query(`SELECT * FROM ${quoteTableName(tableName)} WHERE ${quoteIdent(pk)} = $1`, [id]);
+    const record = recRes.rows[0];
+    if (!record) return res.status(404).json({ error: 'Record not found' });
+
+    const related = [];
+    for (const fk of await getReferencingForeignKeys(tableName)) {
+      const keyValues = fk.foreign_columns.map(c => record[c]);
+      if (keyValues.some(v => v == null)) continue;
+
+      const ref = parseTableName(fk.table_name);
+      if (!ref) continue;
+      const colRes = await getPool().query(
+        `SELECT column_name, data_type, udt_name FROM information_schema.columns WHERE table_schema = $1 AND table_name = $2 ORDER BY ordinal_position`,
+        [ref.schema, ref.table]
+      );
+      const params = [...keyValues];
+      const parsed = parseTableQuery(colRes.rows, {}, params, { primaryKey: await getPrimaryKey(fk.table_name) });
+      const where = fk.columns.map((c, i) => `${quoteIdent(c)} = $${i + 1}`).join(' AND ');
+      const result = await getPool().query(
+        `SELECT ${parsed.select} FROM ${quoteTableName(fk.table_name)} WHERE ${where} ${parsed.orderBy} LIMIT $${params.length + 1}`,
+        [...params, limit + 1]
+      );
+      const rows = result.rows.slice(0, limit);
+
+      const labels = {};
+      for (const out of await getOutgoingForeignKeys(fk.table_name)) {
+        if (out.constraint_name === fk.constraint_name || out.columns.length !== 1) continue;
+        const col = out.columns[0];
+        const resolved = await resolveLabels(out, rows.map(r => r[col]));
+        if (Object.keys(resolved).length > 0) labels[col] = resolved;
+      }
+
+      related.push({
+        table: fk.table_name,
+        constraint: fk.constraint_name,
+        columns: fk.columns,
+        references: fk.foreign_columns,
+        fields: parsed.fields,
+        rows,
+        truncated: result.rows.length > limit,
+        labels
+      });
+    }
+
+    res.json({ success: true, table: tableName, id, record, related });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Full (unpaged) listing as a CSV or XLSX download; accepts the same q / filter / sort / fields
+// parameters as getTableData. Rows are read through a server-side cursor EXPORT_BATCH_SIZE at a
+// time (in a read-only transaction) and written as they arrive, so large tables are never held
+// in memory.
+async function exportTableData(req, res) {
+  const { tableName } = req.params;
+  const { format = 'csv' } = req.query;
+  let client;
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+    if (!EXPORT_FORMATS.includes(format)) return res.status(400).json({ error: `Invalid format: ${format}. Allowed values: ${EXPORT_FORMATS.join(', ')}` });
+    const listing = await buildListingQuery(tableName, req.query);
+    if (listing.error) return res.status(listing.status).json({ error: listing.error });
+    const { parsed, params, whereClauses } = listing;
+
+    const where = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+    client = await getPool().connect();
+    await client.query('BEGIN READ ONLY');
+    await client.query(
+      `DECLARE table_export NO SCROLL CURSOR FOR SELECT ${parsed.select} FROM ${quoteTableName(tableName)} ${where} ${parsed.orderBy}`,
+      params
+    );
+    async function* rows() {
+      for (;;) {
+        const batch = await client.query(`FETCH ${EXPORT_BATCH_SIZE} FROM table_export`);
+        yield* batch.rows;
+        if (batch.rows.length < EXPORT_BATCH_SIZE) return;
+      }
+    }
+    await sendExport(res, {
+      format,
+      filename: tableName,
+      columns: parsed.fields.map(f => ({ key: f, header: f })),
+      rows: rows()
+    });
+    await client.query('COMMIT');
+  } catch (error) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    if (client) client.release();
+  }
+}
+
+module.exports = { getTableData, exportTableData, insertRecord, updateRecord, deleteRecord, getRelatedRecords };
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { coerceValue } = require('../columns');
+
+const column = (data_type, extra = {}) => ({ column_name: 'c', data_type, is_nullable: true, column_default: null, is_auto: false, ...extra });
+
+test('integers must be whole numbers within the column type', () => {
+  assert.deepEqual(coerceValue(column('integer'), ' 42 '), { value: '42' });
+  assert.deepEqual(coerceValue(column('integer'), '-2147483648'), { value: '-2147483648' });
+  assert.match(coerceValue(column('integer'), '2147483648').error, /^must be between -2147483648 and 2147483647/);
+  assert.match(coerceValue(column('smallint'), '40000').error, /^must be between -32768 and 32767/);
+  assert.deepEqual(coerceValue(column('bigint'), '9223372036854775807'), { value: '9223372036854775807' });
+  assert.match(coerceValue(column('bigint'), '9223372036854775808').error, /^must be between/);
+  assert.match(coerceValue(column('integer'), '1.5').error, /^expects an integer/);
+});
+
+test('dates must be real ISO dates', () => {
+  assert.deepEqual(coerceValue(column('date'), '2024-02-29'), { value: '2024-02-29' });
+  assert.match(coerceValue(column('date'), '2024-02-30').error, /^expects a date \(YYYY-MM-DD\)/);
+  assert.match(coerceValue(column('date'), '2023-02-29').error, /^expects a date/);
+  assert.match(coerceValue(column('date'), '1').error, /^expects a date/);
+  assert.match(coerceValue(column('date'), '03/01/2024').error, /^expects a date/);
+  assert.match(coerceValue(column('date'), '2024-01-15T10:00:00Z').error, /^expects a date/);
+});
+
+test('timestamps take a date with an optional time and offset', () => {
+  const ts = column('timestamp without time zone');
+  for (const ok of ['2024-01-15', '2024-01-15 10:30', '2024-01-15T10:30:05', '2024-01-15T10:30:05.123Z', '2024-01-15 10:30:05+02:00']) {
+    assert.deepEqual(coerceValue(ts, ok), { value: ok });
+  }
+  for (const bad of ['1', '2024-13-01 10:00', '2024-01-15 24:00', '2024-01-15 10:60', 'yesterday']) {
+    assert.match(coerceValue(ts, bad).error, /^expects a date and time/, bad);
+  }
+});
+
+test('empty cells are null unless the column requires a value', () => {
+  assert.deepEqual(coerceValue(column('text'), '  '), { value: null });
+  assert.deepEqual(coerceValue(column('text', { is_nullable: false }), ''), { error: 'is required' });
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+const { sendExport } = require('../export');
+
+// Response stand-in collecting what sendExport writes
+function response() {
+  const chunks = [];
+  const res = new Writable({ write(chunk, encoding, done) { chunks.push(chunk); done(); } });
+  res.setHeader = () => {};
+  res.text = () => Buffer.concat(chunks).toString('utf8');
+  return res;
+}
+
+test('CSV cells that a spreadsheet would run as formulas are kept as text', async () => {
+  const res = response();
+  const rows = ['=HYPERLINK("x")', '+1+1', '-2+3', '@SUM(A1)', '\tcmd', '-12.5', '+3', 'plain', 7].map(v => ({ v }));
+  await sendExport(res, { format: 'csv', filename: 't', columns: [{ key: 'v', header: 'v' }], rows });
+  const lines = res.text().replace(/^\uFEFF/, '').trim().split(/\r?\n/);
+  assert.deepEqual(lines, ['v', `"'=HYPERLINK(""x"")"`, "'+1+1", "'-2+3", "'@SUM(A1)", "'\tcmd", '-12.5', '+3', 'plain', '7']);
+});
+
+test('an export stops reading rows once the client has gone away', async () => {
+  const res = response();
+  let fetched = 0;
+  async function* rows() {
+    for (;;) {
+      fetched++;
+      if (fetched === 3) res.destroy();
+      yield { v: fetched };
+    }
+  }
+  await assert.rejects(
+    sendExport(res, { format: 'xlsx', filename: 't', columns: [{ key: 'v', header: 'v' }], rows: rows() }),
+    /Client closed the connection/
+  );
+  assert.equal(fetched, 3);
+});
@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { inspectQuery, checkAllowlist } = require('../queryGuard');
+
+// Fake client resolving unqualified names through a { name: schema } map, as to_regclass would
+const clientResolving = (schemas) => ({
+  query: async (sql, [names]) => ({
+    rows: names.filter(n => schemas[n]).map(name => ({ name, schema: schemas[name] }))
+  })
+});
+
+const errorOf = async (sql) => (await inspectQuery(sql)).error;
+
+test('accepts a single SELECT and reports its tables and parameters', async () => {
+  const result = await inspectQuery('SELECT s.site_name FROM public.hub_sites s JOIN lnk_project_site l USING (hub_site_id) WHERE l.hub_project_id = $2;');
+  assert.equal(result.error, undefined);
+  assert.equal(result.kind, 'select');
+  assert.equal(result.statement, 'SELECT s.site_name FROM public.hub_sites s JOIN lnk_project_site l USING (hub_site_id) WHERE l.hub_project_id = $2');
+  assert.deepEqual(result.relations, [{ schema: 'public', name: 'hub_sites' }, { schema: null, name: 'lnk_project_site' }]);
+  assert.equal(result.paramCount, 2);
+});
+
+test('classifies EXPLAIN and SHOW', async () => {
+  assert.equal((await inspectQuery('EXPLAIN SELECT 1')).kind, 'explain');
+  assert.equal((await inspectQuery('SHOW search_path')).kind, 'show');
+});
+
+test('slices the statement by UTF-8 byte offsets', async () => {
+  const result = await inspectQuery("  SELECT 'é' AS accent ;  ");
+  assert.equal(result.statement, "SELECT 'é' AS accent");
+});
+
+test('leaves CTE names out of the relations', async () => {
+  const result = await inspectQuery('WITH recent AS (SELECT * FROM hub_sites) SELECT * FROM recent');
+  assert.deepEqual(result.relations, [{ schema: null, name: 'hub_sites' }]);
+});
+
+test('only treats a name as a CTE inside the WITH that defines it', async () => {
+  const relationsOf = async (sql) => (await inspectQuery(sql)).relations;
+  assert.deepEqual(
+    await relationsOf('SELECT * FROM (WITH hub_sites AS (SELECT 1) SELECT * FROM hub_sites) s, hub_sites'),
+    [{ schema: null, name: 'hub_sites' }]
+  );
+  // A CTE sees the ones before it, not itself (unless RECURSIVE)
+  assert.deepEqual(
+    await relationsOf('WITH a AS (SELECT * FROM b), b AS (SELECT * FROM a) SELECT * FROM b'),
+    [{ schema: null, name: 'b' }]
+  );
+  assert.deepEqual(await relationsOf('WITH RECURSIVE a AS (SELECT 1 UNION ALL SELECT * FROM a) SELECT * FROM a'), []);
+  // Both sides of a UNION see the WITH list
+  assert.deepEqual(await relationsOf('WITH a AS (SELECT 1) SELECT * FROM a UNION SELECT * FROM a'), []);
+});
+
+test('refuses empty input and syntax errors', async () => {
+  assert.equal(await errorOf(''), 'Query required');
+  assert.equal(await errorOf('   '), 'Query required');
+  assert.equal(await errorOf('-- only a comment'), 'Query required');
+  assert.match(await errorOf('SELECT FROM WHERE'), /syntax error.*\(at character \d+\)/);
+});
+
+test('refuses more than one statement', async () => {
+  assert.equal(await errorOf('SELECT 1; SELECT 2'), 'Only one statement can be run at a time (found 2)');
+});
+
+test('refuses statements that are not read-only', async () => {
+  assert.equal(await errorOf('DELETE FROM hub_sites'), 'Only read-only queries are allowed: DELETE statements are not permitted');
+  assert.equal(await errorOf("SET search_path = 'x'"), 'Only read-only queries are allowed: SET statements are not permitted');
+  assert.equal(await errorOf('LISTEN foo'), 'Only read-only queries are allowed: Listen statements are not permitted');
+});
+
+test('refuses EXPLAIN of anything but SELECT', async () => {
+  assert.equal(await errorOf('EXPLAIN ANALYZE DELETE FROM hub_sites'), 'Only SELECT queries can be explained, not DELETE');
+});
+
+test('refuses data-modifying CTEs', async () => {
+  assert.equal(
+    await errorOf('WITH gone AS (DELETE FROM hub_sites RETURNING *) SELECT * FROM gone'),
+    'Data-modifying statements are not allowed (DELETE inside the query)'
+  );
+});
+
+test('refuses SELECT INTO and row locks', async () => {
+  assert.equal(await errorOf('SELECT * INTO copy FROM hub_sites'), 'SELECT INTO creates a table and is not allowed');
+  assert.equal(await errorOf('SELECT * FROM hub_sites FOR UPDATE'), 'Row locking clauses (FOR UPDATE / FOR SHARE) are not allowed');
+});
+
+test('refuses the internal tables however they are named', async () => {
+  const internal = /^Table app_users is internal to the application/;
+  assert.match(await errorOf('SELECT password_hash FROM app_users'), internal);
+  assert.match(await errorOf('SELECT * FROM public.app_users'), internal);
+  assert.match(await errorOf("SELECT 'app_users'::regclass"), internal);
+  assert.match(await errorOf('SELECT * FROM (WITH app_users AS (SELECT 1) SELECT 1) s, app_users'), internal);
+  assert.match(await errorOf('SELECT * FROM hub_sites WHERE EXISTS (SELECT 1 FROM query_history)'), /^Table query_history is internal/);
+  // A CTE of the same name is not the table, and other schemas may have their own
+  assert.equal(await errorOf('WITH audit_log AS (SELECT 1) SELECT * FROM audit_log'), undefined);
+  assert.equal(await errorOf('SELECT * FROM archive.audit_log'), undefined);
+});
+
+test('refuses server-side functions, however they are qualified or cased', async () => {
+  assert.equal(await errorOf('SELECT pg_sleep(10)'), 'Function pg_sleep() is not allowed');
+  assert.equal(await errorOf("SELECT pg_catalog.PG_READ_FILE('/etc/passwd')"), 'Function pg_read_file() is not allowed');
+  assert.equal(await errorOf("SELECT 1 FROM hub_sites WHERE set_config('role', 'x', true) IS NOT NULL"), 'Function set_config() is not allowed');
+});
+
+test('allows ordinary functions, including those SQL syntax turns into calls', async () => {
+  const sql = `SELECT count(*), lower(site_name), EXTRACT(year FROM now()), TRIM(' x '), substring('abc' FROM 1 FOR 2),
+    now() AT TIME ZONE 'utc', 'a' SIMILAR TO 'b', pg_catalog.upper('x'), jsonb_build_object('a', 1), public.ST_AsGeoJSON(shape),
+    row_number() OVER (ORDER BY hub_site_id) FROM hub_sites GROUP BY site_name, shape, hub_site_id`;
+  assert.equal(await errorOf(sql), undefined);
+});
+
+test('refuses functions that are not on the allowlist, or come from another schema', async () => {
+  assert.equal(await errorOf("SELECT * FROM ts_stat('SELECT to_tsvector(password_hash) FROM app_users')"), 'Function ts_stat() is not allowed');
+  assert.equal(await errorOf("SELECT ts_rewrite('a'::tsquery, 'SELECT t, s FROM aliases')"), 'Function ts_rewrite() is not allowed');
+  assert.equal(await errorOf("SELECT pg_relation_size('hub_sites')"), 'Function pg_relation_size() is not allowed');
+  assert.equal(await errorOf("SELECT ST_EstimatedExtent('hub_sites', 'shape')"), 'Function st_estimatedextent() is not allowed');
+  assert.equal(await errorOf("SELECT staging.lower('x')"), 'Function lower() is not allowed');
+});
+
+test('refuses functions that read tables the allowlist cannot see', async () => {
+  assert.equal(
+    await errorOf("SELECT query_to_xml('select password_hash from app_users', true, false, '')"),
+    'Function query_to_xml() is not allowed'
+  );
+  assert.equal(await errorOf("SELECT * FROM table_to_xml('app_users', true, false, '')"), 'Function table_to_xml() is not allowed');
+  assert.equal(await errorOf("SELECT query_to_xml_and_xmlschema('select 1', true, false, '')"), 'Function query_to_xml_and_xmlschema() is not allowed');
+  assert.equal(await errorOf("SELECT schema_to_xmlschema('public', true, false, '')"), 'Function schema_to_xmlschema() is not allowed');
+  assert.equal(await errorOf("SELECT database_to_xml(true, false, '')"), 'Function database_to_xml() is not allowed');
+  assert.equal(await errorOf("SELECT cursor_to_xml('c', 10, true, false, '')"), 'Function cursor_to_xml() is not allowed');
+  assert.equal(await errorOf('SELECT lo_get(16400)'), 'Function lo_get() is not allowed');
+  assert.equal(await errorOf("SELECT * FROM dblink('host=x', 'select 1') AS t(a int)"), 'Function dblink() is not allowed');
+});
+
+test('treats regclass casts of string literals as relations', async () => {
+  const result = await inspectQuery(`SELECT 'hub_sites'::regclass, CAST('Archive."Sites"' AS pg_catalog.regclass)`);
+  assert.deepEqual(result.relations, [{ schema: null, name: 'hub_sites' }, { schema: 'archive', name: 'Sites' }]);
+});
+
+test('checkAllowlist lets everything through for roles without an allowlist', async () => {
+  const allowlist = { researcher: [{ schema: 'public', table: null }] };
+  assert.equal(await checkAllowlist(clientResolving({}), [{ schema: 'staging', name: 'x' }], 'admin', allowlist), null);
+  assert.equal(await checkAllowlist(clientResolving({}), [{ schema: 'staging', name: 'x' }], 'researcher', undefined), null);
+});
+
+test('checkAllowlist resolves unqualified names and refuses tables outside the list', async () => {
+  const allowlist = { researcher: [{ schema: 'public', table: 'hub_sites' }, { schema: 'archive', table: null }] };
+  const client = clientResolving({ hub_sites: 'public', app_users: 'public' });
+  const check = (relations) => checkAllowlist(client, relations, 'researcher', allowlist);
+
+  assert.equal(await check([{ schema: null, name: 'hub_sites' }, { schema: 'archive', name: 'anything' }]), null);
+  assert.equal(
+    await check([{ schema: null, name: 'app_users' }]),
+    'Table public.app_users is not available to the researcher role (allowed: public.hub_sites, archive.*)'
+  );
+  assert.match(await check([{ schema: 'staging', name: 'hub_sites' }]), /^Table staging\.hub_sites is not available/);
+  // Unknown names are left for Postgres to report
+  assert.equal(await check([{ schema: null, name: 'missing' }]), null);
+});
+
+test('the XML and regclass routes no longer get past the allowlist', async () => {
+  const allowlist = { researcher: [{ schema: 'public', table: 'hub_sites' }] };
+  const client = clientResolving({ lnk_project_site: 'public' });
+
+  assert.ok((await inspectQuery("SELECT * FROM table_to_xml('lnk_project_site', true, false, '')")).error);
+  const { relations } = await inspectQuery("SELECT 'lnk_project_site'::regclass");
+  assert.match(await checkAllowlist(client, relations, 'researcher', allowlist), /^Table public\.lnk_project_site is not available/);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Pool } = require('pg');
+const { parseAsOf, asOfCondition } = require('../temporal');
+
+test('parseAsOf accepts dates and rejects anything else', () => {
+  assert.equal(parseAsOf(undefined), null);
+  assert.equal(parseAsOf(''), null);
+  assert.equal(parseAsOf('2024-03-01'), '2024-03-01');
+  assert.equal(parseAsOf('2024-03-01T12:00:00Z'), '2024-03-01T12:00:00Z');
+  assert.equal(parseAsOf('yesterday'), undefined);
+  assert.equal(parseAsOf('2024-13-45'), undefined);
+});
+
+test('asOfCondition is TRUE for tables without start_dt', () => {
+  assert.equal(asOfCondition('sat_site_bbl', 't', { start: false, end: false, multi: false }, '$1'), 'TRUE');
+  assert.equal(asOfCondition('sat_site_bbl', 't', undefined, '$1'), 'TRUE');
+});
+
+test('asOfCondition uses the validity window when the table has end_dt', () => {
+  const sql = asOfCondition('sat_x', 't', { start: true, end: true, multi: true }, '$2', [], 'material_id');
+  assert.match(sql, /t\.end_dt IS NULL OR t\.end_dt > \$2::timestamp/);
+  assert.doesNotMatch(sql, /MAX/);
+});
+
+test('asOfCondition partitions single-valued satellites by site (and partitionBy) only', () => {
+  const sql = asOfCondition('sat_site_attributes', 's', { start: true, end: false, multi: false }, 'NOW()', ['attribute_id'], 'attribute_value_text');
+  assert.match(sql, /FROM "sat_site_attributes" h WHERE h\."hub_site_id" = s\."hub_site_id" AND h\."attribute_id" = s\."attribute_id" AND/);
+  assert.doesNotMatch(sql, /attribute_value_text/);
+});
+
+test('asOfCondition gives each value of a multi-valued satellite its own stream', () => {
+  const sql = asOfCondition('archive.sat_site_material', 's', { start: true, end: false, multi: true }, '$1', [], 'material_id');
+  assert.match(sql, /FROM "archive"\."sat_site_material" h WHERE h\."hub_site_id" = s\."hub_site_id" AND h\."material_id" = s\."material_id" AND/);
+});
+
+// Runs the generated SQL against Postgres when TEST_DATABASE_URL is set (temporary tables only)
+test('materials added at different times all stay valid', { skip: !process.env.TEST_DATABASE_URL && 'TEST_DATABASE_URL not set' }, async () => {
+  const pool = new Pool({ connectionString: process.env.TEST_DATABASE_URL, max: 1 });
+  try {
+    await pool.query(`
+      CREATE TEMP TABLE sat_site_material (hub_site_id INTEGER, material_id INTEGER, sort_order INTEGER DEFAULT 1, start_dt TIMESTAMP);
+      INSERT INTO sat_site_material VALUES (1, 10, 1, '2024-01-01'), (1, 20, 1, '2024-02-01'), (1, 10, 1, '2024-03-01'), (2, 30, 1, '2024-01-15');
+      CREATE TEMP TABLE sat_site_built (hub_site_id INTEGER, date_combo TEXT, start_dt TIMESTAMP);
+      INSERT INTO sat_site_built VALUES (1, '1890', '2024-01-01'), (1, 'c. 1890', '2024-02-01');
+    `);
+    const valid = async (table, temporal, valueColumn, asOf) => (await pool.query(
+      `SELECT s.* FROM ${table} s WHERE ${asOfCondition(table, 's', temporal, '$1', [], valueColumn)} ORDER BY hub_site_id, start_dt`,
+      [asOf]
+    )).rows;
+    const multi = { start: true, end: false, multi: true };
+
+    const materials = (rows) => rows.map(r => `${r.hub_site_id}:${r.material_id}`);
+    assert.deepEqual(materials(await valid('sat_site_material', multi, 'material_id', '2024-02-15')), ['1:10', '1:20', '2:30']);
+    assert.deepEqual(materials(await valid('sat_site_material', multi, 'material_id', '2024-01-10')), ['1:10']);
+    // A re-recorded value supersedes only its own earlier row
+    const latest = await valid('sat_site_material', multi, 'material_id', '2024-06-01');
+    assert.deepEqual(latest.map(r => `${r.material_id}@${r.start_dt.toISOString().slice(0, 10)}`), ['20@2024-02-01', '10@2024-03-01', '30@2024-01-15']);
+
+    // Single-valued satellites still keep only the latest row per site
+    const built = await valid('sat_site_built', { start: true, end: false, multi: false }, 'date_combo', '2024-06-01');
+    assert.deepEqual(built.map(r => r.date_combo), ['c. 1890']);
+  } finally {
+    await pool.end();
+  }
+});
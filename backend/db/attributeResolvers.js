@@ -0,0 +1,107 @@
+// Resolver registry for tbl/ref/refs site attributes. Each ref_attribute_resolvers row says
+// where an attribute's values live:
+//   source_table      satellite table keyed by hub_site_id ("table" or "schema.table")
+//   value_column      column holding the value (for lookups, the key into ref_table)
+//   ref_table         optional lookup table; ref_key_column (defaults to value_column) is
+//                     matched and ref_label_column is shown instead of the raw value
+//   order_column      optional ordering within a site (e.g. sort_order, start_dt)
+const { getPool } = require('./index');
+const { quoteIdent, quoteTableName } = require('./tableQuery');
+const { parseTableName, tableNameSql } = require('./utils');
+
+// sat_site_attributes value column and client value type for each generic attribute type
+const GENERIC_ATTRIBUTE_TYPES = {
+  int: { column: 'attribute_value_int', valueType: 'number' },
+  num: { column: 'attribute_value_number', valueType: 'number' },
+  ts: { column: 'attribute_value_ts', valueType: 'date' },
+  txt: { column: 'attribute_value_text', valueType: 'text' }
+};
+
+const RESOLVER_COLUMNS = 'attribute_id, source_table, value_column, ref_table, ref_key_column, ref_label_column, order_column, updated_at';
+
+// Map attribute_id -> resolver for the given attributes
+async function loadResolvers(attributeIds) {
+  if (attributeIds.length === 0) return new Map();
+  const res = await getPool().query(
+    `SELECT ${RESOLVER_COLUMNS} FROM ref_attribute_resolvers WHERE attribute_id = ANY($1)`,
+    [attributeIds]
+  );
+  return new Map(res.rows.map(r => [r.attribute_id, r]));
+}
+
+// Error message when a resolver names tables or columns that don't exist, or tables the
+// generic table endpoints refuse (internal tables, system schemas), or null
+async function validateResolver(resolver) {
+  const { source_table, value_column, ref_table, ref_key_column, ref_label_column, order_column } = resolver;
+  if (!source_table || !value_column) return 'source_table and value_column are required';
+  if (ref_table && !ref_label_column) return 'ref_label_column is required when ref_table is set';
+  if (!ref_table && (ref_key_column || ref_label_column)) return 'ref_key_column and ref_label_column need a ref_table';
+
+  const tables = [source_table, ref_table].filter(Boolean);
+  const invalid = tables.find(table => !parseTableName(table));
+  if (invalid) return `Invalid table name: ${invalid}`;
+  const res = await getPool().query(
+    `SELECT ${tableNameSql('table_schema', 'table_name')} AS table_name, column_name FROM information_schema.columns
+     WHERE ${tableNameSql('table_schema', 'table_name')} = ANY($1)`,
+    [tables]
+  );
+  const has = (table, column) => res.rows.some(r => r.table_name === table && r.column_name === column);
+
+  for (const column of ['hub_site_id', value_column, order_column].filter(Boolean)) {
+    if (!has(source_table, column)) return `Column ${column} not found in ${source_table}`;
+  }
+  if (ref_table) {
+    for (const column of [ref_key_column || value_column, ref_label_column]) {
+      if (!has(ref_table, column)) return `Column ${column} not found in ${ref_table}`;
+    }
+  }
+  return null;
+}
+
+// Whether an attribute holds several values per site: refs always, ref never, any other type
+// when its satellite table is multi-valued (has sort_order; temporal from getTemporalColumns)
+function isMultiValued(attributeType, temporal) {
+  if (attributeType === 'refs') return true;
+  if (attributeType === 'ref') return false;
+  return Boolean(temporal?.multi);
+}
+
+// Where one attribute's values are stored: generic types in a sat_site_attributes value column
+// (rows tagged with attribute_id), tbl/ref/refs wherever their resolver points. Null for a
+// table-backed attribute without a resolver.
+function attributeSource(attr, resolver) {
+  const generic = GENERIC_ATTRIBUTE_TYPES[attr.attribute_type];
+  if (generic) {
+    return { table: 'sat_site_attributes', valueColumn: generic.column, match: { attribute_id: attr.attribute_id }, ref: null, orderColumn: null };
+  }
+  if (!resolver) return null;
+  return {
+    table: resolver.source_table,
+    valueColumn: resolver.value_column,
+    match: {},
+    ref: resolver.ref_table
+      ? { table: resolver.ref_table, key: resolver.ref_key_column || resolver.value_column, label: resolver.ref_label_column }
+      : null,
+    orderColumn: resolver.order_column
+  };
+}
+
+// SELECT for one resolver: rows of (hub_site_id, value) from alias `s`, plus `label` from the
+// lookup join when there is one. `where` is the caller's WHERE clause (site filter, as-of date)
+// against alias `s`.
+function resolverQuery(resolver, where) {
+  const src = quoteTableName(resolver.source_table);
+  const valueCol = `s.${quoteIdent(resolver.value_column)}`;
+  const order = resolver.order_column ? `s.${quoteIdent(resolver.order_column)}` : valueCol;
+  if (!resolver.ref_table) {
+    return `SELECT s.hub_site_id, ${valueCol} AS value FROM ${src} s ${where} ORDER BY s.hub_site_id, ${order}`;
+  }
+  const keyCol = quoteIdent(resolver.ref_key_column || resolver.value_column);
+  return `SELECT s.hub_site_id, ${valueCol} AS value, r.${quoteIdent(resolver.ref_label_column)} AS label
+    FROM ${src} s
+    JOIN ${quoteTableName(resolver.ref_table)} r ON r.${keyCol} = ${valueCol}
+    ${where}
+    ORDER BY s.hub_site_id, ${order}`;
+}
+
+module.exports = { GENERIC_ATTRIBUTE_TYPES, RESOLVER_COLUMNS, loadResolvers, validateResolver, isMultiValued, attributeSource, resolverQuery };
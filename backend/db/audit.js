@@ -0,0 +1,30 @@
+// Audit trail helpers: every write endpoint records who changed what in audit_log
+const { quoteIdent, quoteTableName } = require('./tableQuery');
+
+function actorOf(req) {
+  return req.user?.username || null;
+}
+
+// Insert one audit_log row using the caller's transaction client
+async function recordAudit(client, { actor, action, tableName, recordId, before = null, after = null }) {
+  await client.query(
+    `INSERT INTO audit_log (actor, action, table_name, record_id, before_data, after_data)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [
+      actor,
+      action,
+      tableName,
+      recordId == null ? null : String(recordId),
+      before == null ? null : JSON.stringify(before),
+      after == null ? null : JSON.stringify(after)
+    ]
+  );
+}
+
+// Current row for a primary key (locked for the rest of the transaction), or null
+async function fetchRowForUpdate(client, tableName, pk, id) {
+  const res = await client.query(`SELECT * FROM ${quoteTableName(tableName)} WHERE ${quoteIdent(pk)} = $1 FOR UPDATE`, [id]);
+  return res.rows[0] || null;
+}
+
+module.exports = { actorOf, recordAudit, fetchRowForUpdate };
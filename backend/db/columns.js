@@ -0,0 +1,139 @@
+const { getPool } = require('./index');
+const { getPrimaryKeyColumns, parseTableName, regclassName, tableNameSql } = require('./utils');
+
+// Inclusive bounds of Postgres' integer types (int2, int4, int8)
+const INTEGER_RANGES = {
+  smallint: [-32768n, 32767n],
+  integer: [-2147483648n, 2147483647n],
+  bigint: [-9223372036854775808n, 9223372036854775807n]
+};
+const NUMERIC_TYPES = ['numeric', 'real', 'double precision'];
+const BOOLEAN_VALUES = { true: true, t: true, yes: true, y: true, 1: true, false: false, f: false, no: false, n: false, 0: false };
+
+// Column metadata for a table: types, nullability, defaults, keys, FK targets, lengths,
+// precision, identity/serial status, comments and enum labels. Empty for unknown tables.
+async function describeColumns(tableName) {
+  const db = getPool();
+  const { schema, table } = parseTableName(tableName);
+  const cols = await db.query(
+    `SELECT c.column_name, c.data_type, c.udt_name, c.is_nullable, c.column_default,
+            c.character_maximum_length, c.numeric_precision, c.numeric_scale,
+            c.is_identity, c.identity_generation, c.is_generated,
+            col_description(format('%I.%I', c.table_schema, c.table_name)::regclass, c.ordinal_position) AS column_comment
+     FROM information_schema.columns c
+     WHERE c.table_schema = $1 AND c.table_name = $2
+     ORDER BY c.ordinal_position`,
+    [schema, table]
+  );
+  if (cols.rows.length === 0) return [];
+
+  const pkColumns = new Set(await getPrimaryKeyColumns(tableName));
+
+  const fkRes = await db.query(
+    `SELECT a.attname AS column_name, con.conname AS constraint_name,
+            ${tableNameSql('ref_ns.nspname', 'ref.relname')} AS foreign_table, fa.attname AS foreign_column
+     FROM pg_constraint con
+     JOIN pg_class ref ON ref.oid = con.confrelid
+     JOIN pg_namespace ref_ns ON ref_ns.oid = ref.relnamespace
+     CROSS JOIN LATERAL unnest(con.conkey, con.confkey) AS k(attnum, fattnum)
+     JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+     JOIN pg_attribute fa ON fa.attrelid = con.confrelid AND fa.attnum = k.fattnum
+     WHERE con.contype = 'f' AND con.conrelid = $1::regclass`,
+    [regclassName(tableName)]
+  );
+  const fkByColumn = new Map(fkRes.rows.map(r => [r.column_name, {
+    table: r.foreign_table, column: r.foreign_column, constraint: r.constraint_name
+  }]));
+
+  // Enum labels for every user-defined type in one round trip
+  const enumTypes = [...new Set(cols.rows.filter(r => r.data_type === 'USER-DEFINED').map(r => r.udt_name))];
+  const enumLabels = new Map();
+  if (enumTypes.length > 0) {
+    const enumRes = await db.query(
+      `SELECT t.typname, e.enumlabel FROM pg_type t JOIN pg_enum e ON t.oid = e.enumtypid
+       WHERE t.typname = ANY($1) ORDER BY t.typname, e.enumsortorder`,
+      [enumTypes]
+    );
+    for (const r of enumRes.rows) {
+      if (!enumLabels.has(r.typname)) enumLabels.set(r.typname, []);
+      enumLabels.get(r.typname).push(r.enumlabel);
+    }
+  }
+
+  return cols.rows.map(row => {
+    const isIdentity = row.is_identity === 'YES';
+    const isSerial = typeof row.column_default === 'string' && row.column_default.startsWith('nextval(');
+    const col = {
+      column_name: row.column_name,
+      data_type: row.data_type,
+      udt_name: row.udt_name,
+      is_nullable: row.is_nullable === 'YES',
+      column_default: row.column_default,
+      is_primary_key: pkColumns.has(row.column_name),
+      foreign_key: fkByColumn.get(row.column_name) || null,
+      max_length: row.character_maximum_length,
+      numeric_precision: row.numeric_precision,
+      numeric_scale: row.numeric_scale,
+      is_identity: isIdentity,
+      identity_generation: row.identity_generation,
+      is_serial: isSerial,
+      is_generated: row.is_generated === 'ALWAYS',
+      // True when the database fills the value in and clients should not send it
+      is_auto: isIdentity || isSerial || row.is_generated === 'ALWAYS',
+      comment: row.column_comment
+    };
+    if (enumLabels.has(row.udt_name)) col.enum_values = enumLabels.get(row.udt_name);
+    return col;
+  });
+}
+
+// ISO 8601 dates (YYYY-MM-DD), with a time and optional UTC offset when withTime is set
+// (YYYY-MM-DD HH:MM[:SS[.fff]][Z|+HH[:MM]]). Date.parse is not enough: it accepts "1" and
+// rolls "2024-02-30" over to March.
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const ISO_TIMESTAMP = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d{1,6})?)?(?:Z|[+-]\d{2}(?::?\d{2})?)?$/i;
+
+function isIsoDate(text, withTime) {
+  const m = (withTime ? ISO_TIMESTAMP : ISO_DATE).exec(text) || (withTime && ISO_DATE.exec(text));
+  if (!m) return false;
+  const [year, month, day, hour = 0, minute = 0, second = 0] = m.slice(1).map(v => (v === undefined ? undefined : Number(v)));
+  const d = new Date(Date.UTC(year, month - 1, day));
+  return d.getUTCFullYear() === year && d.getUTCMonth() === month - 1 && d.getUTCDate() === day &&
+    hour < 24 && minute < 60 && second < 60;
+}
+
+// Convert one text value (a CSV cell, a form field) to the value sent to Postgres for column
+// col (from describeColumns), or explain why it cannot be
+function coerceValue(col, raw) {
+  const text = raw.trim();
+  if (text === '') {
+    if (!col.is_nullable && col.column_default == null && !col.is_auto) return { error: 'is required' };
+    return { value: null };
+  }
+  const type = col.data_type;
+  if (INTEGER_RANGES[type]) {
+    if (!/^[-+]?\d+$/.test(text)) return { error: `expects an integer, got "${text}"` };
+    const [min, max] = INTEGER_RANGES[type];
+    const n = BigInt(text);
+    if (n < min || n > max) return { error: `must be between ${min} and ${max}, got ${text}` };
+  } else if (NUMERIC_TYPES.includes(type)) {
+    if (!Number.isFinite(Number(text))) return { error: `expects a number, got "${text}"` };
+  } else if (type === 'boolean') {
+    const b = BOOLEAN_VALUES[text.toLowerCase()];
+    if (b === undefined) return { error: `expects true/false, got "${text}"` };
+    return { value: b };
+  } else if (type === 'date') {
+    if (!isIsoDate(text, false)) return { error: `expects a date (YYYY-MM-DD), got "${text}"` };
+  } else if (type.startsWith('timestamp')) {
+    if (!isIsoDate(text, true)) return { error: `expects a date and time (YYYY-MM-DD HH:MM:SS), got "${text}"` };
+  } else if (type === 'uuid') {
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(text)) return { error: `expects a UUID, got "${text}"` };
+  } else if (type === 'json' || type === 'jsonb') {
+    try { JSON.parse(text); } catch (e) { return { error: 'expects valid JSON' }; }
+  } else if (col.max_length && text.length > col.max_length) {
+    return { error: `is longer than ${col.max_length} characters` };
+  }
+  return { value: text };
+}
+
+module.exports = { describeColumns, coerceValue };
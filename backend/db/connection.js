@@ -0,0 +1,104 @@
+// PostgreSQL pool lifecycle. The pool is handed to controllers (db/index.js) once the database
+// answers; until then they report "Database not connected". Connection attempts back off
+// exponentially (db.retry.baseMs doubling up to db.retry.maxMs, see config.js) and never give
+// up. A pool error or a failed readiness check starts the same probe loop again.
+const { createPool } = require('../config');
+const { setPool } = require('./index');
+
+// status: 'connecting' until the first successful probe, then 'connected' or 'reconnecting'
+const state = { status: 'connecting', attempts: 0, lastError: null, connectedAt: null };
+let pool = null;
+let retryTimer = null;
+let probing = false;
+let retry = { baseMs: 1000, maxMs: 30000 };
+
+function recordError(err) {
+  state.lastError = { message: err.message, code: err.code || null, at: new Date().toISOString() };
+}
+
+// Delay before the next attempt: base, 2x base, 4x base, ... capped at the maximum
+const backoff = (attempt) => Math.min(retry.maxMs, retry.baseMs * 2 ** Math.max(0, attempt - 1));
+
+async function probe() {
+  retryTimer = null;
+  state.attempts++;
+  try {
+    await pool.query('SELECT 1');
+    const recovered = state.status === 'reconnecting';
+    state.status = 'connected';
+    state.attempts = 0;
+    state.connectedAt = new Date().toISOString();
+    probing = false;
+    setPool(pool);
+    console.log(recovered ? '✅ Reconnected to PostgreSQL' : '✅ Connected to PostgreSQL');
+  } catch (err) {
+    recordError(err);
+    const delay = backoff(state.attempts);
+    console.error(`❌ Database connection failed (attempt ${state.attempts}): ${err.message}. Retrying in ${delay}ms`);
+    retryTimer = setTimeout(probe, delay);
+  }
+}
+
+// Start the probe loop unless one is already running
+function startProbing() {
+  if (probing) return;
+  probing = true;
+  if (state.status === 'connected') state.status = 'reconnecting';
+  probe();
+}
+
+// Create the pool for a parsed db config (config.js) and start connecting; resolves after the
+// first attempt either way
+async function connectDatabase(db) {
+  if (pool) return;
+  console.log(`Connecting to PostgreSQL at ${db.target} (ssl: ${db.sslMode})...`);
+  retry = db.retry;
+  pool = createPool(db);
+
+  // Errors on idle clients (e.g. the server restarted or dropped the connection) land here;
+  // without a listener they would crash the process
+  pool.on('error', (err) => {
+    recordError(err);
+    console.error('PostgreSQL pool error:', err.message);
+    startProbing();
+  });
+
+  probing = true;
+  await probe();
+}
+
+// True when the database answers now; a failure marks the pool as reconnecting
+async function checkReady() {
+  if (!pool || state.status !== 'connected') return false;
+  try {
+    await pool.query('SELECT 1');
+    return true;
+  } catch (err) {
+    recordError(err);
+    startProbing();
+    return false;
+  }
+}
+
+function getDatabaseHealth() {
+  return {
+    status: state.status,
+    connectedAt: state.connectedAt,
+    attempts: state.attempts,
+    lastError: state.lastError,
+    pool: pool
+      ? { total: pool.totalCount, idle: pool.idleCount, waiting: pool.waitingCount, max: pool.options.max }
+      : null
+  };
+}
+
+// Stop retrying and close the pool (for shutdown)
+async function closeDatabase() {
+  if (retryTimer) clearTimeout(retryTimer);
+  retryTimer = null;
+  if (pool) await pool.end();
+  pool = null;
+  setPool(null);
+}
+
+module.exports = { connectDatabase, checkReady, getDatabaseHealth, closeDatabase };
@@ -0,0 +1,55 @@
+// Minimal RFC 4180 CSV parsing: quoted fields, doubled quotes, embedded commas and newlines,
+// CRLF or LF line endings and an optional UTF-8 BOM. Returns an array of rows (arrays of strings).
+function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (inQuotes) throw new Error('Unterminated quoted field');
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(r => !(r.length === 1 && r[0].trim() === ''));
+}
+
+// One CSV record (with trailing CRLF); fields containing commas, quotes or line breaks are quoted
+function toCsvLine(values) {
+  return values.map(v => {
+    if (v == null) return '';
+    const text = String(v);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsvLine };
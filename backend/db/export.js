@@ -0,0 +1,82 @@
+// Writes a result set to the response as a CSV, XLSX or NDJSON download. Rows are written one at
+// a time so the response starts before the whole file has been built; `rows` may be an async
+// iterable (e.g. batches fetched from a cursor), and CSV/NDJSON writes wait for the socket to drain.
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const { toCsvLine } = require('./csv');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+// Rows fetched per round trip when an export reads from a server-side cursor
+const EXPORT_BATCH_SIZE = 1000;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+// Text a spreadsheet would run as a formula (or DDE command) when the file is opened. Plain
+// numbers such as "-12.5" (numeric columns arrive as strings) are left alone.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+// Dates and JSON (e.g. GeoJSON geometry) become text; text that looks like a formula is
+// prefixed with ' so it stays text; everything else passes through
+function cellValue(value) {
+  if (value == null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  if (typeof value === 'string' && FORMULA_START.test(value) && !NUMBER.test(value)) return `'${value}`;
+  return value;
+}
+
+// Waits for 'drain' when the socket buffer is full; fails once the client has gone away so a
+// cursor-backed export stops fetching
+async function write(res, chunk) {
+  if (res.destroyed) throw new Error('Client closed the connection before the export finished');
+  if (!res.write(chunk)) await Promise.race([once(res, 'drain'), once(res, 'close')]);
+}
+
+// Rows until the client goes away; the caller's cursor is then closed by its error handling
+// instead of fetching the rest of the result for nobody
+async function* untilClosed(res, rows) {
+  for await (const row of rows) {
+    if (res.destroyed) throw new Error('Client closed the connection before the export finished');
+    yield row;
+  }
+}
+
+// columns: [{ key, header }]; rows: objects (or arrays) indexed by column key
+async function sendExport(res, { format, filename, columns, rows }) {
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  rows = untilClosed(res, rows);
+
+  if (format === 'csv') {
+    // BOM so Excel opens UTF-8 text correctly
+    await write(res, '\uFEFF' + toCsvLine(columns.map(c => c.header)));
+    for await (const row of rows) await write(res, toCsvLine(columns.map(c => cellValue(row[c.key]))));
+    res.end();
+    return;
+  }
+
+  // One JSON object per line, keeping numbers, booleans and nested JSON as they are
+  if (format === 'ndjson') {
+    for await (const row of rows) {
+      await write(res, JSON.stringify(Object.fromEntries(columns.map(c => [c.header, row[c.key] ?? null]))) + '\n');
+    }
+    res.end();
+    return;
+  }
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+  const sheet = workbook.addWorksheet(filename.replace(/[[\]:*?/\\]/g, '_').slice(0, 31));
+  sheet.columns = columns.map(c => ({ header: c.header, key: c.key }));
+  for await (const row of rows) {
+    sheet.addRow(Object.fromEntries(columns.map(c => [c.key, cellValue(row[c.key])]))).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+}
+
+module.exports = { EXPORT_FORMATS, EXPORT_BATCH_SIZE, sendExport };
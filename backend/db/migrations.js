@@ -0,0 +1,108 @@
+// Versioned schema migrations. Each file in backend/migrations is named NNN_description.js and
+// exports `up` and `down`, either SQL strings or async functions taking a client. Applied
+// versions are tracked in schema_migrations; every migration runs in its own transaction.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Migration files in version order: [{ version, name, file }]
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => {
+      const match = file.match(FILE_PATTERN);
+      return match && { version: parseInt(match[1], 10), name: match[2], file: path.join(dir, file) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+  return migrations;
+}
+
+// File name without the extension, e.g. 003_site_attributes
+const label = (m) => `${String(m.version).padStart(3, '0')}_${m.name}`;
+
+async function ensureMigrationsTable(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+// Map version -> { name, applied_at } of the migrations recorded as applied
+async function getAppliedMigrations(pool) {
+  await ensureMigrationsTable(pool);
+  const res = await pool.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(res.rows.map(r => [r.version, r]));
+}
+
+async function runStep(pool, migration, direction) {
+  const step = require(migration.file)[direction];
+  if (!step) throw new Error(`Migration ${label(migration)} has no ${direction}`);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    if (typeof step === 'function') await step(client);
+    else await client.query(step);
+    if (direction === 'up') {
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${label(migration)} (${direction}) failed: ${err.message}`);
+  } finally {
+    client.release();
+  }
+}
+
+// Every migration file with its applied_at (null when pending), plus applied versions whose
+// file is missing from this checkout
+async function migrationStatus(pool) {
+  const applied = await getAppliedMigrations(pool);
+  const migrations = loadMigrations();
+  const known = new Set(migrations.map(m => m.version));
+  return {
+    migrations: migrations.map(m => ({ version: m.version, name: m.name, applied_at: applied.get(m.version)?.applied_at || null })),
+    missing: [...applied.values()].filter(a => !known.has(a.version))
+  };
+}
+
+// Apply all pending migrations in order; returns the ones applied
+async function migrateUp(pool, { log = () => {} } = {}) {
+  const applied = await getAppliedMigrations(pool);
+  const pending = loadMigrations().filter(m => !applied.has(m.version));
+  for (const migration of pending) {
+    log(`  ↑ ${label(migration)}`);
+    await runStep(pool, migration, 'up');
+  }
+  return pending;
+}
+
+// Revert the most recently applied migrations (newest first); returns the ones reverted
+async function migrateDown(pool, steps = 1, { log = () => {} } = {}) {
+  const applied = await getAppliedMigrations(pool);
+  const byVersion = new Map(loadMigrations().map(m => [m.version, m]));
+  const versions = [...applied.keys()].sort((a, b) => b - a).slice(0, steps);
+  const reverted = [];
+  for (const version of versions) {
+    const migration = byVersion.get(version);
+    if (!migration) throw new Error(`Migration file for applied version ${version} is missing`);
+    log(`  ↓ ${label(migration)}`);
+    await runStep(pool, migration, 'down');
+    reverted.push(migration);
+  }
+  return reverted;
+}
+
+module.exports = { MIGRATIONS_DIR, label, loadMigrations, migrationStatus, migrateUp, migrateDown };
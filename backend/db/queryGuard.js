@@ -0,0 +1,207 @@
+// Query Editor safety checks on the parse tree from PostgreSQL's own parser (libpg-query), so
+// string literals, comments and quoting are understood exactly as the server will. A query must
+// be one SELECT, EXPLAIN of a SELECT, or SHOW; data-modifying CTEs, SELECT INTO, row locks, the
+// application's internal tables and any function not on ALLOWED_FUNCTIONS (server-side actions,
+// and functions that run SQL of their own, which the allowlist could not see into) are refused.
+// The read-only transaction in queryController stays as the second line of defence.
+const { parse } = require('libpg-query');
+const { INTERNAL_TABLES } = require('./utils');
+
+const STATEMENT_KINDS = { SelectStmt: 'select', ExplainStmt: 'explain', VariableShowStmt: 'show' };
+
+const STATEMENT_NAMES = {
+  InsertStmt: 'INSERT', UpdateStmt: 'UPDATE', DeleteStmt: 'DELETE', MergeStmt: 'MERGE',
+  CreateStmt: 'CREATE TABLE', CreateTableAsStmt: 'CREATE TABLE AS', DropStmt: 'DROP', TruncateStmt: 'TRUNCATE',
+  AlterTableStmt: 'ALTER TABLE', GrantStmt: 'GRANT', VariableSetStmt: 'SET', TransactionStmt: 'transaction control',
+  CopyStmt: 'COPY', DoStmt: 'DO', CallStmt: 'CALL', DeclareCursorStmt: 'DECLARE', VacuumStmt: 'VACUUM'
+};
+
+// Functions a query may call: plain computations over their arguments. Anything else is refused,
+// as some functions read tables by name or run SQL passed in as a string (query_to_xml, ts_stat,
+// dblink, ...). Includes the pg_catalog names the parser turns SQL syntax into (EXTRACT, TRIM,
+// SIMILAR TO, AT TIME ZONE, ...).
+const ALLOWED_FUNCTIONS = new Set([
+  // aggregates and window functions
+  'count', 'sum', 'avg', 'min', 'max', 'array_agg', 'string_agg', 'bool_and', 'bool_or', 'every', 'bit_and', 'bit_or',
+  'stddev', 'stddev_pop', 'stddev_samp', 'variance', 'var_pop', 'var_samp', 'corr', 'covar_pop', 'covar_samp',
+  'percentile_cont', 'percentile_disc', 'mode', 'row_number', 'rank', 'dense_rank', 'percent_rank', 'cume_dist',
+  'ntile', 'lag', 'lead', 'first_value', 'last_value', 'nth_value',
+  // numbers
+  'abs', 'ceil', 'ceiling', 'floor', 'round', 'trunc', 'sign', 'sqrt', 'cbrt', 'power', 'exp', 'ln', 'log', 'log10',
+  'mod', 'div', 'pi', 'degrees', 'radians', 'sin', 'cos', 'tan', 'asin', 'acos', 'atan', 'atan2', 'random',
+  'width_bucket', 'to_number',
+  // text
+  'length', 'char_length', 'character_length', 'octet_length', 'lower', 'upper', 'initcap', 'btrim', 'ltrim', 'rtrim',
+  'substring', 'substr', 'position', 'strpos', 'overlay', 'replace', 'translate', 'left', 'right', 'lpad', 'rpad',
+  'repeat', 'reverse', 'split_part', 'concat', 'concat_ws', 'format', 'regexp_replace', 'regexp_match',
+  'regexp_matches', 'regexp_split_to_array', 'regexp_split_to_table', 'regexp_like', 'regexp_count', 'starts_with',
+  'similar_to_escape', 'md5', 'encode', 'decode', 'to_hex', 'ascii', 'chr', 'quote_ident', 'quote_literal',
+  'quote_nullable', 'string_to_array', 'array_to_string', 'normalize', 'is_normalized', 'pg_collation_for',
+  // dates and times
+  'now', 'clock_timestamp', 'statement_timestamp', 'transaction_timestamp', 'date_part', 'date_trunc', 'date_bin',
+  'extract', 'age', 'make_date', 'make_time', 'make_timestamp', 'make_timestamptz', 'make_interval', 'to_char',
+  'to_date', 'to_timestamp', 'justify_days', 'justify_hours', 'justify_interval', 'isfinite', 'timezone',
+  // arrays and sets
+  'array_length', 'array_lower', 'array_upper', 'array_dims', 'array_ndims', 'array_position', 'array_positions',
+  'array_append', 'array_prepend', 'array_cat', 'array_remove', 'array_replace', 'cardinality', 'unnest',
+  'generate_series', 'generate_subscripts',
+  // JSON (plus every json_* / jsonb_* function) and full-text search
+  'to_json', 'to_jsonb', 'row_to_json', 'array_to_json', 'to_tsvector', 'to_tsquery', 'plainto_tsquery',
+  'phraseto_tsquery', 'websearch_to_tsquery', 'ts_rank', 'ts_rank_cd', 'ts_headline', 'setweight',
+  // other
+  'pg_typeof', 'num_nulls', 'num_nonnulls', 'gen_random_uuid'
+]);
+
+// Whole families: JSON and PostGIS (st_*), less the PostGIS functions that look tables up by name
+const ALLOWED_FUNCTION_PREFIXES = ['json_', 'jsonb_', 'st_'];
+const REFUSED_WITHIN_PREFIXES = new Set(['st_estimatedextent', 'st_findextent']);
+
+const lastName = (names) => names[names.length - 1].String.sval.toLowerCase();
+
+// Functions are only looked up unqualified or in pg_catalog / public (where PostGIS lives)
+const FUNCTION_SCHEMAS = new Set(['pg_catalog', 'public']);
+
+function isAllowedFunction(names) {
+  const name = lastName(names);
+  if (names.length > 1 && !FUNCTION_SCHEMAS.has(names[names.length - 2].String.sval.toLowerCase())) return false;
+  if (ALLOWED_FUNCTIONS.has(name)) return true;
+  return ALLOWED_FUNCTION_PREFIXES.some(p => name.startsWith(p)) && !REFUSED_WITHIN_PREFIXES.has(name);
+}
+
+// { schema, name } named by a regclass string such as 'app_users' or 'public."Foo"', folded
+// the way Postgres folds identifiers
+function regclassRelation(text) {
+  const parts = (text.match(/"(?:[^"]|"")*"|[^."]+/g) || [])
+    .map(p => (p.startsWith('"') ? p.slice(1, -1).replace(/""/g, '"') : p.trim().toLowerCase()));
+  if (parts.length === 0) return null;
+  return { schema: parts.length > 1 ? parts[parts.length - 2] : null, name: parts[parts.length - 1] };
+}
+
+const statementName = (type) => STATEMENT_NAMES[type] || type.replace(/Stmt$/, '');
+
+// Calls visit(type, node, ctes) for every node below `node`. Parse-tree nodes are single-key
+// objects whose key is the node type (capitalised), e.g. { RangeVar: { relname, schemaname } }.
+// `ctes` holds the WITH names in scope at that node: a SELECT's own WITH list is visible to its
+// body, and to each CTE only the ones before it (or all of them under WITH RECURSIVE).
+function walk(node, visit, ctes = new Set()) {
+  if (Array.isArray(node)) {
+    node.forEach(n => walk(n, visit, ctes));
+    return;
+  }
+  if (!node || typeof node !== 'object') return;
+  for (const [key, value] of Object.entries(node)) {
+    if (!/^[A-Z]/.test(key) || !value || typeof value !== 'object') {
+      walk(value, visit, ctes);
+      continue;
+    }
+    visit(key, value, ctes);
+    if (key === 'SelectStmt' && value.withClause) {
+      const { ctes: list = [], recursive } = value.withClause;
+      const names = list.map(c => c.CommonTableExpr.ctename);
+      list.forEach((cte, i) => walk(cte, visit, new Set([...ctes, ...names.slice(0, recursive ? names.length : i)])));
+      const { withClause, ...body } = value;
+      walk(body, visit, new Set([...ctes, ...names]));
+    } else {
+      walk(value, visit, ctes);
+    }
+  }
+}
+
+// Parse and classify a Query Editor statement. Returns { error } when it must be refused, or
+// { kind: 'select' | 'explain' | 'show', statement, relations, paramCount } where statement is
+// the SQL without a trailing semicolon and relations are the tables it names ({ schema, name },
+// schema null when unqualified).
+async function inspectQuery(sql) {
+  if (!sql || typeof sql !== 'string' || !sql.trim()) return { error: 'Query required' };
+
+  let tree;
+  try {
+    tree = await parse(sql);
+  } catch (err) {
+    const position = err.sqlDetails?.cursorPosition;
+    return { error: `${err.message}${position != null ? ` (at character ${position + 1})` : ''}` };
+  }
+  if (tree.stmts.length === 0) return { error: 'Query required' };
+  if (tree.stmts.length > 1) return { error: `Only one statement can be run at a time (found ${tree.stmts.length})` };
+
+  const { stmt, stmt_location: start = 0, stmt_len: length } = tree.stmts[0];
+  const [type] = Object.keys(stmt);
+  const kind = STATEMENT_KINDS[type];
+  if (!kind) return { error: `Only read-only queries are allowed: ${statementName(type)} statements are not permitted` };
+  if (kind === 'explain') {
+    const [inner] = Object.keys(stmt.ExplainStmt.query);
+    if (inner !== 'SelectStmt') return { error: `Only SELECT queries can be explained, not ${statementName(inner)}` };
+  }
+
+  const relations = [];
+  let paramCount = 0;
+  let error = null;
+  walk(stmt, (nodeType, node, ctes) => {
+    if (error) return;
+    if (nodeType !== type && STATEMENT_NAMES[nodeType]) {
+      error = `Data-modifying statements are not allowed (${statementName(nodeType)} inside the query)`;
+    } else if (nodeType === 'SelectStmt' && node.intoClause) {
+      error = 'SELECT INTO creates a table and is not allowed';
+    } else if (nodeType === 'LockingClause') {
+      error = 'Row locking clauses (FOR UPDATE / FOR SHARE) are not allowed';
+    } else if (nodeType === 'FuncCall') {
+      if (!isAllowedFunction(node.funcname)) error = `Function ${lastName(node.funcname)}() is not allowed`;
+    } else if (nodeType === 'TypeCast' && node.arg?.A_Const?.sval && lastName(node.typeName.names) === 'regclass') {
+      // 'app_users'::regclass names a table without a RangeVar
+      const rel = regclassRelation(node.arg.A_Const.sval.sval);
+      if (rel) relations.push(rel);
+    } else if (nodeType === 'RangeVar' && (node.schemaname || !ctes.has(node.relname))) {
+      relations.push({ schema: node.schemaname || null, name: node.relname });
+    } else if (nodeType === 'ParamRef') {
+      paramCount = Math.max(paramCount, node.number);
+    }
+  });
+  if (error) return { error };
+  // Internal tables stay out of reach whatever the role's allowlist says
+  const internal = relations.find(r => (!r.schema || r.schema === 'public') && INTERNAL_TABLES.has(r.name));
+  if (internal) return { error: `Table ${internal.name} is internal to the application and cannot be queried` };
+
+  // Offsets are in UTF-8 bytes; a zero or missing length runs to the end of the input
+  const bytes = Buffer.from(sql);
+  const statement = bytes.subarray(start, length ? start + length : bytes.length).toString().trim();
+  return {
+    kind,
+    statement,
+    relations,
+    paramCount
+  };
+}
+
+// Checks the relations a query reads against the caller's allowlist (config.queryAllowlist, see
+// config.js). Unqualified names are resolved on `client` so its search_path decides the schema.
+// Returns an error message, or null when the query may run.
+async function checkAllowlist(client, relations, role, allowlist) {
+  const allowed = allowlist?.[role];
+  if (!allowed || relations.length === 0) return null;
+
+  const unqualified = [...new Set(relations.filter(r => !r.schema).map(r => r.name))];
+  const resolved = new Map();
+  if (unqualified.length > 0) {
+    const res = await client.query(
+      `SELECT t.name, n.nspname AS schema
+       FROM unnest($1::text[]) AS t(name)
+       JOIN pg_class c ON c.oid = to_regclass(quote_ident(t.name))
+       JOIN pg_namespace n ON n.oid = c.relnamespace`,
+      [unqualified]
+    );
+    res.rows.forEach(r => resolved.set(r.name, r.schema));
+  }
+
+  for (const rel of relations) {
+    const schema = rel.schema || resolved.get(rel.name);
+    // Names that do not resolve are left for Postgres to report as missing
+    if (!schema) continue;
+    if (!allowed.some(a => a.schema === schema && (a.table === null || a.table === rel.name))) {
+      const list = allowed.map(a => `${a.schema}.${a.table || '*'}`).join(', ') || 'none';
+      return `Table ${schema}.${rel.name} is not available to the ${role} role (allowed: ${list})`;
+    }
+  }
+  return null;
+}
+
+module.exports = { inspectQuery, checkAllowlist };
@@ -0,0 +1,80 @@
+// Foreign-key lookups from the Postgres catalog, and resolution of referenced ids to
+// human-readable labels. Composite keys are returned with their columns in key order; table
+// names are bare for public tables and schema-qualified otherwise (see parseTableName).
+const { getPool } = require('./index');
+const { quoteIdent, quoteTableName } = require('./tableQuery');
+const { parseTableName, tableNameSql, regclassName } = require('./utils');
+
+const FK_SELECT = `
+  SELECT con.conname AS constraint_name,
+         ${tableNameSql('src_ns.nspname', 'src.relname')} AS table_name,
+         ${tableNameSql('ref_ns.nspname', 'ref.relname')} AS foreign_table,
+         array_agg(a.attname ORDER BY k.ord) AS columns,
+         array_agg(fa.attname ORDER BY k.ord) AS foreign_columns
+  FROM pg_constraint con
+  JOIN pg_class src ON src.oid = con.conrelid
+  JOIN pg_namespace src_ns ON src_ns.oid = src.relnamespace
+  JOIN pg_class ref ON ref.oid = con.confrelid
+  JOIN pg_namespace ref_ns ON ref_ns.oid = ref.relnamespace
+  CROSS JOIN LATERAL unnest(con.conkey, con.confkey) WITH ORDINALITY AS k(attnum, fattnum, ord)
+  JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+  JOIN pg_attribute fa ON fa.attrelid = con.confrelid AND fa.attnum = k.fattnum
+  WHERE con.contype = 'f' AND %s
+  GROUP BY con.conname, src_ns.nspname, src.relname, ref_ns.nspname, ref.relname
+  ORDER BY table_name, con.conname`;
+
+// FKs in other tables (or this one, for self-references) that point at tableName
+async function getReferencingForeignKeys(tableName) {
+  const res = await getPool().query(FK_SELECT.replace('%s', 'con.confrelid = $1::regclass'), [regclassName(tableName)]);
+  return res.rows;
+}
+
+// FKs declared on tableName itself
+async function getOutgoingForeignKeys(tableName) {
+  const res = await getPool().query(FK_SELECT.replace('%s', 'con.conrelid = $1::regclass'), [regclassName(tableName)]);
+  return res.rows;
+}
+
+// Best column to show in place of a key: *_nm / *_name / name / title / label, else the
+// first text column that is not part of the key itself
+const LABEL_PATTERNS = [/_nm$/, /_name$/, /^name$/, /^title$/, /^label$/];
+
+async function pickLabelColumn(tableName, keyColumns = []) {
+  const ref = parseTableName(tableName);
+  if (!ref) return null;
+  const res = await getPool().query(
+    `SELECT column_name, data_type FROM information_schema.columns
+     WHERE table_schema = $1 AND table_name = $2 ORDER BY ordinal_position`,
+    [ref.schema, ref.table]
+  );
+  const textCols = res.rows
+    .filter(r => ['character varying', 'text', 'character'].includes(r.data_type))
+    .map(r => r.column_name)
+    .filter(c => !keyColumns.includes(c));
+  for (const pattern of LABEL_PATTERNS) {
+    const match = textCols.find(c => pattern.test(c));
+    if (match) return match;
+  }
+  return textCols[0] || null;
+}
+
+// { value -> label } for the given single-column FK, limited to the values actually present
+async function resolveLabels(fk, values) {
+  if (fk.columns.length !== 1) return {};
+  const distinct = [...new Set(values.filter(v => v != null).map(String))];
+  if (distinct.length === 0) return {};
+  const keyCol = fk.foreign_columns[0];
+  const labelCol = await pickLabelColumn(fk.foreign_table, [keyCol]);
+  if (!labelCol) return {};
+
+  const res = await getPool().query(
+    `SELECT ${quoteIdent(keyCol)}::text AS key, ${quoteIdent(labelCol)} AS label
+     FROM ${quoteTableName(fk.foreign_table)} WHERE ${quoteIdent(keyCol)}::text = ANY($1)`,
+    [distinct]
+  );
+  const labels = {};
+  for (const r of res.rows) labels[r.key] = r.label;
+  return labels;
+}
+
+module.exports = { getReferencingForeignKeys, getOutgoingForeignKeys, pickLabelColumn, resolveLabels };
@@ -0,0 +1,37 @@
+// PostGIS helpers shared by the geometry and spatial search endpoints. Everything facing the
+// client is WGS84 (EPSG:4326) longitude/latitude.
+
+// SQL for a geometry expression normalised to 4326: stored shapes may be in a local CRS
+// (e.g. EPSG:2263) or carry no SRID at all, which is treated as already being 4326
+function toWgs84(expr) {
+  return `CASE WHEN ST_SRID(${expr}) = 4326 THEN ${expr}
+               WHEN ST_SRID(${expr}) = 0 THEN ST_SetSRID(${expr}, 4326)
+               ELSE ST_Transform(${expr}, 4326) END`;
+}
+
+// Parse "minLng,minLat,maxLng,maxLat" into four numbers, or null when malformed
+function parseBbox(value) {
+  const parts = String(value).split(',').map(v => Number(v.trim()));
+  if (parts.length !== 4 || parts.some(n => !Number.isFinite(n))) return null;
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLng > maxLng || minLat > maxLat) return null;
+  return parts;
+}
+
+// Parse "lng,lat" into [lng, lat], or null when malformed or out of range
+function parsePoint(value) {
+  const parts = String(value).split(',').map(v => Number(v.trim()));
+  if (parts.length !== 2 || parts.some(n => !Number.isFinite(n))) return null;
+  const [lng, lat] = parts;
+  if (Math.abs(lng) > 180 || Math.abs(lat) > 90) return null;
+  return parts;
+}
+
+// Accepts a GeoJSON Polygon/MultiPolygon, or a Feature wrapping one; returns the geometry or null
+function polygonFromGeoJson(input) {
+  const geometry = input && input.type === 'Feature' ? input.geometry : input;
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type) || !Array.isArray(geometry.coordinates)) return null;
+  return geometry;
+}
+
+module.exports = { toWgs84, parseBbox, parsePoint, polygonFromGeoJson };
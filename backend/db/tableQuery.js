@@ -0,0 +1,168 @@
+// Builds the filter / sort / projection parts of a table listing from request query params.
+// Every identifier is checked against the table's columns (from information_schema) before it
+// reaches SQL; values are always passed as parameters.
+//
+//   filter[col][op]=value   op: eq, neq, lt, gt, in, between, isnull, contains
+//                           in/between take comma-separated values (or repeated params);
+//                           isnull takes true/false
+//   sort=col,-other         leading '-' sorts descending
+//   fields=col,other        projection (defaults to every column)
+
+const FILTER_OPS = ['eq', 'neq', 'lt', 'gt', 'in', 'between', 'isnull', 'contains'];
+
+function quoteIdent(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// "table" or "schema.table" (see parseTableName in utils.js) quoted part by part
+function quoteTableName(name) {
+  return String(name).split('.').map(quoteIdent).join('.');
+}
+
+function toList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values.flatMap(v => String(v).split(',')).map(v => v.trim()).filter(v => v !== '');
+}
+
+// columns: [{ column_name, data_type, udt_name }] in ordinal order
+// params: array that placeholders are appended to (so callers can add their own first)
+// Returns { error } or { select, where, orderBy, sort, fields }
+function parseTableQuery(columns, query, params, { primaryKey = null } = {}) {
+  const byName = new Map(columns.map(c => [c.column_name, c]));
+  const addParam = (v) => { params.push(v); return `$${params.length}`; };
+
+  // Projection
+  let fields = columns.map(c => c.column_name);
+  if (query.fields) {
+    fields = toList(query.fields);
+    const unknown = fields.filter(f => !byName.has(f));
+    if (unknown.length > 0) return { error: `Unknown column in fields: ${unknown.join(', ')}` };
+    if (fields.length === 0) return { error: 'fields must list at least one column' };
+  }
+  const select = fields.map(f => {
+    const q = quoteIdent(f);
+    return byName.get(f).udt_name === 'geometry' ? `ST_AsGeoJSON(${q})::text AS ${q}` : q;
+  }).join(', ');
+
+  // Filters
+  const clauses = [];
+  const filter = query.filter || {};
+  if (typeof filter !== 'object' || Array.isArray(filter)) return { error: 'filter must be of the form filter[column][op]=value' };
+  for (const [col, ops] of Object.entries(filter)) {
+    const meta = byName.get(col);
+    if (!meta) return { error: `Unknown column in filter: ${col}` };
+    if (typeof ops !== 'object' || Array.isArray(ops)) return { error: `Filter on ${col} must specify an operator` };
+    const c = quoteIdent(col);
+    const isGeometry = meta.udt_name === 'geometry';
+
+    for (const [op, value] of Object.entries(ops)) {
+      if (!FILTER_OPS.includes(op)) return { error: `Unknown filter operator: ${op}. Allowed values: ${FILTER_OPS.join(', ')}` };
+      if (isGeometry && op !== 'isnull') return { error: `Geometry column ${col} only supports isnull` };
+
+      if (op === 'isnull') {
+        const v = String(value).toLowerCase();
+        if (v !== 'true' && v !== 'false') return { error: `isnull on ${col} must be true or false` };
+        clauses.push(`${c} IS ${v === 'true' ? '' : 'NOT '}NULL`);
+      } else if (op === 'in') {
+        const list = toList(value);
+        if (list.length === 0) return { error: `in on ${col} needs at least one value` };
+        clauses.push(`${c} = ANY(${addParam(list)})`);
+      } else if (op === 'between') {
+        const list = toList(value);
+        if (list.length !== 2) return { error: `between on ${col} needs exactly two values` };
+        clauses.push(`${c} BETWEEN ${addParam(list[0])} AND ${addParam(list[1])}`);
+      } else if (op === 'contains') {
+        clauses.push(`${c}::text ILIKE ${addParam(`%${value}%`)}`);
+      } else {
+        const sqlOp = { eq: '=', neq: '<>', lt: '<', gt: '>' }[op];
+        clauses.push(`${c} ${sqlOp} ${addParam(String(value))}`);
+      }
+    }
+  }
+
+  // Sort (primary key appended as a tiebreaker so paging is stable)
+  const sort = [];
+  for (const item of query.sort ? toList(query.sort) : []) {
+    const desc = item.startsWith('-');
+    const col = desc ? item.slice(1) : item;
+    if (!byName.has(col)) return { error: `Unknown column in sort: ${col}` };
+    if (byName.get(col).udt_name === 'geometry') return { error: `Cannot sort by geometry column ${col}` };
+    sort.push({ column: col, desc });
+  }
+  if (primaryKey && !sort.some(s => s.column === primaryKey)) sort.push({ column: primaryKey, desc: false });
+  const orderBy = sort.length > 0
+    ? `ORDER BY ${sort.map(s => `${quoteIdent(s.column)} ${s.desc ? 'DESC' : 'ASC'}`).join(', ')}`
+    : '';
+
+  return { select, where: clauses, orderBy, sort, fields };
+}
+
+// --- Keyset (cursor) pagination ---
+// A cursor is base64url JSON holding the sort-key values of a boundary row, the direction to
+// page in, and the sort it was produced for. Values are carried as text so comparisons are exact.
+
+function sortSignature(sort) {
+  return sort.map(s => `${s.desc ? '-' : ''}${s.column}`).join(',');
+}
+
+function encodeCursor(sort, values, direction) {
+  return Buffer.from(JSON.stringify({ s: sortSignature(sort), v: values, d: direction })).toString('base64url');
+}
+
+// Returns { error } or { values, direction }
+function decodeCursor(cursor, sort) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (e) {
+    return { error: 'Invalid cursor' };
+  }
+  if (!payload || !Array.isArray(payload.v) || payload.v.length !== sort.length || !['next', 'prev'].includes(payload.d)) {
+    return { error: 'Invalid cursor' };
+  }
+  if (payload.s !== sortSignature(sort)) return { error: 'Cursor does not match the current sort' };
+  return { values: payload.v, direction: payload.d };
+}
+
+// Rows strictly after (or before) the boundary row in the given sort. Follows Postgres' default
+// null placement: NULLS LAST for ASC, NULLS FIRST for DESC.
+function keysetClause(sort, values, direction, addParam) {
+  const forward = direction === 'next';
+  const terms = sort.map((s, i) => {
+    const c = quoteIdent(s.column);
+    const v = values[i];
+    if (v == null) {
+      // Nulls sit at the end of an ASC sort and at the start of a DESC sort
+      const nullsAtEnd = !s.desc;
+      return { eq: `${c} IS NULL`, cmp: forward === nullsAtEnd ? 'FALSE' : `${c} IS NOT NULL` };
+    }
+    const ph = addParam(v);
+    // Moving toward larger values also moves toward the nulls (last in ASC, first in DESC)
+    const towardNulls = forward !== s.desc;
+    const cmp = towardNulls ? `(${c} > ${ph} OR ${c} IS NULL)` : `${c} < ${ph}`;
+    return { eq: `${c} = ${ph}`, cmp };
+  });
+  const ors = terms.map((t, i) => [...terms.slice(0, i).map(x => x.eq), t.cmp].join(' AND '));
+  return `(${ors.map(o => `(${o})`).join(' OR ')})`;
+}
+
+// Extra select expressions exposing each sort key as text for building cursors
+function cursorKeySelect(sort) {
+  return sort.map((s, i) => `${quoteIdent(s.column)}::text AS "__cursor_${i}"`).join(', ');
+}
+
+function orderByFor(sort, reverse = false) {
+  return `ORDER BY ${sort.map(s => `${quoteIdent(s.column)} ${s.desc !== reverse ? 'DESC' : 'ASC'}`).join(', ')}`;
+}
+
+module.exports = {
+  FILTER_OPS,
+  quoteIdent,
+  quoteTableName,
+  parseTableQuery,
+  encodeCursor,
+  decodeCursor,
+  keysetClause,
+  cursorKeySelect,
+  orderByFor
+};
@@ -0,0 +1,51 @@
+// As-of-date filtering for satellite tables. A satellite row is valid from its start_dt; when
+// the table also has end_dt the row stops being valid there, otherwise it is superseded by
+// the next row (for the same site and partition) with a later start_dt. Multi-valued
+// satellites (those with a sort_order column, e.g. sat_site_material) hold several values per
+// site, so there each value only supersedes earlier rows for the same value. Rows without a
+// start_dt are treated as valid from the beginning of time.
+const { getPool } = require('./index');
+const { tableNameSql } = require('./utils');
+const { quoteIdent, quoteTableName } = require('./tableQuery');
+
+const TABLE_NAME_SQL = tableNameSql('table_schema', 'table_name');
+
+// Returns the date string, null when absent, or undefined when it is not a valid date
+function parseAsOf(value) {
+  if (value == null || value === '') return null;
+  const text = String(value).trim();
+  if (!/^\d{4}-\d{2}-\d{2}/.test(text) || Number.isNaN(Date.parse(text))) return undefined;
+  return text;
+}
+
+const TEMPORAL_COLUMNS = { start_dt: 'start', end_dt: 'end', sort_order: 'multi' };
+
+// Map of table -> { start, end, multi } (has start_dt / end_dt / sort_order) for the given
+// tables ("table" or "schema.table")
+async function getTemporalColumns(tables) {
+  const res = await getPool().query(
+    `SELECT ${TABLE_NAME_SQL} AS table_name, column_name FROM information_schema.columns
+     WHERE ${TABLE_NAME_SQL} = ANY($1) AND column_name = ANY($2)`,
+    [tables, Object.keys(TEMPORAL_COLUMNS)]
+  );
+  const map = new Map(tables.map(t => [t, { start: false, end: false, multi: false }]));
+  for (const r of res.rows) map.get(r.table_name)[TEMPORAL_COLUMNS[r.column_name]] = true;
+  return map;
+}
+
+// SQL condition keeping only rows of `table` (aliased `alias`) valid at the date in placeholder
+// (or SQL expression, e.g. NOW()) `asOf`. partitionBy lists the columns that, with hub_site_id, identify one value stream
+// (e.g. attribute_id in sat_site_attributes); for multi-valued tables valueColumn (e.g.
+// material_id) is added to them. Returns 'TRUE' for tables with no start_dt.
+function asOfCondition(table, alias, temporal, asOf, partitionBy = [], valueColumn = null) {
+  if (!temporal || !temporal.start) return 'TRUE';
+  const start = (a) => `COALESCE(${a}.start_dt, '-infinity')`;
+  if (temporal.end) {
+    return `(${start(alias)} <= ${asOf}::timestamp AND (${alias}.end_dt IS NULL OR ${alias}.end_dt > ${asOf}::timestamp))`;
+  }
+  const stream = ['hub_site_id', ...partitionBy, ...(temporal.multi && valueColumn ? [valueColumn] : [])];
+  const sameStream = stream.map(c => `h.${quoteIdent(c)} = ${alias}.${quoteIdent(c)}`).join(' AND ');
+  return `${start(alias)} = (SELECT MAX(${start('h')}) FROM ${quoteTableName(table)} h WHERE ${sameStream} AND ${start('h')} <= ${asOf}::timestamp)`;
+}
+
+module.exports = { parseAsOf, getTemporalColumns, asOfCondition };
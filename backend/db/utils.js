@@ -1,13 +1,54 @@
 const { getPool } = require('./index');
+const { quoteIdent } = require('./tableQuery');
+
+// Table names in URLs and the audit log are "table" for the public schema and "schema.table"
+// for any other (staging, archive, tiger, ...)
+const TABLE_NAME_PATTERN = /^(?:([a-zA-Z0-9_]+)\.)?([a-zA-Z0-9_]+)$/;
+
+// Application tables with endpoints of their own (/api/users, the audit trail, migrations,
+// resolver registry, per-user saved queries and history). The generic table and history
+// endpoints refuse them, whatever the role.
+const INTERNAL_TABLES = new Set([
+  'app_users', 'audit_log', 'schema_migrations', 'ref_attribute_resolvers', 'saved_queries', 'query_history'
+]);
+
+// Postgres' own catalogs (pg_catalog, pg_toast, pg_temp_N, information_schema), which
+// /api/schemas leaves out and the table endpoints refuse
+function isSystemSchema(schema) {
+  return /^pg_/i.test(schema) || schema.toLowerCase() === 'information_schema';
+}
+
+// { schema, table } for a table name as above, or null when it is not valid, is internal or
+// lives in a system schema
+function parseTableName(tableName) {
+  const match = typeof tableName === 'string' ? TABLE_NAME_PATTERN.exec(tableName) : null;
+  if (!match || INTERNAL_TABLES.has(match[2].toLowerCase())) return null;
+  const schema = match[1] || 'public';
+  return isSystemSchema(schema) ? null : { schema, table: match[2] };
+}
+
+// Quoted "schema"."table" for a ::regclass parameter, so public tables don't depend on
+// search_path and mixed-case names are not folded to lower case
+function regclassName(tableName) {
+  const { schema, table } = parseTableName(tableName);
+  return `${quoteIdent(schema)}.${quoteIdent(table)}`;
+}
+
+// SQL for the same naming, from SQL expressions for the schema and the bare table name
+// (e.g. ns.nspname and rel.relname, or information_schema's table_schema and table_name)
+function tableNameSql(schema, table) {
+  return `CASE WHEN ${schema} = 'public' THEN ${table} ELSE ${schema} || '.' || ${table} END`;
+}
 
 async function getEnumMap(tableName) {
   const db = getPool();
   const map = {};
+  const { schema, table } = parseTableName(tableName);
   const colsRes = await db.query(
     `SELECT column_name, data_type, udt_name
      FROM information_schema.columns
-     WHERE table_schema = 'public' AND table_name = $1`,
-    [tableName]
+     WHERE table_schema = $1 AND table_name = $2`,
+    [schema, table]
   );
 
   for (const row of colsRes.rows) {
@@ -23,8 +64,25 @@ async function getEnumMap(tableName) {
   return map;
 }
 
+// Error message for the first value in record that is not a label of its column's enum, or null
+function findEnumViolation(enumMap, record) {
+  for (const [k, v] of Object.entries(record)) {
+    if (v == null) continue;
+    const allowed = enumMap[k];
+    if (Array.isArray(allowed) && allowed.length > 0 && !allowed.includes(String(v))) {
+      return `Invalid value for ${k}: ${v}. Allowed values: ${allowed.join(', ')}`;
+    }
+  }
+  return null;
+}
+
 function validateTableName(tableName) {
-  return typeof tableName === 'string' && /^[a-zA-Z0-9_]+$/.test(tableName);
+  return parseTableName(tableName) !== null;
+}
+
+// Serial ids (route params or ids in a request body) are positive integers, as numbers or strings
+function isId(value) {
+  return /^[1-9]\d*$/.test(String(value));
 }
 
 async function getPrimaryKey(tableName) {
@@ -34,10 +92,44 @@ async function getPrimaryKey(tableName) {
      FROM pg_index i
      JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
      WHERE i.indrelid = $1::regclass AND i.indisprimary`,
-    [tableName]
+    [regclassName(tableName)]
   );
   if (res.rows.length > 0) return res.rows[0].column_name;
   return null;
 }
 
-module.exports = { getEnumMap, validateTableName, getPrimaryKey };
+// All primary key columns, in key order (composite keys return several)
+async function getPrimaryKeyColumns(tableName) {
+  const db = getPool();
+  const res = await db.query(
+    `SELECT a.attname as column_name
+     FROM pg_index i
+     CROSS JOIN LATERAL unnest(i.indkey) WITH ORDINALITY AS k(attnum, ord)
+     JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = k.attnum
+     WHERE i.indrelid = $1::regclass AND i.indisprimary
+     ORDER BY k.ord`,
+    [regclassName(tableName)]
+  );
+  return res.rows.map(r => r.column_name);
+}
+
+// Run fn(client) inside BEGIN/COMMIT on a dedicated client, rolling back on any error
+async function withTransaction(fn) {
+  const client = await getPool().connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  INTERNAL_TABLES, getEnumMap, findEnumViolation, isSystemSchema, parseTableName, regclassName, tableNameSql, validateTableName,
+  isId, getPrimaryKey, getPrimaryKeyColumns, withTransaction
+};
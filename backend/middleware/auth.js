@@ -0,0 +1,65 @@
+const jwt = require('jsonwebtoken');
+const { getPool } = require('../db');
+
+// Roles in ascending order of privilege; a user satisfies any role at or below their own
+const ROLES = ['viewer', 'researcher', 'editor', 'admin'];
+
+// jwtConfig is config.jwt (see config.js), i.e. req.app.locals.config.jwt in a request
+function getJwtSecret(jwtConfig) {
+  const secret = jwtConfig?.secret;
+  if (!secret) throw new Error('JWT_SECRET is not configured');
+  return secret;
+}
+
+function signToken(user, jwtConfig) {
+  return jwt.sign(
+    { sub: user.user_id, username: user.username, role: user.role },
+    getJwtSecret(jwtConfig),
+    { expiresIn: jwtConfig.expiresIn }
+  );
+}
+
+function hasRole(userRole, requiredRole) {
+  const have = ROLES.indexOf(userRole);
+  const need = ROLES.indexOf(requiredRole);
+  return have !== -1 && need !== -1 && have >= need;
+}
+
+// Verifies the bearer token and exposes the caller as req.user. Username and role are read
+// from app_users on every request, so a role change or deleted account takes effect at once
+// rather than when the token expires.
+async function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) return res.status(401).json({ error: 'Authentication required' });
+
+  let payload;
+  try {
+    payload = jwt.verify(token, getJwtSecret(req.app.locals.config?.jwt));
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+    const result = await getPool().query('SELECT username, role FROM app_users WHERE user_id = $1', [payload.sub]);
+    const user = result.rows[0];
+    if (!user) return res.status(401).json({ error: 'User no longer exists' });
+    req.user = { id: payload.sub, username: user.username, role: user.role };
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+  next();
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: 'Authentication required' });
+    if (!hasRole(req.user.role, role)) {
+      return res.status(403).json({ error: `Requires ${role} role` });
+    }
+    next();
+  };
+}
+
+module.exports = { ROLES, signToken, hasRole, authenticate, requireRole };
@@ -0,0 +1,37 @@
+// Projects, sites and the link between them. IF NOT EXISTS lets databases created before
+// migrations existed adopt this history without changes.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS hub_projects (
+      hub_project_id SERIAL PRIMARY KEY,
+      project_name VARCHAR(255) NOT NULL,
+      project_description TEXT,
+      project_status VARCHAR(50) DEFAULT 'active',
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS hub_sites (
+      hub_site_id SERIAL PRIMARY KEY,
+      site_name VARCHAR(255) NOT NULL,
+      site_address TEXT,
+      site_type VARCHAR(100),
+      latitude DECIMAL(10, 8),
+      longitude DECIMAL(11, 8),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS lnk_project_site (
+      hub_project_id INTEGER REFERENCES hub_projects(hub_project_id) ON DELETE CASCADE,
+      hub_site_id INTEGER REFERENCES hub_sites(hub_site_id) ON DELETE CASCADE,
+      linked_at TIMESTAMP DEFAULT NOW(),
+      PRIMARY KEY (hub_project_id, hub_site_id)
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS lnk_project_site;
+    DROP TABLE IF EXISTS hub_sites;
+    DROP TABLE IF EXISTS hub_projects;
+  `
+};
@@ -0,0 +1,30 @@
+// Application accounts (see middleware/auth.js) and the audit trail written by db/audit.js
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS app_users (
+      user_id SERIAL PRIMARY KEY,
+      username VARCHAR(100) NOT NULL UNIQUE,
+      password_hash TEXT NOT NULL,
+      display_name VARCHAR(255),
+      role VARCHAR(20) NOT NULL DEFAULT 'viewer' CHECK (role IN ('viewer', 'researcher', 'editor', 'admin')),
+      created_at TIMESTAMP DEFAULT NOW(),
+      last_login_at TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS audit_log (
+      audit_id BIGSERIAL PRIMARY KEY,
+      actor VARCHAR(100),
+      action VARCHAR(20) NOT NULL,
+      table_name VARCHAR(128) NOT NULL,
+      record_id TEXT,
+      before_data JSONB,
+      after_data JSONB,
+      changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS audit_log_record_idx ON audit_log (table_name, record_id, changed_at DESC);
+  `,
+  down: `
+    DROP TABLE IF EXISTS audit_log;
+    DROP TABLE IF EXISTS app_users;
+  `
+};
@@ -0,0 +1,41 @@
+// Site attribute catalogue, per-project attribute selection and the generic value satellite.
+// ref_attributes.attribute_type says where values live: int/txt/num/ts in the matching
+// sat_site_attributes column, tbl/ref/refs in a satellite table (see ref_attribute_resolvers).
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS ref_attributes (
+      attribute_id SERIAL PRIMARY KEY,
+      attribute_nm VARCHAR(255) NOT NULL,
+      attribute_text VARCHAR(128),
+      attribute_desc TEXT,
+      attribute_type VARCHAR(10) NOT NULL CHECK (attribute_type IN ('int', 'txt', 'num', 'ts', 'tbl', 'ref', 'refs')),
+      attribute_p_or_s CHAR(1) NOT NULL DEFAULT 'S' CHECK (attribute_p_or_s IN ('P', 'S'))
+    );
+
+    CREATE TABLE IF NOT EXISTS sat_project_site_attributes (
+      sat_project_site_attributes_id SERIAL PRIMARY KEY,
+      hub_project_id INTEGER NOT NULL REFERENCES hub_projects(hub_project_id) ON DELETE CASCADE,
+      attribute_id INTEGER NOT NULL REFERENCES ref_attributes(attribute_id) ON DELETE CASCADE,
+      sort_order INTEGER NOT NULL DEFAULT 0,
+      create_dt TIMESTAMP DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS sat_project_site_attributes_project_idx ON sat_project_site_attributes (hub_project_id, sort_order);
+
+    CREATE TABLE IF NOT EXISTS sat_site_attributes (
+      sat_site_attributes_id SERIAL PRIMARY KEY,
+      hub_site_id INTEGER NOT NULL REFERENCES hub_sites(hub_site_id) ON DELETE CASCADE,
+      attribute_id INTEGER NOT NULL REFERENCES ref_attributes(attribute_id) ON DELETE CASCADE,
+      attribute_value_text TEXT,
+      attribute_value_int INTEGER,
+      attribute_value_number NUMERIC,
+      attribute_value_ts TIMESTAMP,
+      start_dt TIMESTAMP DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS sat_site_attributes_site_idx ON sat_site_attributes (hub_site_id, attribute_id, start_dt);
+  `,
+  down: `
+    DROP TABLE IF EXISTS sat_site_attributes;
+    DROP TABLE IF EXISTS sat_project_site_attributes;
+    DROP TABLE IF EXISTS ref_attributes;
+  `
+};
@@ -0,0 +1,42 @@
+// Per-site satellites read by the site dossier and the default attribute resolvers: BBL and
+// build date, plus lookup-backed alteration/material/style/type/use lists
+const LOOKUPS = ['alteration', 'material', 'style', 'type', 'use'];
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS sat_site_bbl (
+      sat_site_bbl_id SERIAL PRIMARY KEY,
+      hub_site_id INTEGER NOT NULL REFERENCES hub_sites(hub_site_id) ON DELETE CASCADE,
+      bbl BIGINT NOT NULL,
+      start_dt TIMESTAMP DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS sat_site_bbl_site_idx ON sat_site_bbl (hub_site_id);
+
+    CREATE TABLE IF NOT EXISTS sat_site_built (
+      sat_site_built_id SERIAL PRIMARY KEY,
+      hub_site_id INTEGER NOT NULL REFERENCES hub_sites(hub_site_id) ON DELETE CASCADE,
+      date_combo VARCHAR(50) NOT NULL,
+      start_dt TIMESTAMP DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS sat_site_built_site_idx ON sat_site_built (hub_site_id);
+    ${LOOKUPS.map(name => `
+    CREATE TABLE IF NOT EXISTS ref_${name} (
+      ${name}_id SERIAL PRIMARY KEY,
+      ${name}_nm VARCHAR(255) NOT NULL UNIQUE
+    );
+
+    CREATE TABLE IF NOT EXISTS sat_site_${name} (
+      sat_site_${name}_id SERIAL PRIMARY KEY,
+      hub_site_id INTEGER NOT NULL REFERENCES hub_sites(hub_site_id) ON DELETE CASCADE,
+      ${name}_id INTEGER NOT NULL REFERENCES ref_${name}(${name}_id),
+      sort_order INTEGER NOT NULL DEFAULT 1,
+      start_dt TIMESTAMP DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS sat_site_${name}_site_idx ON sat_site_${name} (hub_site_id);`).join('\n')}
+  `,
+  down: `
+    ${LOOKUPS.map(name => `DROP TABLE IF EXISTS sat_site_${name};\n    DROP TABLE IF EXISTS ref_${name};`).join('\n    ')}
+    DROP TABLE IF EXISTS sat_site_built;
+    DROP TABLE IF EXISTS sat_site_bbl;
+  `
+};
@@ -0,0 +1,19 @@
+// Site shapes (PostGIS). Stored in any SRID; the API reprojects to WGS84 (see db/spatial.js).
+// Down leaves the postgis extension installed since other objects may depend on it.
+module.exports = {
+  up: `
+    CREATE EXTENSION IF NOT EXISTS postgis;
+
+    CREATE TABLE IF NOT EXISTS sat_site_geometry (
+      sat_site_geometry_id SERIAL PRIMARY KEY,
+      hub_site_id INTEGER NOT NULL REFERENCES hub_sites(hub_site_id) ON DELETE CASCADE,
+      shape geometry,
+      start_dt TIMESTAMP DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS sat_site_geometry_site_idx ON sat_site_geometry (hub_site_id);
+    CREATE INDEX IF NOT EXISTS sat_site_geometry_shape_idx ON sat_site_geometry USING GIST (shape);
+  `,
+  down: `
+    DROP TABLE IF EXISTS sat_site_geometry;
+  `
+};
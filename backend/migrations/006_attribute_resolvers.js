@@ -0,0 +1,34 @@
+// How tbl/ref/refs attributes are read: one row per ref_attributes entry naming the satellite
+// table, value column and optional lookup table (see db/attributeResolvers.js). Existing
+// attributes for the built-in satellites get their default resolver.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS ref_attribute_resolvers (
+      attribute_id INTEGER PRIMARY KEY REFERENCES ref_attributes(attribute_id) ON DELETE CASCADE,
+      source_table VARCHAR(128) NOT NULL,
+      value_column VARCHAR(128) NOT NULL,
+      ref_table VARCHAR(128),
+      ref_key_column VARCHAR(128),
+      ref_label_column VARCHAR(128),
+      order_column VARCHAR(128),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    INSERT INTO ref_attribute_resolvers (attribute_id, source_table, value_column, ref_table, ref_key_column, ref_label_column, order_column)
+    SELECT ra.attribute_id, v.source_table, v.value_column, v.ref_table, v.ref_key_column, v.ref_label_column, v.order_column
+    FROM (VALUES
+      ('bbl', 'sat_site_bbl', 'bbl', NULL, NULL, NULL, 'start_dt'),
+      ('built', 'sat_site_built', 'date_combo', NULL, NULL, NULL, 'start_dt'),
+      ('alteration', 'sat_site_alteration', 'alteration_id', 'ref_alteration', 'alteration_id', 'alteration_nm', 'sort_order'),
+      ('material', 'sat_site_material', 'material_id', 'ref_material', 'material_id', 'material_nm', 'sort_order'),
+      ('style', 'sat_site_style', 'style_id', 'ref_style', 'style_id', 'style_nm', 'sort_order'),
+      ('type', 'sat_site_type', 'type_id', 'ref_type', 'type_id', 'type_nm', 'sort_order'),
+      ('use', 'sat_site_use', 'use_id', 'ref_use', 'use_id', 'use_nm', 'sort_order')
+    ) AS v(attribute_text, source_table, value_column, ref_table, ref_key_column, ref_label_column, order_column)
+    JOIN ref_attributes ra ON ra.attribute_text = v.attribute_text AND ra.attribute_type IN ('tbl', 'ref', 'refs')
+    ON CONFLICT (attribute_id) DO NOTHING;
+  `,
+  down: `
+    DROP TABLE IF EXISTS ref_attribute_resolvers;
+  `
+};
@@ -0,0 +1,34 @@
+// Query Editor persistence: named saved queries (private to their owner unless shared) and the
+// per-user execution history written by queryController.runQuery
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS saved_queries (
+      query_id SERIAL PRIMARY KEY,
+      owner_id INTEGER NOT NULL REFERENCES app_users(user_id) ON DELETE CASCADE,
+      name VARCHAR(200) NOT NULL,
+      description TEXT,
+      sql_text TEXT NOT NULL,
+      shared BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (owner_id, name)
+    );
+
+    CREATE TABLE IF NOT EXISTS query_history (
+      history_id BIGSERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES app_users(user_id) ON DELETE CASCADE,
+      sql_text TEXT NOT NULL,
+      params JSONB,
+      status VARCHAR(10) NOT NULL CHECK (status IN ('ok', 'error')),
+      row_count INTEGER,
+      duration_ms INTEGER,
+      error TEXT,
+      executed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS query_history_user_idx ON query_history (user_id, executed_at DESC);
+  `,
+  down: `
+    DROP TABLE IF EXISTS query_history;
+    DROP TABLE IF EXISTS saved_queries;
+  `
+};
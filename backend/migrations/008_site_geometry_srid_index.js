@@ -0,0 +1,10 @@
+// Lets spatial search list the SRIDs present in sat_site_geometry from the index (see
+// sitesController.searchSites) instead of reading every shape
+module.exports = {
+  up: `
+    CREATE INDEX IF NOT EXISTS sat_site_geometry_srid_idx ON sat_site_geometry (ST_SRID(shape));
+  `,
+  down: `
+    DROP INDEX IF EXISTS sat_site_geometry_srid_idx;
+  `
+};
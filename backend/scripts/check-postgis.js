@@ -1,17 +1,12 @@
 #!/usr/bin/env node
 
-require('dotenv').config({ path: '.env.staging' });
-const { Pool } = require('pg');
+const { openScriptPool } = require('../config');
 
+// Checks the staging database unless APP_ENV names another environment. SSL is required unless
+// DB_SSL says otherwise, as the staging database only accepts encrypted connections.
 async function checkPostGIS() {
-  const pool = new Pool({
-    host: process.env.DB_HOST,
-    port: process.env.DB_PORT || 5432,
-    database: process.env.DB_NAME,
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    ssl: { rejectUnauthorized: false }
-  });
+  const { pool, config } = openScriptPool({ env: process.env.APP_ENV || 'staging', defaults: { DB_SSL: 'require' } });
+  console.log(`Database: ${config.db.target} (ssl: ${config.db.sslMode})`);
 
   try {
     // Check if PostGIS extension exists
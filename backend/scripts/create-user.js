@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Create or update an application user
+ *
+ * Usage:
+ *   npm run user:create -- <username> <password> [role]
+ *
+ * Role is one of viewer, researcher, editor, admin (default: viewer)
+ */
+
+const bcrypt = require('bcryptjs');
+const { openScriptPool } = require('../config');
+const { ROLES } = require('../middleware/auth');
+
+async function createUser() {
+  const [username, password, role = 'viewer'] = process.argv.slice(2);
+  if (!username || !password) {
+    console.error('Usage: npm run user:create -- <username> <password> [role]');
+    process.exit(1);
+  }
+  if (!ROLES.includes(role)) {
+    console.error(`❌ Invalid role: ${role}. Allowed values: ${ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  const { pool } = openScriptPool();
+  try {
+    const hash = await bcrypt.hash(password, 10);
+    await pool.query(
+      `INSERT INTO app_users (username, password_hash, role) VALUES ($1, $2, $3)
+       ON CONFLICT (username) DO UPDATE SET password_hash = EXCLUDED.password_hash, role = EXCLUDED.role`,
+      [username, hash, role]
+    );
+    console.log(`✅ User ${username} saved with role ${role}`);
+  } catch (error) {
+    console.error('❌ Failed to save user:', error.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+createUser();
@@ -1,24 +1,23 @@
 #!/usr/bin/env node
 /**
  * Migrate from Dev to Staging (Automated)
- * Reads credentials from .env.development and .env.staging
+ * Reads credentials from .env.development and .env.staging (see config.js)
  */
 
 const { spawn } = require('child_process');
 const fs = require('fs');
-const path = require('path');
+const { readEnvFile, parseConfig, ConfigError } = require('../config');
 
-// Parse .env file
-function parseEnv(filePath) {
-  const content = fs.readFileSync(filePath, 'utf8');
-  const env = {};
-  content.split('\n').forEach(line => {
-    const match = line.match(/^([^#=]+)=(.*)$/);
-    if (match) {
-      env[match[1].trim()] = match[2].trim();
-    }
-  });
-  return env;
+// Connection arguments and environment for pg_dump/pg_restore from a parsed db config
+function pgConnection(db) {
+  const env = { PGSSLMODE: db.sslMode };
+  // Same CA as the app; without a bundle, the system store (as Node uses)
+  if (db.sslMode === 'verify-full') env.PGSSLROOTCERT = db.sslCaFile || 'system';
+  if (db.connectionString) return { args: ['-d', db.connectionString], env };
+  return {
+    args: ['-h', db.host, '-p', String(db.port), '-U', db.user, '-d', db.database],
+    env: { ...env, PGPASSWORD: db.password || '' }
+  };
 }
 
 async function migrate() {
@@ -26,16 +25,14 @@ async function migrate() {
   console.log('============================\n');
 
   // Load environments
-  const devEnv = parseEnv('.env.development');
-  const stagingEnv = parseEnv('.env.staging');
+  const dev = parseConfig(readEnvFile('development'), { source: 'development' }).db;
+  const staging = parseConfig(readEnvFile('staging'), { source: 'staging' }).db;
 
   console.log('📥 Source (Dev):');
-  console.log(`   Host: ${devEnv.DB_HOST}`);
-  console.log(`   Database: ${devEnv.DB_NAME}`);
+  console.log(`   Database: ${dev.target}`);
   console.log('');
   console.log('📤 Destination (Staging):');
-  console.log(`   Host: ${stagingEnv.DB_HOST}`);
-  console.log(`   Database: ${stagingEnv.DB_NAME}`);
+  console.log(`   Database: ${staging.target}`);
   console.log('');
 
   const dumpFile = `dev-to-staging-${new Date().toISOString().replace(/[:.]/g, '-')}.sql`;
@@ -46,18 +43,16 @@ async function migrate() {
   const PG_DUMP = '/usr/local/opt/postgresql@18/bin/pg_dump';
   const PG_RESTORE = '/usr/local/opt/postgresql@18/bin/pg_restore';
 
+  const source = pgConnection(dev);
   await runCommand(PG_DUMP, [
-    '-h', devEnv.DB_HOST,
-    '-p', devEnv.DB_PORT || '5432',
-    '-U', devEnv.DB_USER,
-    '-d', devEnv.DB_NAME,
+    ...source.args,
     '--no-owner',
     '--no-acl',
     '--clean',
     '--if-exists',
     '--format=custom',
     '-f', dumpFile
-  ], { PGPASSWORD: devEnv.DB_PASSWORD });
+  ], source.env);
 
   const stats = fs.statSync(dumpFile);
   const fileSizeMB = (stats.size / (1024 * 1024)).toFixed(2);
@@ -66,17 +61,15 @@ async function migrate() {
   // Import to staging
   console.log('📤 Importing to staging database...\n');
   
+  const target = pgConnection(staging);
   await runCommand(PG_RESTORE, [
-    '-h', stagingEnv.DB_HOST,
-    '-p', stagingEnv.DB_PORT || '5432',
-    '-U', stagingEnv.DB_USER,
-    '-d', stagingEnv.DB_NAME,
+    ...target.args,
     '--clean',
     '--if-exists',
     '--no-owner',
     '--no-acl',
     dumpFile
-  ], { PGPASSWORD: stagingEnv.DB_PASSWORD });
+  ], target.env);
 
   console.log('\n✅ Migration complete!\n');
   console.log(`Backup saved: ${dumpFile}`);
@@ -100,6 +93,7 @@ function runCommand(command, args, env = {}) {
 }
 
 migrate().catch(error => {
-  console.error('❌ Migration failed:', error.message);
+  if (error instanceof ConfigError) console.error(`❌ ${error.message}`);
+  else console.error('❌ Migration failed:', error.message);
   process.exit(1);
 });
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Apply, inspect or revert schema migrations (backend/migrations)
+ *
+ * Usage:
+ *   npm run migrate                  Apply every pending migration
+ *   npm run migrate:status           List migrations and whether each is applied
+ *   npm run migrate:down [-- <n>]    Revert the last n applied migrations (default 1)
+ *
+ * Environment:
+ *   Set DB_* variables (or DATABASE_URL) in .env or inject via your hosting environment;
+ *   APP_ENV=staging reads .env.staging instead (see config.js)
+ */
+
+const { openScriptPool } = require('../config');
+const { label, migrationStatus, migrateUp, migrateDown } = require('../db/migrations');
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+  if (!['up', 'status', 'down'].includes(command)) {
+    console.error('Usage: node scripts/migrate.js [up | status | down [n]]');
+    process.exit(1);
+  }
+  const steps = arg === undefined ? 1 : parseInt(arg, 10);
+  if (command === 'down' && (!Number.isInteger(steps) || steps < 1)) {
+    console.error('❌ down takes a positive number of migrations to revert');
+    process.exit(1);
+  }
+
+  const { pool, config } = openScriptPool();
+  console.log(`Database: ${config.db.target}`);
+
+  try {
+    if (command === 'status') {
+      const { migrations, missing } = await migrationStatus(pool);
+      console.log('📋 Migrations:');
+      for (const m of migrations) {
+        const state = m.applied_at ? `applied ${new Date(m.applied_at).toISOString()}` : 'pending';
+        console.log(`  ${m.applied_at ? '✓' : '·'} ${label(m)}  ${state}`);
+      }
+      for (const m of missing) {
+        console.log(`  ⚠️  ${label(m)}  applied but its file is missing`);
+      }
+    } else if (command === 'up') {
+      console.log('🚀 Applying migrations...');
+      const applied = await migrateUp(pool, { log: console.log });
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Already up to date');
+    } else {
+      console.log('⏪ Reverting migrations...');
+      const reverted = await migrateDown(pool, steps, { log: console.log });
+      console.log(reverted.length > 0 ? `✅ Reverted ${reverted.length} migration(s)` : '✅ Nothing to revert');
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
@@ -6,34 +6,19 @@
  *   npm run seed
  * 
  * Environment:
- *   Set DB_* variables in .env or inject via your hosting environment
+ *   Set DB_* variables (or DATABASE_URL) in .env or inject via your hosting environment;
+ *   APP_ENV=staging reads .env.staging instead (see config.js)
  */
 
-require('dotenv').config();
-const { Pool } = require('pg');
-const fs = require('fs');
+const bcrypt = require('bcryptjs');
+const { openScriptPool } = require('../config');
+const { migrateUp } = require('../db/migrations');
 
 async function seed() {
   console.log('🌱 Starting database seed...');
   
-  // Create database connection
-  const poolConfig = {
-    host: process.env.DB_HOST,
-    port: process.env.DB_PORT || 5432,
-    database: process.env.DB_NAME,
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-  };
-
-  // Optional SSL for AWS
-  if (fs.existsSync('./ca_certificate_aws-rds.pem')) {
-    poolConfig.ssl = { 
-      rejectUnauthorized: true, 
-      ca: fs.readFileSync('./ca_certificate_aws-rds.pem').toString() 
-    };
-  }
-
-  const pool = new Pool(poolConfig);
+  const { pool, config } = openScriptPool();
+  console.log(`Database: ${config.db.target} (ssl: ${config.db.sslMode})`);
 
   try {
     // Test connection
@@ -41,45 +26,11 @@ async function seed() {
     console.log('✅ Connected to database');
 
     // ========================================
-    // 1. Create tables (if they don't exist)
+    // 1. Bring the schema up to date (see backend/migrations)
     // ========================================
-    console.log('\n📋 Creating tables...');
-    
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS hub_projects (
-        hub_project_id SERIAL PRIMARY KEY,
-        project_name VARCHAR(255) NOT NULL,
-        project_description TEXT,
-        project_status VARCHAR(50) DEFAULT 'active',
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-    console.log('  ✓ hub_projects');
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS hub_sites (
-        hub_site_id SERIAL PRIMARY KEY,
-        site_name VARCHAR(255) NOT NULL,
-        site_address TEXT,
-        site_type VARCHAR(100),
-        latitude DECIMAL(10, 8),
-        longitude DECIMAL(11, 8),
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-    console.log('  ✓ hub_sites');
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS lnk_project_site (
-        hub_project_id INTEGER REFERENCES hub_projects(hub_project_id) ON DELETE CASCADE,
-        hub_site_id INTEGER REFERENCES hub_sites(hub_site_id) ON DELETE CASCADE,
-        linked_at TIMESTAMP DEFAULT NOW(),
-        PRIMARY KEY (hub_project_id, hub_site_id)
-      );
-    `);
-    console.log('  ✓ lnk_project_site');
+    console.log('\n📋 Applying migrations...');
+    const applied = await migrateUp(pool, { log: console.log });
+    console.log(applied.length > 0 ? `  ✓ Applied ${applied.length} migration(s)` : '  ✓ Schema up to date');
 
     // ========================================
     // 2. Clear existing data (optional - comment out if you want to keep data)
@@ -132,6 +83,17 @@ async function seed() {
     `);
     console.log(`  ✓ Linked ${linksResult.rows.length} project-site relationships`);
 
+    // Bootstrap admin account (users are kept across re-seeds)
+    if (process.env.ADMIN_USERNAME && process.env.ADMIN_PASSWORD) {
+      const hash = await bcrypt.hash(process.env.ADMIN_PASSWORD, 10);
+      await pool.query(
+        `INSERT INTO app_users (username, password_hash, role) VALUES ($1, $2, 'admin')
+         ON CONFLICT (username) DO NOTHING`,
+        [process.env.ADMIN_USERNAME, hash]
+      );
+      console.log(`  ✓ Admin user ${process.env.ADMIN_USERNAME}`);
+    }
+
     // ========================================
     // 4. Verify seeded data
     // ========================================
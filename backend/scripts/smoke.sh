@@ -5,17 +5,32 @@ BASE_URL=${BASE_URL:-"http://localhost:5000"}
 echo "Checking health..."
 curl -fsS "$BASE_URL/api/health" || { echo "Health check failed"; exit 2; }
 
+# All routes except health and login require a bearer token
+SMOKE_USER=${SMOKE_USER:-"${ADMIN_USERNAME:-}"}
+SMOKE_PASSWORD=${SMOKE_PASSWORD:-"${ADMIN_PASSWORD:-}"}
+if [ -z "$SMOKE_USER" ] || [ -z "$SMOKE_PASSWORD" ]; then
+  echo "Set SMOKE_USER and SMOKE_PASSWORD to log in"; exit 5
+fi
+echo "Logging in as $SMOKE_USER..."
+token=$(curl -fsS -H 'Content-Type: application/json' \
+  -d "$(jq -n --arg u "$SMOKE_USER" --arg p "$SMOKE_PASSWORD" '{username: $u, password: $p}')" \
+  "$BASE_URL/api/auth/login" | jq -r '.token')
+if [ -z "$token" ] || [ "$token" = "null" ]; then
+  echo "Login failed"; exit 5
+fi
+AUTH="Authorization: Bearer $token"
+
 echo "Fetching projects..."
-projects=$(curl -fsS "$BASE_URL/api/projects" | jq -r '.data')
+projects=$(curl -fsS -H "$AUTH" "$BASE_URL/api/projects" | jq -r '.data')
 if [ "$projects" = "null" ] || [ -z "$projects" ]; then
   echo "No projects returned or failed to parse projects"; exit 3
 fi
 
 # try to get a project id
-projectId=$(curl -fsS "$BASE_URL/api/projects" | jq -r '.data[0].id')
+projectId=$(curl -fsS -H "$AUTH" "$BASE_URL/api/projects" | jq -r '.data[0].id')
 if [ -n "$projectId" ] && [ "$projectId" != "null" ]; then
   echo "Fetching sites for project $projectId..."
-  curl -fsS "$BASE_URL/api/projects/$projectId/sites" >/dev/null || { echo "Failed to fetch sites for project $projectId"; exit 4; }
+  curl -fsS -H "$AUTH" "$BASE_URL/api/projects/$projectId/sites" >/dev/null || { echo "Failed to fetch sites for project $projectId"; exit 4; }
 else
   echo "No project id found; skipping sites check"
 fi
@@ -1,22 +1,16 @@
 #!/usr/bin/env node
 
-require('dotenv').config({ path: '.env.staging' });
-const { Pool } = require('pg');
+const { openScriptPool } = require('../config');
 
+// Tests the staging database unless APP_ENV names another environment. SSL is required unless
+// DB_SSL says otherwise, as the staging database only accepts encrypted connections.
 async function testStagingConnection() {
-  const pool = new Pool({
-    host: process.env.DB_HOST,
-    port: process.env.DB_PORT || 5432,
-    database: process.env.DB_NAME,
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    ssl: { rejectUnauthorized: false }
-  });
+  const { pool, config } = openScriptPool({ env: process.env.APP_ENV || 'staging', defaults: { DB_SSL: 'require' } });
 
   try {
     console.log('🔍 Testing staging database connection...');
-    console.log('Host:', process.env.DB_HOST);
-    console.log('Database:', process.env.DB_NAME);
+    console.log('Database:', config.db.target);
+    console.log('SSL:', config.db.sslMode);
     console.log('');
     
     const result = await pool.query('SELECT version(), current_database()');
@@ -1,72 +1,97 @@
-// Only load .env in development/local environments
-if (process.env.NODE_ENV !== 'production') {
-  require('dotenv').config();
+// Configuration: .env (or .env.<APP_ENV>) outside production, validated by config.js
+const { loadEnv, parseConfig, ConfigError } = require('./config');
+let config;
+try {
+  loadEnv();
+  config = parseConfig();
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
 }
-const fs = require('fs');
+config.warnings.forEach(w => console.warn(`⚠️  ${w}`));
+
 const express = require('express');
 const cors = require('cors');
 
 const app = express();
-const PORT = process.env.PORT || 5000;
+const PORT = config.port;
+// Controllers read settings that have no env fallback (e.g. the query allowlist) from here
+app.locals.config = config;
 
 // Middleware
-app.use(cors());
+// CORS_ORIGINS is a comma-separated allowlist; leave unset to allow any origin (local development)
+app.use(cors(config.corsOrigins.length > 0 ? { origin: config.corsOrigins } : {}));
 app.use(express.json());
 
-// Database connection based on DB_TYPE in .env
-let db;
+const { authenticate, requireRole } = require('./middleware/auth');
 
-const initializeDatabase = async () => {
-  try {
-    console.log('Connecting to PostgreSQL...');
-    console.log('DB_HOST:', process.env.DB_HOST);
-    const { Pool } = require('pg');
-
-    const poolConfig = {
-      host: process.env.DB_HOST,
-      port: process.env.DB_PORT || 5432,
-      database: process.env.DB_NAME,
-      user: process.env.DB_USER,
-      password: process.env.DB_PASSWORD,
-    };
-
-    // SSL configuration: Railway uses self-signed certs; AWS RDS can use CA bundle when present
-    if (process.env.DB_HOST && (process.env.DB_HOST.includes('railway') || process.env.DB_HOST.includes('rlwy'))) {
-      console.log('Using Railway SSL (self-signed)');
-      poolConfig.ssl = { rejectUnauthorized: false };
-    } else if (fs.existsSync('./ca_certificate_aws-rds.pem')) {
-      console.log('Using AWS RDS SSL certificate');
-      poolConfig.ssl = { rejectUnauthorized: true, ca: fs.readFileSync('./ca_certificate_aws-rds.pem').toString() };
-    }
+const { getPool } = require('./db');
+const { isSystemSchema, validateTableName } = require('./db/utils');
+const { connectDatabase, checkReady, getDatabaseHealth, closeDatabase } = require('./db/connection');
 
-    const pool = new Pool(poolConfig);
-    await pool.query('SELECT NOW()');
-    // expose pool to controllers via db/index.js
-    require('./db').setPool(pool);
-    db = pool;
-    console.log('✅ Connected to PostgreSQL');
-  } catch (error) {
-    console.error('❌ Database connection failed:', error.message);
-    console.log('Server will start but database operations will fail');
-  }
-};
+// Auth endpoints (login is the only unauthenticated route besides health)
+const authController = require('./controllers/authController');
+app.post('/api/auth/login', authController.login);
+app.get('/api/auth/me', authenticate, authController.me);
+app.get('/api/users', authenticate, requireRole('admin'), authController.listUsers);
+app.post('/api/users', authenticate, requireRole('admin'), authController.createUser);
+app.put('/api/users/:userId', authenticate, requireRole('admin'), authController.updateUser);
+app.delete('/api/users/:userId', authenticate, requireRole('admin'), authController.deleteUser);
 
 // Generic query endpoint (PostgreSQL only)
-const { runQuery } = require('./controllers/queryController');
-app.post('/api/query', runQuery);
+const { runQuery, exportQuery, explainQuery, listHistory, clearHistory } = require('./controllers/queryController');
+app.post('/api/query', authenticate, requireRole('researcher'), runQuery);
+app.post('/api/query/export', authenticate, requireRole('researcher'), exportQuery);
+app.post('/api/query/explain', authenticate, requireRole('researcher'), explainQuery);
+app.get('/api/query/history', authenticate, requireRole('researcher'), listHistory);
+app.delete('/api/query/history', authenticate, requireRole('researcher'), clearHistory);
+
+// Saved queries (private to their owner unless shared)
+const savedQueriesController = require('./controllers/savedQueriesController');
+app.get('/api/saved-queries', authenticate, requireRole('researcher'), savedQueriesController.listSavedQueries);
+app.post('/api/saved-queries', authenticate, requireRole('researcher'), savedQueriesController.createSavedQuery);
+app.put('/api/saved-queries/:queryId', authenticate, requireRole('researcher'), savedQueriesController.updateSavedQuery);
+app.delete('/api/saved-queries/:queryId', authenticate, requireRole('researcher'), savedQueriesController.deleteSavedQuery);
+
+// Schemas the connected role can use (system schemas excluded), public first
+app.get('/api/schemas', authenticate, requireRole('viewer'), async (req, res) => {
+  try {
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+    const result = await getPool().query(`
+      SELECT n.nspname AS name, count(t.table_name)::int AS table_count
+      FROM pg_namespace n
+      LEFT JOIN information_schema.tables t ON t.table_schema = n.nspname
+      WHERE n.nspname <> 'information_schema' AND n.nspname !~ '^pg_'
+        AND has_schema_privilege(n.oid, 'USAGE')
+      GROUP BY n.nspname
+      ORDER BY n.nspname = 'public' DESC, n.nspname
+    `);
+    res.json({ success: true, schemas: result.rows });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-// Get all tables (PostgreSQL only)
-app.get('/api/tables', async (req, res) => {
+// Get all tables in one schema (?schema=, default public). Names are returned as the table
+// endpoints take them: bare for public, "schema.table" otherwise.
+app.get('/api/tables', authenticate, requireRole('viewer'), async (req, res) => {
+  const { schema = 'public' } = req.query;
   try {
-    if (!db) return res.status(500).json({ error: 'Database not connected' });
-    const result = await db.query(`
+    if (!getPool()) return res.status(500).json({ error: 'Database not connected' });
+    if (typeof schema !== 'string' || !/^[a-zA-Z0-9_]+$/.test(schema) || isSystemSchema(schema)) {
+      return res.status(400).json({ error: 'Invalid schema name' });
+    }
+    const result = await getPool().query(`
       SELECT table_name 
       FROM information_schema.tables 
-      WHERE table_schema = 'public' 
+      WHERE table_schema = $1 
       ORDER BY table_name
-    `);
-    const tables = result.rows.map(row => row.table_name);
-    res.json({ success: true, tables });
+    `, [schema]);
+    const tables = result.rows
+      .map(row => (schema === 'public' ? row.table_name : `${schema}.${row.table_name}`))
+      .filter(validateTableName);
+    res.json({ success: true, schema, tables });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -74,47 +99,105 @@ app.get('/api/tables', async (req, res) => {
 
 // Table CRUD & listing endpoints
 const tableController = require('./controllers/tableController');
-app.get('/api/table/:tableName', tableController.getTableData);
-app.post('/api/table/:tableName', tableController.insertRecord);
-app.put('/api/table/:tableName/:id', tableController.updateRecord);
-app.delete('/api/table/:tableName/:id', tableController.deleteRecord);
+app.get('/api/table/:tableName', authenticate, requireRole('viewer'), tableController.getTableData);
+app.get('/api/table/:tableName/export', authenticate, requireRole('viewer'), tableController.exportTableData);
+app.get('/api/table/:tableName/:id/related', authenticate, requireRole('viewer'), tableController.getRelatedRecords);
+app.post('/api/table/:tableName', authenticate, requireRole('editor'), tableController.insertRecord);
+const importController = require('./controllers/importController');
+app.post(
+  '/api/table/:tableName/import',
+  authenticate,
+  requireRole('editor'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: config.importMaxBytes }),
+  importController.importCsv
+);
+app.put('/api/table/:tableName/:id', authenticate, requireRole('editor'), tableController.updateRecord);
+app.delete('/api/table/:tableName/:id', authenticate, requireRole('editor'), tableController.deleteRecord);
+
+// Record history (audit trail) endpoints
+const historyController = require('./controllers/historyController');
+app.get('/api/history/:tableName/:id', authenticate, requireRole('viewer'), historyController.getHistory);
+app.post('/api/history/:auditId/restore', authenticate, requireRole('editor'), historyController.restoreVersion);
 
 // Columns metadata
 const columnsController = require('./controllers/columnsController');
-app.get('/api/columns/:tableName', columnsController.getColumns);
+app.get('/api/columns/:tableName', authenticate, requireRole('viewer'), columnsController.getColumns);
 
 // Projects endpoints
 const projectsController = require('./controllers/projectsController');
-app.get('/api/projects', projectsController.listProjects);
-app.post('/api/projects', projectsController.createProject);
-app.put('/api/projects/:projectId', projectsController.updateProject);
-app.delete('/api/projects/:projectId', projectsController.deleteProject);
-app.get('/api/projects/:projectId/sites', projectsController.getProjectSites);
-app.put('/api/projects/:projectId/sites', projectsController.updateProjectSites);
-app.get('/api/projects/:projectId/site-attributes', projectsController.getProjectSiteAttributes);
-app.put('/api/projects/:projectId/site-attributes', projectsController.updateProjectSiteAttributes);
-app.get('/api/projects/:projectId/sites-with-attributes', projectsController.getSitesWithAttributes);
-app.get('/api/site-attributes', projectsController.getSiteAttributes);
-app.get('/api/sites', projectsController.getAllSites);
+app.get('/api/projects', authenticate, requireRole('viewer'), projectsController.listProjects);
+app.post('/api/projects', authenticate, requireRole('editor'), projectsController.createProject);
+app.put('/api/projects/:projectId', authenticate, requireRole('editor'), projectsController.updateProject);
+app.delete('/api/projects/:projectId', authenticate, requireRole('admin'), projectsController.deleteProject);
+app.get('/api/projects/:projectId/sites', authenticate, requireRole('viewer'), projectsController.getProjectSites);
+app.put('/api/projects/:projectId/sites', authenticate, requireRole('editor'), projectsController.updateProjectSites);
+app.patch('/api/projects/:projectId/sites', authenticate, requireRole('editor'), projectsController.patchProjectSites);
+app.get('/api/projects/:projectId/site-attributes', authenticate, requireRole('viewer'), projectsController.getProjectSiteAttributes);
+app.put('/api/projects/:projectId/site-attributes', authenticate, requireRole('editor'), projectsController.updateProjectSiteAttributes);
+app.get('/api/projects/:projectId/sites-with-attributes', authenticate, requireRole('viewer'), projectsController.getSitesWithAttributes);
+app.get('/api/projects/:projectId/sites-with-attributes/export', authenticate, requireRole('viewer'), projectsController.exportSitesWithAttributes);
+app.get('/api/projects/:projectId/geometry', authenticate, requireRole('viewer'), projectsController.getProjectGeometry);
+app.get('/api/site-attributes', authenticate, requireRole('viewer'), projectsController.getSiteAttributes);
+app.get('/api/sites', authenticate, requireRole('viewer'), projectsController.getAllSites);
+
+// Site dossier (hub row plus every satellite), spatial search and attribute editing
+const sitesController = require('./controllers/sitesController');
+app.get('/api/sites/search', authenticate, requireRole('viewer'), sitesController.searchSites);
+app.post('/api/sites/search', authenticate, requireRole('viewer'), sitesController.searchSites);
+app.get('/api/sites/:id/dossier', authenticate, requireRole('viewer'), sitesController.getSiteDossier);
+app.put('/api/sites/:id/attributes/:attributeId', authenticate, requireRole('editor'), sitesController.updateSiteAttribute);
+app.get('/api/site-attributes/:attributeId/options', authenticate, requireRole('viewer'), sitesController.getAttributeOptions);
+
+// Attribute resolver registry (where tbl/ref/refs attribute values are read from)
+const attributeResolversController = require('./controllers/attributeResolversController');
+app.get('/api/attribute-resolvers', authenticate, requireRole('admin'), attributeResolversController.listResolvers);
+app.put('/api/attribute-resolvers/:attributeId', authenticate, requireRole('admin'), attributeResolversController.saveResolver);
+app.delete('/api/attribute-resolvers/:attributeId', authenticate, requireRole('admin'), attributeResolversController.deleteResolver);
 
 // Table/columns/projects routes are now implemented in separate controllers (see ./controllers/*)
 
 
 // Sites for a project handled by projectsController.getProjectSites
 
-// Health check
-app.get('/api/health', async (req, res) => {
-  const dbStatus = db ? 'connected' : 'disconnected';
-  res.json({ 
-    status: 'ok', 
-    database: dbStatus,
+// Health checks (unauthenticated). /live only says the process is up; /ready is 503 until the
+// database answers; /api/health is the overall status. Connection details (retry state, last
+// error, pool statistics) are only shown to admins, on /api/health/details.
+app.get('/api/health/live', (req, res) => {
+  res.json({ status: 'ok', uptime: process.uptime() });
+});
+
+app.get('/api/health/ready', async (req, res) => {
+  const ready = await checkReady();
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'unavailable', database: getDatabaseHealth().status });
+});
+
+app.get('/api/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    database: getDatabaseHealth().status === 'connected' ? 'connected' : 'disconnected',
     dbType: process.env.DB_TYPE || 'none'
   });
 });
 
-// Initialize database and start server
-initializeDatabase().then(() => {
-  app.listen(PORT, () => {
-    console.log(`🚀 Server running on http://localhost:${PORT}`);
+app.get('/api/health/details', authenticate, requireRole('admin'), (req, res) => {
+  const health = getDatabaseHealth();
+  res.json({
+    status: 'ok',
+    database: health.status === 'connected' ? 'connected' : 'disconnected',
+    dbType: process.env.DB_TYPE || 'none',
+    connection: health
   });
 });
+
+// Start listening right away (liveness does not depend on the database) and connect in the
+// background, retrying until Postgres is reachable
+const server = app.listen(PORT, () => {
+  console.log(`🚀 Server running on http://localhost:${PORT}`);
+});
+connectDatabase(config.db);
+
+const shutdown = () => {
+  server.close(() => closeDatabase().finally(() => process.exit(0)));
+};
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
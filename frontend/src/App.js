@@ -11,10 +11,16 @@ import CreateProject from './components/CreateProject';
 import ProjectsList from './components/ProjectsList';
 import SitesList from './components/SitesList';
 import SiteDetail from './components/SiteDetail';
+import Login from './components/Login';
+import AttributeResolversAdmin from './components/AttributeResolversAdmin';
+import { getToken, clearToken, hasRole } from './auth';
 
 function App() {
   const [tables, setTables] = useState([]);
   const [selectedTable, setSelectedTable] = useState(null);
+  // Schema shown in the Tables sidebar; table names outside public come back as "schema.table"
+  const [schemas, setSchemas] = useState([]);
+  const [schema, setSchema] = useState('public');
   const [connectionStatus, setConnectionStatus] = useState(null);
   const [activeView, setActiveView] = useState('splash'); // 'splash', 'tables', 'query', 'projects', 'sites', 'site-detail'
   const [isLoading, setIsLoading] = useState(true);
@@ -22,25 +28,87 @@ function App() {
   const [editingProject, setEditingProject] = useState(null);
   // Sites detail state
   const [selectedSite, setSelectedSite] = useState(null);
+  // Signed-in user (null until /api/auth/me or login succeeds)
+  const [currentUser, setCurrentUser] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
 
   useEffect(() => {
-    checkConnection();
-    loadTables();
+    loadCurrentUser();
+
+    // Any 401 means the token is missing or expired: drop back to the login screen
+    const interceptor = axios.interceptors.response.use(
+      response => response,
+      error => {
+        if (error.response?.status === 401 && !error.config?.url?.endsWith('/api/auth/login')) {
+          clearToken();
+          setCurrentUser(null);
+        }
+        return Promise.reject(error);
+      }
+    );
+    return () => axios.interceptors.response.eject(interceptor);
   }, []);
 
+  // Keep the connection badge current while the backend reconnects
+  useEffect(() => {
+    checkConnection();
+    const healthTimer = setInterval(checkConnection, 30000);
+    return () => clearInterval(healthTimer);
+  }, [currentUser]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    if (currentUser) loadSchemas();
+  }, [currentUser]);
+
+  useEffect(() => {
+    if (currentUser) loadTables();
+  }, [currentUser, schema]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const loadCurrentUser = async () => {
+    if (!getToken()) {
+      setAuthChecked(true);
+      return;
+    }
+    try {
+      const response = await axios.get('/api/auth/me');
+      setCurrentUser(response.data.user);
+    } catch (error) {
+      clearToken();
+      setCurrentUser(null);
+    } finally {
+      setAuthChecked(true);
+    }
+  };
+
+  const logout = () => {
+    clearToken();
+    setCurrentUser(null);
+    setActiveView('splash');
+  };
+
   const checkConnection = async () => {
     try {
-      const response = await axios.get('/api/health');
+      // Only admins can see why the database is unreachable
+      const response = await axios.get(hasRole(currentUser, 'admin') ? '/api/health/details' : '/api/health');
       setConnectionStatus(response.data);
     } catch (error) {
       setConnectionStatus({ status: 'error', database: 'disconnected' });
     }
   };
 
+  const loadSchemas = async () => {
+    try {
+      const response = await axios.get('/api/schemas');
+      setSchemas(response.data.schemas || []);
+    } catch (error) {
+      console.error('Failed to load schemas:', error);
+    }
+  };
+
   const loadTables = async () => {
     setIsLoading(true);
     try {
-      const response = await axios.get('/api/tables');
+      const response = await axios.get('/api/tables', { params: { schema } });
       setTables(response.data.tables || []);
     } catch (error) {
       console.error('Failed to load tables:', error);
@@ -49,6 +117,11 @@ function App() {
     }
   };
 
+  const refreshTables = () => {
+    loadSchemas();
+    loadTables();
+  };
+
   // Navigation helpers for Splash actions
 
   const createProject = () => { setEditingProject(null); setActiveView('create-project'); };
@@ -82,9 +155,16 @@ function App() {
                 <Dropdown.Item active={activeView === 'tables'} onClick={() => setActiveView('tables')}>
                   <span className="nav-icon">📊</span> Tables
                 </Dropdown.Item>
-                <Dropdown.Item active={activeView === 'query'} onClick={() => setActiveView('query')}>
-                  <span className="nav-icon">⚡</span> Query
-                </Dropdown.Item>
+                {hasRole(currentUser, 'researcher') && (
+                  <Dropdown.Item active={activeView === 'query'} onClick={() => setActiveView('query')}>
+                    <span className="nav-icon">⚡</span> Query
+                  </Dropdown.Item>
+                )}
+                {hasRole(currentUser, 'admin') && (
+                  <Dropdown.Item active={activeView === 'attribute-resolvers'} onClick={() => setActiveView('attribute-resolvers')}>
+                    <span className="nav-icon">🔗</span> Attribute Resolvers
+                  </Dropdown.Item>
+                )}
               </Dropdown.Menu>
             </Dropdown>
 
@@ -95,22 +175,44 @@ function App() {
             <Menu.Item>
               <ConnectionStatus status={connectionStatus} />
             </Menu.Item>
+            {currentUser && (
+              <Dropdown item text={currentUser.display_name || currentUser.username} aria-label="Current user">
+                <Dropdown.Menu>
+                  <Dropdown.Header content={`Signed in as ${currentUser.username} (${currentUser.role})`} />
+                  <Dropdown.Item icon="sign out" text="Sign out" onClick={logout} />
+                </Dropdown.Menu>
+              </Dropdown>
+            )}
           </Menu.Menu>
         </Container>
       </Menu> 
 
       <div className="app-body">
-        {activeView === 'splash' ? (
+        {!authChecked ? null : !currentUser ? (
+          <Login onLoggedIn={setCurrentUser} />
+        ) : activeView === 'splash' ? (
           <Splash onCreateProject={createProject} onViewProjects={viewProjects} onViewSites={viewSites} />
         ) : activeView === 'tables' ? (
           <div className="tables-view">
             <aside className="sidebar">
               <div className="sidebar-header">
                 <h2>Tables</h2>
-                <button className="refresh-btn" onClick={loadTables} title="Refresh">
+                <button className="refresh-btn" onClick={refreshTables} title="Refresh">
                   ↻
                 </button>
               </div>
+              {schemas.length > 1 && (
+                <div className="schema-select">
+                  <Dropdown
+                    fluid
+                    selection
+                    aria-label="Schema"
+                    value={schema}
+                    options={schemas.map(s => ({ key: s.name, value: s.name, text: s.name, description: String(s.table_count) }))}
+                    onChange={(e, { value }) => setSchema(value)}
+                  />
+                </div>
+              )}
               {isLoading ? (
                 <div className="loading">Loading...</div>
               ) : tables.length === 0 ? (
@@ -126,7 +228,7 @@ function App() {
                       onClick={() => setSelectedTable(table)}
                     >
                       <span className="table-icon">▸</span>
-                      {table}
+                      {table.startsWith(`${schema}.`) ? table.slice(schema.length + 1) : table}
                     </li>
                   ))}
                 </ul>
@@ -134,7 +236,7 @@ function App() {
             </aside>
             <main className="main-content">
               {selectedTable ? (
-                <TableView tableName={selectedTable} />
+                <TableView tableName={selectedTable} currentUser={currentUser} />
               ) : (
                 <div className="welcome-screen">
                   <div className="welcome-content">
@@ -146,15 +248,17 @@ function App() {
             </main>
           </div>
         ) : activeView === 'query' ? (
-          <QueryEditor />
+          <QueryEditor currentUser={currentUser} />
+        ) : activeView === 'attribute-resolvers' ? (
+          <AttributeResolversAdmin />
         ) : activeView === 'projects' ? (
           <ProjectsList onEdit={editProject} onCreate={() => createProject()} onChange={loadTables} />
         ) : activeView === 'sites' ? (
           <SitesList onEdit={viewSiteDetail} onChange={loadTables} />
         ) : activeView === 'site-detail' && selectedSite ? (
-          <SiteDetail site={selectedSite} onBack={backToSites} />
+          <SiteDetail site={selectedSite} onBack={backToSites} currentUser={currentUser} />
         ) : activeView === 'create-project' ? (
-          <CreateProject project={editingProject} onCreated={() => { setActiveView('projects'); setEditingProject(null); loadTables(); }} onCancel={() => { setActiveView('projects'); setEditingProject(null); }} />
+          <CreateProject project={editingProject} currentUser={currentUser} onCreated={() => { setActiveView('projects'); setEditingProject(null); loadTables(); }} onCancel={() => { setActiveView('projects'); setEditingProject(null); }} />
         ) : null}
       </div>
 
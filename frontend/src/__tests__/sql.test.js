@@ -0,0 +1,95 @@
+import { stripLiterals, placeholderCount, referencedTables, completionContext } from '../sql';
+
+describe('stripLiterals', () => {
+  test('blanks string literals, quoted identifiers and comments without moving offsets', () => {
+    const sql = `SELECT 'it''s', "Odd ""name"" col" FROM t -- from hidden\nWHERE /* join x */ a = 1`;
+    const stripped = stripLiterals(sql);
+    expect(stripped).toHaveLength(sql.length);
+    expect(stripped).toBe(`SELECT ${' '.repeat(7)}, ${' '.repeat(18)} FROM t ${' '.repeat(14)}\nWHERE ${' '.repeat(12)} a = 1`);
+  });
+
+  test('blanks dollar-quoted bodies, tagged or not, but keeps newlines', () => {
+    expect(stripLiterals('SELECT $$a;\nb$$, $fn$ $$ $fn$ x')).toBe(`SELECT ${' '.repeat(4)}\n${' '.repeat(3)}, ${' '.repeat(12)} x`);
+  });
+
+  test('blanks unterminated literals and comments to the end', () => {
+    expect(stripLiterals("SELECT 'open")).toBe('SELECT      ');
+    expect(stripLiterals('SELECT 1 /* open')).toBe('SELECT 1        ');
+  });
+
+  test('leaves placeholders and operators alone', () => {
+    expect(stripLiterals('SELECT $1 - 2 / 3')).toBe('SELECT $1 - 2 / 3');
+  });
+});
+
+describe('placeholderCount', () => {
+  test('is the highest $n, not the number of placeholders', () => {
+    expect(placeholderCount('SELECT * FROM t WHERE a = $1 AND b = $3 OR c = $1')).toBe(3);
+  });
+
+  test('ignores $n inside literals, comments and dollar quotes', () => {
+    expect(placeholderCount("SELECT '$4', \"$5\" -- $6\n/* $7 */ FROM t WHERE a = $2 AND b = $$ $8 $$")).toBe(2);
+  });
+
+  test('is 0 without placeholders or input', () => {
+    expect(placeholderCount('SELECT 1')).toBe(0);
+    expect(placeholderCount(undefined)).toBe(0);
+  });
+});
+
+describe('referencedTables', () => {
+  test('maps aliases, bare names and qualified names to the table', () => {
+    const tables = referencedTables('SELECT * FROM public.hub_sites s JOIN lnk_project_site AS l USING (hub_site_id)');
+    expect(Object.fromEntries(tables)).toEqual({
+      hub_sites: 'public.hub_sites',
+      'public.hub_sites': 'public.hub_sites',
+      s: 'public.hub_sites',
+      lnk_project_site: 'lnk_project_site',
+      l: 'lnk_project_site'
+    });
+  });
+
+  test('does not take a following keyword for an alias', () => {
+    const tables = referencedTables('SELECT * FROM hub_sites WHERE x = 1 ORDER BY 1');
+    expect([...tables.keys()]).toEqual(['hub_sites']);
+    expect([...referencedTables('SELECT * FROM a LEFT JOIN b ON a.id = b.id').keys()]).toEqual(['a', 'b']);
+  });
+
+  test('ignores FROM and JOIN inside literals and comments', () => {
+    const tables = referencedTables("SELECT 'from fake' FROM real_table -- join other\n/* from hidden */");
+    expect([...tables.keys()]).toEqual(['real_table']);
+  });
+});
+
+describe('completionContext', () => {
+  const at = (sql) => completionContext(sql, sql.length);
+
+  test('expects a table right after FROM or JOIN', () => {
+    expect(at('SELECT * FROM hub')).toEqual({ start: 14, prefix: 'hub', qualifier: null, expect: 'table' });
+    expect(at('SELECT * FROM a JOIN lnk')).toMatchObject({ prefix: 'lnk', expect: 'table' });
+  });
+
+  test('expects a column elsewhere, with the alias before a dot as qualifier', () => {
+    expect(at('SELECT s.si')).toEqual({ start: 9, prefix: 'si', qualifier: 's', expect: 'column' });
+    expect(at('SELECT s.')).toEqual({ start: 9, prefix: '', qualifier: 's', expect: 'column' });
+    expect(at('SELECT * FROM t WHERE na')).toMatchObject({ prefix: 'na', qualifier: null, expect: 'column' });
+  });
+
+  test('uses the cursor, not the end of the text', () => {
+    const sql = 'SELECT na FROM t';
+    expect(completionContext(sql, 9)).toEqual({ start: 7, prefix: 'na', qualifier: null, expect: 'column' });
+  });
+
+  test('is null inside literals, quoted identifiers, comments and dollar quotes', () => {
+    expect(at("SELECT 'na")).toBeNull();
+    expect(at('SELECT "na')).toBeNull();
+    expect(at('SELECT 1 -- na')).toBeNull();
+    expect(at('SELECT 1 /* na')).toBeNull();
+    expect(at('SELECT $$ na')).toBeNull();
+  });
+
+  test('is null when nothing is being typed', () => {
+    expect(at('SELECT * FROM ')).toBeNull();
+    expect(completionContext('', 0)).toBeNull();
+  });
+});
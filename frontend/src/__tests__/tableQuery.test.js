@@ -0,0 +1,20 @@
+import { buildQueryParams } from '../tableQuery';
+
+describe('buildQueryParams', () => {
+  test('serializes sort and filters for the table endpoint', () => {
+    const params = buildQueryParams(
+      [{ column: 'name', desc: false }, { column: 'created_at', desc: true }],
+      [
+        { column: 'borough', op: 'in', value: 'MN,BK' },
+        { column: 'notes', op: 'isnull', value: '' },
+        { column: 'status', op: 'notnull', value: '' }
+      ]
+    );
+    expect(params).toEqual({
+      sort: 'name,-created_at',
+      'filter[borough][in]': 'MN,BK',
+      'filter[notes][isnull]': 'true',
+      'filter[status][isnull]': 'false'
+    });
+  });
+});
@@ -0,0 +1,30 @@
+import axios from 'axios';
+
+// Token storage and axios wiring for the bearer-token auth used by the backend
+const TOKEN_KEY = 'rdh_token';
+
+// Roles in ascending order of privilege (mirrors backend/middleware/auth.js)
+export const ROLES = ['viewer', 'researcher', 'editor', 'admin'];
+
+export function getToken() {
+  return window.localStorage.getItem(TOKEN_KEY);
+}
+
+export function setToken(token) {
+  window.localStorage.setItem(TOKEN_KEY, token);
+  axios.defaults.headers.common.Authorization = `Bearer ${token}`;
+}
+
+export function clearToken() {
+  window.localStorage.removeItem(TOKEN_KEY);
+  delete axios.defaults.headers.common.Authorization;
+}
+
+export function hasRole(user, role) {
+  if (!user) return false;
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(role) && ROLES.indexOf(role) !== -1;
+}
+
+// Restore a previously stored token (call once at startup)
+const stored = getToken();
+if (stored) axios.defaults.headers.common.Authorization = `Bearer ${stored}`;
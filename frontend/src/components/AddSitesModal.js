@@ -5,6 +5,8 @@ import axios from 'axios';
 export default function AddSitesModal({ open, onClose, projectId, onSitesUpdated }) {
   const [allSites, setAllSites] = useState([]);
   const [selectedSiteIds, setSelectedSiteIds] = useState(new Set());
+  const [linkedSiteIds, setLinkedSiteIds] = useState(new Set()); // links as last loaded/saved
+  const [lastDelta, setLastDelta] = useState(null);
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState(null);
@@ -14,6 +16,7 @@ export default function AddSitesModal({ open, onClose, projectId, onSitesUpdated
   const loadData = useCallback(async () => {
     setLoading(true);
     setError(null);
+    setLastDelta(null);
     try {
       // Fetch all available sites
       const allSitesRes = await axios.get('/api/sites');
@@ -23,7 +26,8 @@ export default function AddSitesModal({ open, onClose, projectId, onSitesUpdated
       const linkedRes = await axios.get(`/api/projects/${projectId}/sites`);
       const linkedSites = linkedRes.data?.data || [];
       const linkedIds = new Set(linkedSites.map(s => s.hub_site_id || s.id));
-      setSelectedSiteIds(linkedIds);
+      setLinkedSiteIds(linkedIds);
+      setSelectedSiteIds(new Set(linkedIds));
     } catch (err) {
       setError('Failed to load sites');
       console.error(err);
@@ -68,15 +72,26 @@ export default function AddSitesModal({ open, onClose, projectId, onSitesUpdated
     });
   };
 
+  // Pending changes relative to what is currently linked
+  const toAdd = Array.from(selectedSiteIds).filter(id => !linkedSiteIds.has(id));
+  const toRemove = Array.from(linkedSiteIds).filter(id => !selectedSiteIds.has(id));
+  const hasChanges = toAdd.length > 0 || toRemove.length > 0;
+
   const handleSave = async () => {
     setSaving(true);
     setError(null);
     try {
-      await axios.put(`/api/projects/${projectId}/sites`, {
-        siteIds: Array.from(selectedSiteIds)
+      const res = await axios.patch(`/api/projects/${projectId}/sites`, {
+        add: toAdd,
+        remove: toRemove
       });
-      if (onSitesUpdated) onSitesUpdated(Array.from(selectedSiteIds));
-      onClose();
+      const delta = res.data || {};
+      const removed = new Set((delta.removed || []).map(String));
+      const linked = Array.from(linkedSiteIds).filter(id => !removed.has(String(id))).concat(delta.added || []);
+      setLinkedSiteIds(new Set(linked));
+      setSelectedSiteIds(new Set(linked));
+      setLastDelta(delta);
+      if (onSitesUpdated) onSitesUpdated(linked);
     } catch (err) {
       setError('Failed to save site selection');
       console.error(err);
@@ -98,6 +113,18 @@ export default function AddSitesModal({ open, onClose, projectId, onSitesUpdated
       <Modal.Header>Add Sites to Project</Modal.Header>
       <Modal.Content scrolling>
         {error && <Message negative content={error} />}
+        {lastDelta && (
+          <Message positive onDismiss={() => setLastDelta(null)}>
+            <Message.Header>Project sites updated</Message.Header>
+            <Message.List>
+              <Message.Item>Added {lastDelta.added?.length || 0}{lastDelta.added?.length ? `: ${lastDelta.added.join(', ')}` : ''}</Message.Item>
+              <Message.Item>Removed {lastDelta.removed?.length || 0}{lastDelta.removed?.length ? `: ${lastDelta.removed.join(', ')}` : ''}</Message.Item>
+              {lastDelta.notFound?.length > 0 && (
+                <Message.Item>Skipped (site not found): {lastDelta.notFound.join(', ')}</Message.Item>
+              )}
+            </Message.List>
+          </Message>
+        )}
         
         <div style={{ marginBottom: 16, display: 'flex', alignItems: 'center', gap: 12 }}>
           <Input
@@ -169,8 +196,13 @@ export default function AddSitesModal({ open, onClose, projectId, onSitesUpdated
         )}
       </Modal.Content>
       <Modal.Actions>
-        <Button onClick={onClose} disabled={saving}>Cancel</Button>
-        <Button primary onClick={handleSave} loading={saving} disabled={saving}>
+        {hasChanges && (
+          <span style={{ marginRight: 12, color: '#666' }}>
+            +{toAdd.length} / -{toRemove.length} pending
+          </span>
+        )}
+        <Button onClick={onClose} disabled={saving}>{lastDelta && !hasChanges ? 'Close' : 'Cancel'}</Button>
+        <Button primary onClick={handleSave} loading={saving} disabled={saving || !hasChanges}>
           Save Selection ({selectedCount} sites)
         </Button>
       </Modal.Actions>
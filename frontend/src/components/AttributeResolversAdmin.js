@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+import { Segment, Header, Table, Button, Modal, Form, Message, Label, Loader } from 'semantic-ui-react';
+import axios from 'axios';
+
+const FIELDS = [
+  { key: 'source_table', label: 'Source table', placeholder: 'sat_site_material', required: true },
+  { key: 'value_column', label: 'Value column', placeholder: 'material_id', required: true },
+  { key: 'ref_table', label: 'Lookup table', placeholder: 'ref_material' },
+  { key: 'ref_key_column', label: 'Lookup key column', placeholder: 'defaults to the value column' },
+  { key: 'ref_label_column', label: 'Lookup label column', placeholder: 'material_nm' },
+  { key: 'order_column', label: 'Order column', placeholder: 'sort_order' }
+];
+
+const emptyForm = () => Object.fromEntries(FIELDS.map(f => [f.key, '']));
+
+// Admin screen for ref_attribute_resolvers: where each tbl/ref/refs attribute reads its values
+export default function AttributeResolversAdmin() {
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null); // attribute row being edited
+  const [form, setForm] = useState(emptyForm());
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState(null);
+
+  const load = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await axios.get('/api/attribute-resolvers');
+      setRows(res.data?.data || []);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to load attribute resolvers');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => { load(); }, []);
+
+  const openEditor = (row) => {
+    setEditing(row);
+    setForm({ ...emptyForm(), ...Object.fromEntries(FIELDS.map(f => [f.key, row.resolver?.[f.key] || ''])) });
+    setFormError(null);
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setFormError(null);
+    try {
+      await axios.put(`/api/attribute-resolvers/${editing.attribute_id}`, form);
+      setEditing(null);
+      await load();
+    } catch (err) {
+      setFormError(err.response?.data?.error || err.message || 'Failed to save resolver');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const remove = async (row) => {
+    if (!window.confirm(`Remove the resolver for ${row.attribute_nm}? Its values will no longer load.`)) return;
+    try {
+      await axios.delete(`/api/attribute-resolvers/${row.attribute_id}`);
+      await load();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to remove resolver');
+    }
+  };
+
+  return (
+    <Segment>
+      <Header as="h3">
+        Attribute Resolvers
+        <Header.Subheader>Where table-backed (tbl/ref/refs) site attributes read their values from</Header.Subheader>
+      </Header>
+      {error && <Message negative content={error} />}
+      {loading ? <Loader active inline="centered" /> : (
+        <Table compact celled>
+          <Table.Header>
+            <Table.Row>
+              <Table.HeaderCell>Attribute</Table.HeaderCell>
+              <Table.HeaderCell>Type</Table.HeaderCell>
+              <Table.HeaderCell>Source</Table.HeaderCell>
+              <Table.HeaderCell>Lookup</Table.HeaderCell>
+              <Table.HeaderCell>Order</Table.HeaderCell>
+              <Table.HeaderCell />
+            </Table.Row>
+          </Table.Header>
+          <Table.Body>
+            {rows.map(row => (
+              <Table.Row key={row.attribute_id} warning={!row.resolver}>
+                <Table.Cell>{row.attribute_nm}</Table.Cell>
+                <Table.Cell>{row.attribute_type}</Table.Cell>
+                <Table.Cell>
+                  {row.resolver ? `${row.resolver.source_table}.${row.resolver.value_column}` : <Label size="small" color="orange">Not configured</Label>}
+                </Table.Cell>
+                <Table.Cell>
+                  {row.resolver?.ref_table ? `${row.resolver.ref_table}.${row.resolver.ref_label_column}` : ''}
+                </Table.Cell>
+                <Table.Cell>{row.resolver?.order_column || ''}</Table.Cell>
+                <Table.Cell collapsing>
+                  <Button size="mini" onClick={() => openEditor(row)}>{row.resolver ? 'Edit' : 'Configure'}</Button>
+                  {row.resolver && <Button size="mini" basic negative onClick={() => remove(row)}>Remove</Button>}
+                </Table.Cell>
+              </Table.Row>
+            ))}
+          </Table.Body>
+        </Table>
+      )}
+
+      <Modal open={!!editing} onClose={() => setEditing(null)} size="small">
+        <Modal.Header>Resolver: {editing?.attribute_nm}</Modal.Header>
+        <Modal.Content>
+          {formError && <Message negative content={formError} />}
+          <Form>
+            {FIELDS.map(f => (
+              <Form.Input
+                key={f.key}
+                label={f.label}
+                required={f.required}
+                placeholder={f.placeholder}
+                value={form[f.key]}
+                onChange={(e, { value }) => setForm({ ...form, [f.key]: value })}
+              />
+            ))}
+          </Form>
+        </Modal.Content>
+        <Modal.Actions>
+          <Button onClick={() => setEditing(null)}>Cancel</Button>
+          <Button primary onClick={save} loading={saving} disabled={saving}>Save</Button>
+        </Modal.Actions>
+      </Modal>
+    </Segment>
+  );
+}
@@ -4,11 +4,14 @@ import { Label, Icon } from 'semantic-ui-react';
 function ConnectionStatus({ status }) {
   if (!status) return null;
   const isConnected = status.database === 'connected';
+  // The backend keeps retrying while the database is unreachable
+  const isRetrying = !isConnected && ['connecting', 'reconnecting'].includes(status.connection?.status);
+  const lastError = status.connection?.lastError?.message;
 
   return (
-    <Label color={isConnected ? 'green' : 'red'}>
-      <Icon name={isConnected ? 'plug' : 'unlink'} />
-      {isConnected ? `Connected to ${status.dbType}` : 'Disconnected'}
+    <Label color={isConnected ? 'green' : isRetrying ? 'yellow' : 'red'} title={!isConnected && lastError ? lastError : undefined}>
+      <Icon name={isConnected ? 'plug' : isRetrying ? 'sync' : 'unlink'} loading={isRetrying} />
+      {isConnected ? `Connected to ${status.dbType}` : isRetrying ? 'Reconnecting…' : 'Disconnected'}
     </Label>
   );
 }
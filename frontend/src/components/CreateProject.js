@@ -6,7 +6,7 @@ import SiteSelectionModal from './SiteSelectionModal';
 import AddSitesModal from './AddSitesModal';
 import AttributeSelectionModal from './AttributeSelectionModal';
 
-export default function CreateProject({ onCreated, onCancel, project }) {
+export default function CreateProject({ onCreated, onCancel, project, currentUser }) {
   const [form, setForm] = useState({
     name: '',
     description: '',
@@ -84,11 +84,19 @@ export default function CreateProject({ onCreated, onCancel, project }) {
         const cols = res.data?.columns || [];
         if (!mounted) return;
         if (cols.length > 0) {
-          // exclude primary id column from editable fields
-          const fields = cols.map(c => c.column_name).filter(cn => cn !== 'hub_project_id');
+          // exclude database-generated columns (serial/identity keys etc.) from editable fields
+          const fields = cols.filter(c => !c.is_auto).map(c => c.column_name);
           setSchemaFields(fields);
           const meta = {};
-          cols.forEach(c => { meta[c.column_name] = { data_type: c.data_type, enum_values: c.enum_values || null }; });
+          cols.forEach(c => {
+            meta[c.column_name] = {
+              data_type: c.data_type,
+              enum_values: c.enum_values || null,
+              required: c.is_nullable === false && c.column_default == null,
+              max_length: c.max_length || null,
+              comment: c.comment || null
+            };
+          });
           setSchemaMeta(meta);
         } else {
           // fallback if columns endpoint returned nothing
@@ -171,8 +179,10 @@ export default function CreateProject({ onCreated, onCancel, project }) {
     if (!project?.id) return;
     (async () => {
       try {
-        const response = await axios.get('/api/table/lnk_project_site');
-        const projectSites = response.data?.data?.filter(ps => ps.hub_project_id === project.id) || [];
+        const response = await axios.get('/api/table/lnk_project_site', {
+          params: { 'filter[hub_project_id][eq]': project.id, fields: 'hub_site_id', limit: 1000 }
+        });
+        const projectSites = response.data?.data || [];
         setSelectedSites(projectSites.map(ps => ps.hub_site_id));
       } catch (err) {
         console.error('Failed to load project sites:', err);
@@ -194,15 +204,14 @@ export default function CreateProject({ onCreated, onCancel, project }) {
     })();
   }, [project?.id]);
 
-  // Load and display site geometries on map when selected sites change
+  // Load and display the project's site geometries when its selected sites change
   useEffect(() => {
-    if (!selectedSites.length || !mapViewRef.current || !window.require) return;
+    if (!project?.id || !selectedSites.length || !mapViewRef.current || !window.require) return;
 
     (async () => {
       try {
-        const response = await axios.get('/api/table/sat_site_geometry');
-        const allGeoms = response.data?.data || [];
-        const siteGeoms = allGeoms.filter(g => selectedSites.includes(g.hub_site_id));
+        const response = await axios.get(`/api/projects/${project.id}/geometry`);
+        const siteGeoms = response.data?.features || [];
 
         window.require(['esri/Graphic', 'esri/geometry/Polygon', 'esri/geometry/Polyline', 'esri/geometry/Point'], 
           (Graphic, Polygon, Polyline, Point) => {
@@ -233,14 +242,13 @@ export default function CreateProject({ onCreated, onCancel, project }) {
               } catch (e) { return null; }
             };
 
-            siteGeoms.forEach((geom) => {
+            siteGeoms.forEach((feature) => {
               try {
-                let geomData = geom.shape;
-                if (typeof geomData === 'string') geomData = JSON.parse(geomData);
+                const geomData = feature.geometry;
                 if (!geomData || !geomData.type) return;
 
                 let geometry = null, symbol = null;
-                const spatialRef = geomData.crs?.properties?.name === 'EPSG:2263' ? { wkid: 2263 } : { wkid: 4326 };
+                const spatialRef = { wkid: 4326 }; // the geometry endpoint always returns WGS84
                 
                 if (geomData.type === 'MultiPolygon') {
                   const rings = geomData.coordinates.map(poly => poly[0]);
@@ -281,7 +289,7 @@ export default function CreateProject({ onCreated, onCancel, project }) {
         console.error('Failed to load site geometries:', err);
       }
     })();
-  }, [selectedSites]);
+  }, [selectedSites, project?.id]);
 
   const setPosition = ({ lat, lng }) => {
     setForm(prev => ({ ...prev, latitude: lat, longitude: lng }));
@@ -326,12 +334,22 @@ export default function CreateProject({ onCreated, onCancel, project }) {
     const err = {};
     const allowed = schemaFields || ['name', 'description', 'address', 'borough', 'latitude', 'longitude'];
     
-    // Only validate fields that exist in the schema
-    if (allowed.includes('name') && (!form.name || String(form.name).trim().length === 0)) {
-      err.name = 'Name is required';
-    }
-    if (allowed.includes('address') && (!form.address || String(form.address).trim().length === 0)) {
-      err.address = 'Address is required';
+    const isBlank = (v) => v == null || String(v).trim().length === 0;
+
+    if (Object.keys(schemaMeta).length > 0) {
+      // Required/length rules come from the column metadata (NOT NULL without a default)
+      for (const field of allowed) {
+        const meta = schemaMeta[field] || {};
+        const label = field.replace(/_/g, ' ');
+        if (meta.required && isBlank(form[field])) err[field] = `${label} is required`;
+        else if (meta.max_length && form[field] != null && String(form[field]).length > meta.max_length) {
+          err[field] = `${label} must be at most ${meta.max_length} characters`;
+        }
+      }
+    } else {
+      // No metadata available: fall back to the common required fields
+      if (allowed.includes('name') && isBlank(form.name)) err.name = 'Name is required';
+      if (allowed.includes('address') && isBlank(form.address)) err.address = 'Address is required';
     }
     if (allowed.includes('latitude') && form.latitude != null) {
       if (isNaN(form.latitude) || form.latitude < -90 || form.latitude > 90) {
@@ -397,14 +415,14 @@ export default function CreateProject({ onCreated, onCancel, project }) {
     if (meta?.enum_values && Array.isArray(meta.enum_values) && meta.enum_values.length > 0) {
       const options = meta.enum_values.map(v => ({ key: v, value: v, text: v }));
       return (
-        <Form.Select key={field} name={field} label={field.replace(/_/g, ' ')} options={options} value={value} onChange={handleChange} error={!!fieldError} />
+        <Form.Select key={field} name={field} label={field.replace(/_/g, ' ')} options={options} value={value} onChange={handleChange} error={!!fieldError} required={!!meta.required} />
       );
     }
 
     // heuristics for field types
     if (field === 'description' || field === 'notes' || field === 'summary') {
       return (
-        <Form.TextArea key={field} name={field} label={field.replace(/_/g, ' ')} value={value} onChange={handleChange} error={!!fieldError} />
+        <Form.TextArea key={field} name={field} label={field.replace(/_/g, ' ')} value={value} onChange={handleChange} error={!!fieldError} required={!!meta.required} placeholder={meta.comment || undefined} />
       );
     }
 
@@ -414,6 +432,7 @@ export default function CreateProject({ onCreated, onCancel, project }) {
           key={field}
           name={field}
           label={field.replace(/_/g, ' ')}
+          required={!!meta.required}
           type="number"
           value={value}
           onChange={(e, { name, value }) => setForm(prev => ({ ...prev, [name]: value !== '' ? parseFloat(value) : null }))}
@@ -423,7 +442,17 @@ export default function CreateProject({ onCreated, onCancel, project }) {
     }
 
     return (
-      <Form.Input key={field} name={field} label={field.replace(/_/g, ' ')} value={value} onChange={handleChange} error={!!fieldError} />
+      <Form.Input
+        key={field}
+        name={field}
+        label={field.replace(/_/g, ' ')}
+        value={value}
+        onChange={handleChange}
+        error={!!fieldError}
+        required={!!meta.required}
+        maxLength={meta.max_length || undefined}
+        placeholder={meta.comment || undefined}
+      />
     );
   };
 
@@ -440,7 +469,7 @@ export default function CreateProject({ onCreated, onCancel, project }) {
           <Grid.Column width={8}>
             <Form>
               {schemaFields ? (
-                schemaFields.filter(f => f !== 'id' && f !== 'hub_project_id').map(renderField)
+                schemaFields.filter(f => f !== 'id').map(renderField)
               ) : (
                 <p style={{ color: 'var(--text-dim)' }}>Loading form fields...</p>
               )}
@@ -506,6 +535,7 @@ export default function CreateProject({ onCreated, onCancel, project }) {
             open={siteModalOpen} 
             onClose={() => setSiteModalOpen(false)} 
             projectId={project.id} 
+            currentUser={currentUser}
           />
         )}
 
@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { Label, Icon, Popup } from 'semantic-ui-react';
+
+// Plan node fields shown under the node line when present
+const DETAIL_KEYS = [
+  'Index Cond', 'Recheck Cond', 'Hash Cond', 'Merge Cond', 'Join Filter', 'Filter',
+  'Rows Removed by Filter', 'Rows Removed by Join Filter', 'Sort Key', 'Sort Method', 'Group Key',
+  'Strategy', 'Partial Mode', 'Workers Planned', 'Workers Launched'
+];
+
+// Actual rows off from the estimate by at least this factor are flagged
+const MISESTIMATE_FACTOR = 10;
+
+const formatNumber = (n) => (n == null ? '–' : Number(n).toLocaleString(undefined, { maximumFractionDigits: 2 }));
+
+const formatDetail = (value) => (Array.isArray(value) ? value.join(', ') : String(value));
+
+// "Seq Scan on public.sites s", "Index Scan using sites_pkey on public.sites", "Hash Join (Left)"
+function nodeTitle(node) {
+  let title = node['Node Type'];
+  if (node['Join Type'] && node['Join Type'] !== 'Inner') title += ` (${node['Join Type']})`;
+  if (node['Index Name']) title += ` using ${node['Index Name']}`;
+  if (node['Relation Name']) {
+    title += ` on ${node.Schema ? `${node.Schema}.` : ''}${node['Relation Name']}`;
+    if (node.Alias && node.Alias !== node['Relation Name']) title += ` ${node.Alias}`;
+  } else if (node['CTE Name']) {
+    title += ` on ${node['CTE Name']}`;
+  }
+  return title;
+}
+
+// Warnings for one node: full scans of large tables and row misestimates (ANALYZE only)
+function nodeWarnings(node, tableRows, largeTableRows) {
+  const warnings = [];
+  if (node['Node Type'] === 'Seq Scan') {
+    const rows = tableRows.get(`${node.Schema}.${node['Relation Name']}`);
+    if (rows >= largeTableRows) warnings.push({ color: 'red', text: `Seq scan of ~${formatNumber(rows)} rows` });
+  }
+  // Both figures are per loop; nodes that never ran have no actuals worth comparing
+  if (node['Actual Rows'] != null && node['Actual Loops'] > 0) {
+    const ratio = Math.max(node['Actual Rows'], 1) / Math.max(node['Plan Rows'], 1);
+    if (ratio >= MISESTIMATE_FACTOR || ratio <= 1 / MISESTIMATE_FACTOR) {
+      warnings.push({ color: 'orange', text: `Rows ${ratio > 1 ? 'under' : 'over'}estimated ${formatNumber(ratio > 1 ? ratio : 1 / ratio)}×` });
+    }
+  }
+  return warnings;
+}
+
+function PlanNode({ node, tableRows, largeTableRows }) {
+  const [open, setOpen] = useState(true);
+  const children = node.Plans || [];
+  const warnings = nodeWarnings(node, tableRows, largeTableRows);
+  const details = DETAIL_KEYS.filter(k => node[k] != null && node[k] !== '');
+  const analyzed = node['Actual Rows'] != null;
+
+  return (
+    <li className={`plan-node${warnings.some(w => w.color === 'red') ? ' plan-node-warn' : ''}`}>
+      <div className="plan-node-line">
+        {children.length > 0 ? (
+          <Icon
+            link
+            name={open ? 'caret down' : 'caret right'}
+            aria-label={open ? 'Collapse' : 'Expand'}
+            onClick={() => setOpen(o => !o)}
+          />
+        ) : <Icon name="circle outline" size="small" className="plan-leaf" />}
+        <strong>{nodeTitle(node)}</strong>
+        {node['Subplan Name'] && <Label size="mini" basic>{node['Subplan Name']}</Label>}
+        <Popup
+          content="Startup cost .. total cost (planner units)"
+          trigger={<span className="plan-metric">cost {formatNumber(node['Startup Cost'])}..{formatNumber(node['Total Cost'])}</span>}
+        />
+        <span className="plan-metric">
+          rows {formatNumber(node['Plan Rows'])} est
+          {analyzed && <> / {formatNumber(node['Actual Rows'])} actual{node['Actual Loops'] > 1 && ` × ${formatNumber(node['Actual Loops'])} loops`}</>}
+        </span>
+        {analyzed && <span className="plan-metric">{formatNumber(node['Actual Total Time'])} ms</span>}
+        {warnings.map(w => <Label key={w.text} size="mini" color={w.color}>{w.text}</Label>)}
+      </div>
+      {open && details.length > 0 && (
+        <ul className="plan-details">
+          {details.map(k => <li key={k}><span className="plan-detail-key">{k}:</span> {formatDetail(node[k])}</li>)}
+        </ul>
+      )}
+      {open && children.length > 0 && (
+        <ul className="plan-children">
+          {children.map((child, i) => (
+            <PlanNode key={i} node={child} tableRows={tableRows} largeTableRows={largeTableRows} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+// Expandable tree for the response of POST /api/query/explain
+export default function ExplainPlan({ explain }) {
+  const tableRows = new Map((explain.tables || []).map(t => [`${t.schema}.${t.name}`, t.rows]));
+  return (
+    <div className="explain-plan">
+      <div className="results-header">
+        <h3>{explain.analyze ? 'Explain Analyze' : 'Explain'}</h3>
+        <span className="results-count">
+          {explain.planningTime != null && `planning ${formatNumber(explain.planningTime)} ms`}
+          {explain.executionTime != null && ` · execution ${formatNumber(explain.executionTime)} ms`}
+          {explain.planningTime == null && `total cost ${formatNumber(explain.plan['Total Cost'])}`}
+        </span>
+      </div>
+      <ul className="plan-tree">
+        <PlanNode node={explain.plan} tableRows={tableRows} largeTableRows={explain.largeTableRows} />
+      </ul>
+    </div>
+  );
+}
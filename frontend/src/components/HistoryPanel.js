@@ -0,0 +1,117 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Modal, Button, Table, Message, Loader, Label, Segment } from 'semantic-ui-react';
+import axios from 'axios';
+import { hasRole } from '../auth';
+
+const ACTION_COLORS = { insert: 'green', update: 'blue', delete: 'red', restore: 'orange' };
+
+const formatValue = (v) => {
+  if (v == null) return '';
+  return typeof v === 'object' ? JSON.stringify(v) : String(v);
+};
+
+// Fields whose value differs between the before and after snapshots
+const diffFields = (before, after) => {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return Array.from(keys).filter(k => formatValue(before?.[k]) !== formatValue(after?.[k]));
+};
+
+export default function HistoryPanel({ open, onClose, tableName, recordId, onRestored, currentUser }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [restoringId, setRestoringId] = useState(null);
+  const [error, setError] = useState(null);
+  // Restoring writes to the table, which the backend only allows editors to do
+  const canRestore = hasRole(currentUser, 'editor');
+
+  const loadHistory = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await axios.get(`/api/history/${tableName}/${recordId}`);
+      setEntries(res.data?.data || []);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to load history');
+    } finally {
+      setLoading(false);
+    }
+  }, [tableName, recordId]);
+
+  useEffect(() => {
+    if (open && tableName && recordId != null) loadHistory();
+  }, [open, tableName, recordId, loadHistory]);
+
+  const handleRestore = async (entry) => {
+    if (!window.confirm(`Restore this record to its state as of ${new Date(entry.changed_at).toLocaleString()}?`)) return;
+    setRestoringId(entry.audit_id);
+    setError(null);
+    try {
+      const res = await axios.post(`/api/history/${entry.audit_id}/restore`);
+      if (onRestored) onRestored(res.data.data);
+      await loadHistory();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to restore version');
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  return (
+    <Modal open={open} onClose={onClose} size="large">
+      <Modal.Header>History: {tableName} #{recordId}</Modal.Header>
+      <Modal.Content scrolling>
+        {error && <Message negative content={error} />}
+        {loading && <Loader active inline="centered" />}
+        {!loading && entries.length === 0 && <Message info content="No recorded changes for this record." />}
+
+        {!loading && entries.map(entry => {
+          const fields = diffFields(entry.before_data, entry.after_data);
+          const snapshot = entry.action === 'delete' ? entry.before_data : entry.after_data;
+          return (
+            <Segment key={entry.audit_id}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 8 }}>
+                <Label color={ACTION_COLORS[entry.action] || 'grey'}>{entry.action}</Label>
+                <span>{new Date(entry.changed_at).toLocaleString()}</span>
+                <span style={{ color: '#666' }}>by {entry.actor || 'unknown'}</span>
+                {snapshot && canRestore && (
+                  <Button
+                    size="small"
+                    style={{ marginLeft: 'auto' }}
+                    onClick={() => handleRestore(entry)}
+                    loading={restoringId === entry.audit_id}
+                    disabled={restoringId != null}
+                  >
+                    Restore this version
+                  </Button>
+                )}
+              </div>
+              {fields.length > 0 && (
+                <Table celled compact size="small">
+                  <Table.Header>
+                    <Table.Row>
+                      <Table.HeaderCell>Field</Table.HeaderCell>
+                      <Table.HeaderCell>Before</Table.HeaderCell>
+                      <Table.HeaderCell>After</Table.HeaderCell>
+                    </Table.Row>
+                  </Table.Header>
+                  <Table.Body>
+                    {fields.map(field => (
+                      <Table.Row key={field}>
+                        <Table.Cell>{field}</Table.Cell>
+                        <Table.Cell negative={entry.before_data != null}>{formatValue(entry.before_data?.[field])}</Table.Cell>
+                        <Table.Cell positive={entry.after_data != null}>{formatValue(entry.after_data?.[field])}</Table.Cell>
+                      </Table.Row>
+                    ))}
+                  </Table.Body>
+                </Table>
+              )}
+            </Segment>
+          );
+        })}
+      </Modal.Content>
+      <Modal.Actions>
+        <Button onClick={onClose}>Close</Button>
+      </Modal.Actions>
+    </Modal>
+  );
+}
@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Button, Table, Message, Form, Dropdown, Statistic } from 'semantic-ui-react';
+import axios from 'axios';
+
+const MAX_ERRORS_SHOWN = 100;
+
+// Three steps: pick a file, review the header mapping and dry-run report, then commit.
+// The server does all parsing and validation; every preview is a dryRun of the same request.
+export default function ImportCsvModal({ open, onClose, tableName, onImported }) {
+  const [csvText, setCsvText] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [columns, setColumns] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [report, setReport] = useState(null);
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+    setCsvText(null);
+    setFileName('');
+    setMapping({});
+    setReport(null);
+    setResult(null);
+    setError(null);
+    axios.get(`/api/columns/${tableName}`)
+      .then(res => setColumns((res.data?.columns || []).filter(c => !c.is_generated)))
+      .catch(() => setColumns([]));
+  }, [open, tableName]);
+
+  const runImport = async (text, headerMapping, dryRun) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const res = await axios.post(`/api/table/${tableName}/import`, text, {
+        headers: { 'Content-Type': 'text/csv' },
+        params: { dryRun, mapping: headerMapping }
+      });
+      return res.data;
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Import failed');
+      // A rejected import (409) still carries the report, with the offending line in its errors
+      if (Array.isArray(err.response?.data?.errors)) setReport(err.response.data);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const text = await file.text();
+    setFileName(file.name);
+    setCsvText(text);
+    setResult(null);
+    // First preview uses the server's automatic header matching, which seeds the mapping
+    const data = await runImport(text, {}, true);
+    if (data) {
+      setReport(data);
+      setMapping(Object.fromEntries(data.columns.map(c => [c.header, c.column || ''])));
+    }
+  };
+
+  const revalidate = async () => {
+    const data = await runImport(csvText, mapping, true);
+    if (data) setReport(data);
+  };
+
+  const commit = async () => {
+    const data = await runImport(csvText, mapping, false);
+    if (data) {
+      setReport(data);
+      setResult(data);
+      if (onImported) onImported(data);
+    }
+  };
+
+  const columnOptions = [
+    { key: '', value: '', text: '(skip)' },
+    ...columns.map(c => ({ key: c.column_name, value: c.column_name, text: c.column_name }))
+  ];
+
+  return (
+    <Modal open={open} onClose={onClose} size="large">
+      <Modal.Header>Import CSV into {tableName}</Modal.Header>
+      <Modal.Content scrolling>
+        {error && <Message negative content={error} />}
+
+        <Form>
+          <Form.Field>
+            <label>CSV file (first row is the header)</label>
+            <input type="file" accept=".csv,text/csv" onChange={handleFile} disabled={busy} />
+          </Form.Field>
+        </Form>
+
+        {report && !result && (
+          <>
+            <Table celled compact size="small">
+              <Table.Header>
+                <Table.Row>
+                  <Table.HeaderCell>CSV header</Table.HeaderCell>
+                  <Table.HeaderCell>Column</Table.HeaderCell>
+                </Table.Row>
+              </Table.Header>
+              <Table.Body>
+                {Object.keys(mapping).map(header => (
+                  <Table.Row key={header}>
+                    <Table.Cell>{header}</Table.Cell>
+                    <Table.Cell>
+                      <Dropdown
+                        selection
+                        search
+                        options={columnOptions}
+                        value={mapping[header]}
+                        onChange={(e, { value }) => setMapping({ ...mapping, [header]: value })}
+                      />
+                    </Table.Cell>
+                  </Table.Row>
+                ))}
+              </Table.Body>
+            </Table>
+            <Button onClick={revalidate} loading={busy} disabled={busy}>Re-validate</Button>
+
+            <Statistic.Group size="mini" style={{ margin: '1rem 0' }}>
+              <Statistic label="rows" value={report.total} />
+              <Statistic color="green" label="valid" value={report.valid} />
+              <Statistic color="red" label="with errors" value={report.invalid} />
+            </Statistic.Group>
+
+            {report.missingRequired?.length > 0 && (
+              <Message warning content={`Required columns not mapped: ${report.missingRequired.join(', ')}`} />
+            )}
+            {report.errors.length > 0 && (
+              <Table celled compact size="small">
+                <Table.Header>
+                  <Table.Row>
+                    <Table.HeaderCell>Line</Table.HeaderCell>
+                    <Table.HeaderCell>Problem</Table.HeaderCell>
+                  </Table.Row>
+                </Table.Header>
+                <Table.Body>
+                  {report.errors.slice(0, MAX_ERRORS_SHOWN).map((e, i) => (
+                    <Table.Row key={i} negative>
+                      <Table.Cell>{e.line}</Table.Cell>
+                      <Table.Cell>{e.message}</Table.Cell>
+                    </Table.Row>
+                  ))}
+                </Table.Body>
+              </Table>
+            )}
+            {report.errors.length > MAX_ERRORS_SHOWN && (
+              <Message info content={`Showing the first ${MAX_ERRORS_SHOWN} of ${report.errors.length} problems.`} />
+            )}
+          </>
+        )}
+
+        {result && (
+          <Message positive>
+            Imported {result.inserted} row(s) from {fileName}
+            {result.invalid > 0 ? `; ${result.invalid} row(s) with errors were skipped.` : '.'}
+          </Message>
+        )}
+      </Modal.Content>
+      <Modal.Actions>
+        <Button onClick={onClose}>{result ? 'Close' : 'Cancel'}</Button>
+        {!result && (
+          <Button primary onClick={commit} loading={busy} disabled={busy || !report || report.valid === 0}>
+            Import {report ? report.valid : 0} valid row(s)
+          </Button>
+        )}
+      </Modal.Actions>
+    </Modal>
+  );
+}
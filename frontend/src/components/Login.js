@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import { Segment, Header, Form, Button, Message } from 'semantic-ui-react';
+import axios from 'axios';
+import { setToken } from '../auth';
+
+export default function Login({ onLoggedIn }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async () => {
+    if (!username || !password) {
+      setError('Please enter your username and password');
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await axios.post('/api/auth/login', { username, password });
+      setToken(res.data.token);
+      if (onLoggedIn) onLoggedIn(res.data.user);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Login failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div style={{ maxWidth: 420, margin: '4rem auto' }}>
+      <Segment>
+        <Header as="h2">Sign in</Header>
+        <p className="muted">Sign in with your Research Data Hub account to continue.</p>
+        {error && <Message negative content={error} />}
+        <Form onSubmit={handleSubmit}>
+          <Form.Input
+            label="Username"
+            name="username"
+            autoComplete="username"
+            value={username}
+            onChange={(e, { value }) => setUsername(value)}
+            autoFocus
+          />
+          <Form.Input
+            label="Password"
+            name="password"
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e, { value }) => setPassword(value)}
+          />
+          <Button primary type="submit" loading={loading} disabled={loading}>Sign in</Button>
+        </Form>
+      </Segment>
+    </div>
+  );
+}
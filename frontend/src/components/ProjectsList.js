@@ -18,7 +18,7 @@ export default function ProjectsList({ onEdit, onCreate, onChange }) {
         if (!mounted) return;
         if (cols.length > 0) {
           // Exclude primary key columns; include other fields
-          const fields = cols.map(c => c.column_name).filter(cn => cn !== 'hub_project_id');
+          const fields = cols.filter(c => !c.is_primary_key).map(c => c.column_name);
           setSchemaFields(fields);
         } else {
           // Fallback to common field names
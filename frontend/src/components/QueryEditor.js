@@ -1,111 +1,481 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import axios from 'axios';
-import { Form, Button } from 'semantic-ui-react';
+import { Form, Button, Modal, Message, Checkbox, Dropdown } from 'semantic-ui-react';
+import QueryLibrary from './QueryLibrary';
+import ExplainPlan from './ExplainPlan';
+import SchemaBrowser from './SchemaBrowser';
+import { placeholderCount, completionContext, referencedTables } from '../sql';
+import { useSchemaCatalog } from '../schemaCatalog';
+import { downloadPost, downloadErrorMessage } from '../download';
 import './QueryEditor.css';
 
-function QueryEditor() {
-  const [query, setQuery] = useState('');
+// The editor text, parameter values and open saved query survive navigation
+const DRAFT_KEY = 'rdh_query_draft';
+
+// Suggestions shown at once while typing
+const MAX_SUGGESTIONS = 12;
+
+const loadDraft = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(DRAFT_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+};
+
+function QueryEditor({ currentUser }) {
+  const [draft] = useState(loadDraft);
+  const [query, setQuery] = useState(draft.query || '');
+  const [paramValues, setParamValues] = useState(draft.paramValues || []);
+  const [current, setCurrent] = useState(draft.current || null); // saved query being edited
   const [result, setResult] = useState(null);
+  const [explain, setExplain] = useState(null); // plan from /api/query/explain, shown instead of results
+  const [analyze, setAnalyze] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [downloading, setDownloading] = useState(false);
+  const [pendingAction, setPendingAction] = useState(null); // 'run', 'explain', 'csv' or 'ndjson' awaiting parameter values
+  const [saveForm, setSaveForm] = useState(null); // { name, description, shared } while saving
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+  const [savedVersion, setSavedVersion] = useState(0);
+  const [historyVersion, setHistoryVersion] = useState(0);
+  const catalog = useSchemaCatalog();
+  const [completionAt, setCompletionAt] = useState(null); // cursor position while suggesting
+  const [completionIndex, setCompletionIndex] = useState(0);
+  const editorRef = useRef(null);
+  const pendingCursor = useRef(null);
 
-  const executeQuery = async () => {
-    if (!query.trim()) {
-      setError('Please enter a query');
-      return;
-    }
+  const textarea = () => editorRef.current?.querySelector('textarea');
+
+  // Put the caret where an insertion or completion ended once the new text has rendered
+  useEffect(() => {
+    const el = editorRef.current?.querySelector('textarea');
+    if (pendingCursor.current == null || !el) return;
+    el.focus();
+    el.setSelectionRange(pendingCursor.current, pendingCursor.current);
+    pendingCursor.current = null;
+  }, [query]);
+
+  const replaceRange = (start, end, text) => {
+    setQuery(q => q.slice(0, start) + text + q.slice(end));
+    pendingCursor.current = start + text.length;
+    setCompletionAt(null);
+  };
+
+  // Schema browser clicks insert at the caret (or replace the selection)
+  const insertText = (text) => {
+    const el = textarea();
+    const start = el ? el.selectionStart : query.length;
+    const end = el ? el.selectionEnd : query.length;
+    replaceRange(start, end, text);
+  };
 
+  // Tables right after FROM / JOIN; otherwise columns of the tables the query names (or of the
+  // alias / table before a dot), followed by table names
+  const completion = useMemo(() => {
+    if (completionAt == null) return null;
+    const ctx = completionContext(query, completionAt);
+    if (!ctx) return null;
+    const aliases = referencedTables(query);
+    const columnsOf = (table) => (catalog.columns[table] || [])
+      .map(c => ({ label: c.column_name, detail: c.data_type === 'USER-DEFINED' ? c.udt_name : c.data_type }));
+    const tableItems = catalog.tables.map(t => ({ label: t, detail: 'table' }));
+
+    let items;
+    if (ctx.expect === 'table') items = tableItems;
+    else if (ctx.qualifier) items = aliases.has(ctx.qualifier) ? columnsOf(aliases.get(ctx.qualifier)) : tableItems;
+    else items = [...[...new Set(aliases.values())].flatMap(columnsOf), ...tableItems];
+
+    const prefix = ctx.prefix.toLowerCase();
+    const seen = new Set();
+    items = items.filter(item => {
+      const key = item.label.toLowerCase();
+      if (!key.startsWith(prefix) || key === prefix || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    }).slice(0, MAX_SUGGESTIONS);
+    return items.length > 0 ? { ...ctx, end: completionAt, items } : null;
+  }, [completionAt, query, catalog.columns, catalog.tables]);
+  const activeSuggestion = completion ? Math.min(completionIndex, completion.items.length - 1) : 0;
+
+  // Column suggestions need the columns of every table the query names
+  const referenced = useMemo(() => [...new Set(referencedTables(query).values())], [query]);
+  const { loadColumns } = catalog;
+  useEffect(() => {
+    if (completionAt != null) referenced.forEach(t => loadColumns(t));
+  }, [referenced, completionAt, loadColumns]);
+
+  const acceptCompletion = (item) => replaceRange(completion.start, completion.end, item.label);
+
+  useEffect(() => {
+    window.localStorage.setItem(DRAFT_KEY, JSON.stringify({ query, paramValues, current }));
+  }, [query, paramValues, current]);
+
+  const ownsCurrent = current && String(current.owner_id) === String(currentUser?.user_id);
+
+  // Blank parameter values are sent as NULL
+  const toParams = (values) => values.map(v => (v === '' ? null : v));
+
+  const runQuery = async (values) => {
     setLoading(true);
     setError(null);
     setResult(null);
+    setExplain(null);
 
     try {
-      const response = await axios.post('/api/query', { query });
+      const response = await axios.post('/api/query', { query, params: toParams(values) });
       setResult(response.data);
     } catch (err) {
       setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+      setHistoryVersion(v => v + 1);
+    }
+  };
+
+  // Every row of the result, streamed by the server as CSV or NDJSON (not limited to MAX_QUERY_ROWS)
+  const downloadResult = async (format, values) => {
+    setDownloading(true);
+    setError(null);
+    try {
+      await downloadPost('/api/query/export', { query, params: toParams(values) }, { format }, `query.${format}`);
+    } catch (err) {
+      setError(await downloadErrorMessage(err));
+    } finally {
+      setDownloading(false);
+      setHistoryVersion(v => v + 1);
+    }
+  };
+
+  // EXPLAIN (FORMAT JSON), with ANALYZE when the toggle is on (the query really runs, then rolls back)
+  const explainQuery = async (values) => {
+    setLoading(true);
+    setError(null);
+    setResult(null);
+    setExplain(null);
+    try {
+      const response = await axios.post('/api/query/explain', { query, params: toParams(values), analyze });
+      setExplain(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
     } finally {
       setLoading(false);
     }
   };
 
+  const perform = (action, values) => {
+    if (action === 'run') runQuery(values);
+    else if (action === 'explain') explainQuery(values);
+    else downloadResult(action, values);
+  };
+
+  // Queries with $1..$n placeholders prompt for their values first
+  const startAction = (action) => {
+    if (!query.trim()) {
+      setError('Please enter a query');
+      return;
+    }
+    const count = placeholderCount(query);
+    if (count > 0) {
+      setParamValues(prev => Array.from({ length: count }, (_, i) => prev[i] ?? ''));
+      setPendingAction(action);
+      return;
+    }
+    perform(action, []);
+  };
+
+  const executeQuery = () => startAction('run');
+
+  const runWithParams = () => {
+    const action = pendingAction;
+    setPendingAction(null);
+    perform(action, paramValues);
+  };
+
+  // Load a saved query or a history entry into the editor
+  const openEntry = (entry) => {
+    setQuery(entry.sql_text);
+    setCurrent(entry.query_id ? entry : null);
+    if (entry.params) setParamValues(entry.params.map(v => (v == null ? '' : String(v))));
+    setResult(null);
+    setExplain(null);
+    setError(null);
+  };
+
+  const openSave = () => {
+    setSaveForm({
+      name: current?.name || '',
+      description: current?.description || '',
+      shared: current?.shared || false
+    });
+    setSaveError(null);
+  };
+
+  const saveQuery = async (asNew) => {
+    setSaving(true);
+    setSaveError(null);
+    try {
+      const body = { ...saveForm, sql_text: query };
+      const res = asNew
+        ? await axios.post('/api/saved-queries', body)
+        : await axios.put(`/api/saved-queries/${current.query_id}`, body);
+      setCurrent(res.data.data);
+      setSaveForm(null);
+      setSavedVersion(v => v + 1);
+    } catch (err) {
+      setSaveError(err.response?.data?.error || err.message || 'Failed to save query');
+    } finally {
+      setSaving(false);
+    }
+  };
+
   const handleKeyPress = (e) => {
     if (e.ctrlKey && e.key === 'Enter') {
+      setCompletionAt(null);
       executeQuery();
+      return;
     }
+    if (!completion) return;
+    const count = completion.items.length;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      setCompletionIndex((activeSuggestion + (e.key === 'ArrowDown' ? 1 : count - 1)) % count);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      acceptCompletion(completion.items[activeSuggestion]);
+    } else if (e.key === 'Escape') {
+      setCompletionAt(null);
+    }
+  };
+
+  const handleChange = (e, { value }) => {
+    setQuery(value);
+    setCompletionAt(e.target.selectionStart);
+    setCompletionIndex(0);
   };
 
   return (
     <div className="query-editor">
       <div className="editor-header">
-        <h2>Query Editor</h2>
-        <span className="editor-hint">Press Ctrl+Enter to execute</span>
+        <h2>Query Editor{current && <span className="editor-current"> — {current.name}</span>}</h2>
+        <span className="editor-hint">Press Ctrl+Enter to execute · $1, $2… prompt for values</span>
       </div>
 
-      <div className="editor-container">
-        <Form>
-          <Form.TextArea
-            aria-label="SQL query editor"
-            className="query-input"
-            value={query}
-            onChange={(e, { value }) => setQuery(value)}
-            onKeyDown={handleKeyPress}
-            placeholder={`Enter your SQL query here...\n\nExample:\nSELECT * FROM users WHERE active = true LIMIT 10;`}
-            rows={8}
-          />
-          <Button primary aria-label="Execute SQL query" onClick={executeQuery} loading={loading} disabled={loading}>
-            ⚡ Execute Query
-          </Button>
-        </Form>
-      </div>
-
-      {error && (
-        <div className="error-message">
-          <div className="error-icon">⚠</div>
-          <div className="error-content">
-            <strong>Error:</strong>
-            <p>{error}</p>
-          </div>
-        </div>
-      )}
-
-      {result && (
-        <div className="query-results">
-          <div className="results-header">
-            <h3>Results</h3>
-            <span className="results-count">
-              {result.rowCount || result.data?.length || 0} rows
-            </span>
+      <div className="editor-layout">
+        <div className="editor-main">
+          <div className="editor-container">
+            <Form>
+              <div className="editor-input" ref={editorRef}>
+                <Form.TextArea
+                  aria-label="SQL query editor"
+                  className="query-input"
+                  value={query}
+                  onChange={handleChange}
+                  onKeyDown={handleKeyPress}
+                  onClick={() => setCompletionAt(null)}
+                  onBlur={() => setCompletionAt(null)}
+                  placeholder={`Enter your SQL query here...\n\nExample:\nSELECT * FROM users WHERE active = true LIMIT 10;`}
+                  rows={8}
+                />
+                {completion && (
+                  <ul className="completion-list" role="listbox" aria-label="Suggestions">
+                    {completion.items.map((item, i) => (
+                      <li
+                        key={item.label}
+                        role="option"
+                        aria-selected={i === activeSuggestion}
+                        className={i === activeSuggestion ? 'active' : ''}
+                        // mousedown keeps the textarea focused (blur would close the list first)
+                        onMouseDown={(e) => { e.preventDefault(); acceptCompletion(item); }}
+                      >
+                        <span>{item.label}</span>
+                        <span className="completion-detail">{item.detail}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+              <div className="editor-actions">
+                <Button aria-label="Save query" onClick={openSave} disabled={!query.trim()}>
+                  Save
+                </Button>
+                {current && (
+                  <Button basic aria-label="New query" onClick={() => { setCurrent(null); setQuery(''); setResult(null); setExplain(null); }}>
+                    New
+                  </Button>
+                )}
+                <Dropdown
+                  button
+                  basic
+                  className="icon"
+                  labeled
+                  icon="download"
+                  text="Download full result"
+                  aria-label="Download full result"
+                  loading={downloading}
+                  disabled={downloading || !query.trim()}
+                >
+                  <Dropdown.Menu>
+                    <Dropdown.Item text="CSV" onClick={() => startAction('csv')} />
+                    <Dropdown.Item text="NDJSON (one JSON object per line)" onClick={() => startAction('ndjson')} />
+                  </Dropdown.Menu>
+                </Dropdown>
+                <Checkbox
+                  toggle
+                  className="explain-analyze"
+                  label="Analyze"
+                  checked={analyze}
+                  onChange={(e, { checked }) => setAnalyze(checked)}
+                />
+                <Button basic aria-label="Explain SQL query" onClick={() => startAction('explain')} disabled={loading}>
+                  Explain
+                </Button>
+                <Button primary aria-label="Execute SQL query" onClick={executeQuery} loading={loading} disabled={loading}>
+                  ⚡ Execute Query
+                </Button>
+              </div>
+            </Form>
           </div>
 
-          {result.data && result.data.length > 0 ? (
-            <div className="results-table-container">
-              <table className="results-table">
-                <thead>
-                  <tr>
-                    {Object.keys(result.data[0]).map(column => (
-                      <th key={column}>{column}</th>
-                    ))}
-                  </tr>
-                </thead>
-                <tbody>
-                  {result.data.map((row, index) => (
-                    <tr key={index}>
-                      {Object.values(row).map((value, i) => (
-                        <td key={i}>{String(value)}</td>
-                      ))}
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
+          {error && (
+            <div className="error-message">
+              <div className="error-icon">⚠</div>
+              <div className="error-content">
+                <strong>Error:</strong>
+                <p>{error}</p>
+              </div>
             </div>
-          ) : (
-            <div className="empty-results">
-              <p>Query executed successfully. No rows returned.</p>
+          )}
+
+          {explain && <ExplainPlan explain={explain} />}
+
+          {result && (
+            <div className="query-results">
+              <div className="results-header">
+                <h3>Results</h3>
+                <span className="results-count">
+                  {result.rowCount || result.data?.length || 0} rows
+                  {result.durationMs != null && ` · ${result.durationMs} ms`}
+                </span>
+              </div>
+              {result.note && (
+                <Message warning size="small" content={`${result.note}. Use “Download full result” for every row.`} />
+              )}
+
+              {result.data && result.data.length > 0 ? (
+                <div className="results-table-container">
+                  <table className="results-table">
+                    <thead>
+                      <tr>
+                        {Object.keys(result.data[0]).map(column => (
+                          <th key={column}>{column}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {result.data.map((row, index) => (
+                        <tr key={index}>
+                          {Object.values(row).map((value, i) => (
+                            <td key={i}>{String(value)}</td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <div className="empty-results">
+                  <p>Query executed successfully. No rows returned.</p>
+                </div>
+              )}
             </div>
           )}
         </div>
-      )}
+
+        <div className="editor-side">
+          <SchemaBrowser catalog={catalog} onInsert={insertText} />
+          <QueryLibrary
+            currentUser={currentUser}
+            savedVersion={savedVersion}
+            historyVersion={historyVersion}
+            onOpen={openEntry}
+            onDeleted={(q) => { if (current?.query_id === q.query_id) setCurrent(null); }}
+          />
+        </div>
+      </div>
+
+      <Modal open={!!pendingAction} onClose={() => setPendingAction(null)} size="tiny">
+        <Modal.Header>Query parameters</Modal.Header>
+        <Modal.Content>
+          <Form onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); runWithParams(); } }}>
+            {paramValues.map((value, i) => (
+              <Form.Input
+                key={i}
+                label={`$${i + 1}`}
+                value={value}
+                autoFocus={i === 0}
+                placeholder="NULL"
+                onChange={(e, { value: v }) => setParamValues(prev => prev.map((p, j) => (j === i ? v : p)))}
+              />
+            ))}
+            <p className="editor-hint-inline">
+              Values are sent as text and cast to the parameter's type (write $1::int to be explicit). Leave blank for NULL.
+            </p>
+          </Form>
+        </Modal.Content>
+        <Modal.Actions>
+          <Button onClick={() => setPendingAction(null)}>Cancel</Button>
+          <Button primary onClick={runWithParams}>
+            {pendingAction === 'run' ? 'Run' : pendingAction === 'explain' ? 'Explain' : 'Download'}
+          </Button>
+        </Modal.Actions>
+      </Modal>
+
+      <Modal open={!!saveForm} onClose={() => setSaveForm(null)} size="tiny">
+        <Modal.Header>Save query</Modal.Header>
+        <Modal.Content>
+          {saveError && <Message negative content={saveError} />}
+          {saveForm && (
+            <Form>
+              <Form.Input
+                label="Name"
+                required
+                value={saveForm.name}
+                onChange={(e, { value }) => setSaveForm(f => ({ ...f, name: value }))}
+              />
+              <Form.TextArea
+                label="Description"
+                rows={2}
+                value={saveForm.description}
+                onChange={(e, { value }) => setSaveForm(f => ({ ...f, description: value }))}
+              />
+              <Checkbox
+                toggle
+                label="Share with everyone who can use the Query Editor"
+                checked={saveForm.shared}
+                onChange={(e, { checked }) => setSaveForm(f => ({ ...f, shared: checked }))}
+              />
+            </Form>
+          )}
+        </Modal.Content>
+        <Modal.Actions>
+          <Button onClick={() => setSaveForm(null)}>Cancel</Button>
+          {ownsCurrent && (
+            <Button onClick={() => saveQuery(true)} loading={saving} disabled={saving || !saveForm?.name.trim()}>
+              Save as new
+            </Button>
+          )}
+          <Button
+            primary
+            onClick={() => saveQuery(!ownsCurrent)}
+            loading={saving}
+            disabled={saving || !saveForm?.name.trim()}
+          >
+            {ownsCurrent ? `Update “${current.name}”` : 'Save'}
+          </Button>
+        </Modal.Actions>
+      </Modal>
     </div>
   );
 }
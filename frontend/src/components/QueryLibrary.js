@@ -0,0 +1,131 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Segment, Menu, List, Label, Button, Message, Loader } from 'semantic-ui-react';
+import axios from 'axios';
+import { hasRole } from '../auth';
+
+const preview = (sql) => (sql.length > 120 ? `${sql.slice(0, 120)}…` : sql);
+
+// Saved queries (own and shared) and the caller's execution history, beside the Query Editor.
+// Reloads whenever savedVersion / historyVersion change; onOpen receives a saved query or a
+// history entry.
+export default function QueryLibrary({ currentUser, savedVersion, historyVersion, onOpen, onDeleted }) {
+  const [tab, setTab] = useState('saved');
+  const [saved, setSaved] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadSaved = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/saved-queries');
+      setSaved(res.data?.data || []);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to load saved queries');
+    }
+  }, []);
+
+  const loadHistory = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/query/history');
+      setHistory(res.data?.data || []);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to load query history');
+    }
+  }, []);
+
+  useEffect(() => {
+    setLoading(true);
+    loadSaved().finally(() => setLoading(false));
+  }, [loadSaved, savedVersion]);
+
+  useEffect(() => { loadHistory(); }, [loadHistory, historyVersion]);
+
+  const isMine = (q) => String(q.owner_id) === String(currentUser?.user_id);
+  const canChange = (q) => isMine(q) || hasRole(currentUser, 'admin');
+
+  const removeSaved = async (q) => {
+    if (!window.confirm(`Delete the saved query "${q.name}"?`)) return;
+    setError(null);
+    try {
+      await axios.delete(`/api/saved-queries/${q.query_id}`);
+      if (onDeleted) onDeleted(q);
+      await loadSaved();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to delete saved query');
+    }
+  };
+
+  const clearHistory = async () => {
+    if (!window.confirm('Clear your query history?')) return;
+    setError(null);
+    try {
+      await axios.delete('/api/query/history');
+      setHistory([]);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to clear history');
+    }
+  };
+
+  return (
+    <Segment className="query-library">
+      <Menu secondary pointing size="small">
+        <Menu.Item name="Saved" active={tab === 'saved'} onClick={() => setTab('saved')} />
+        <Menu.Item name="History" active={tab === 'history'} onClick={() => setTab('history')} />
+        {tab === 'history' && history.length > 0 && (
+          <Menu.Item position="right">
+            <Button basic size="mini" onClick={clearHistory}>Clear</Button>
+          </Menu.Item>
+        )}
+      </Menu>
+      {error && <Message negative size="small" content={error} onDismiss={() => setError(null)} />}
+
+      {tab === 'saved' ? (
+        loading ? <Loader active inline="centered" size="small" /> : saved.length === 0 ? (
+          <p className="library-empty">No saved queries yet. Use “Save” to keep the current query.</p>
+        ) : (
+          <List divided relaxed>
+            {saved.map(q => (
+              <List.Item key={q.query_id}>
+                {canChange(q) && (
+                  <List.Content floated="right">
+                    <Button basic icon="trash" size="mini" aria-label={`Delete ${q.name}`} onClick={() => removeSaved(q)} />
+                  </List.Content>
+                )}
+                <List.Content>
+                  <List.Header as="a" onClick={() => onOpen(q)}>{q.name}</List.Header>
+                  <List.Description>
+                    {q.description && <div>{q.description}</div>}
+                    {q.shared && <Label size="mini" color="teal">shared</Label>}
+                    {!isMine(q) && (
+                      <Label size="mini" basic>by {q.owner_username}</Label>
+                    )}
+                  </List.Description>
+                </List.Content>
+              </List.Item>
+            ))}
+          </List>
+        )
+      ) : history.length === 0 ? (
+        <p className="library-empty">Queries you run appear here.</p>
+      ) : (
+        <List divided relaxed>
+          {history.map(h => (
+            <List.Item key={h.history_id} onClick={() => onOpen(h)} className="history-entry">
+              <List.Content>
+                <code className="history-sql">{preview(h.sql_text)}</code>
+                <List.Description>
+                  <Label size="mini" color={h.status === 'ok' ? 'green' : 'red'}>
+                    {h.status === 'ok' ? `${h.row_count} rows` : 'error'}
+                  </Label>
+                  {h.duration_ms != null && <Label size="mini" basic>{h.duration_ms} ms</Label>}
+                  {h.params && <Label size="mini" basic>{h.params.length} params</Label>}
+                  <span className="history-time">{new Date(h.executed_at).toLocaleString()}</span>
+                </List.Description>
+              </List.Content>
+            </List.Item>
+          ))}
+        </List>
+      )}
+    </Segment>
+  );
+}
@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { Segment, Input, Icon, Label, Loader, Message, Popup } from 'semantic-ui-react';
+
+const columnType = (col) => (col.data_type === 'USER-DEFINED' ? col.udt_name : col.data_type);
+
+const quoteLiteral = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+// Tables and their columns (type, keys, enum values) beside the Query Editor. Clicking a table,
+// column or enum value inserts it at the editor's cursor through onInsert.
+export default function SchemaBrowser({ catalog, onInsert }) {
+  const { tables, columns, columnErrors, loadColumns, error } = catalog;
+  const [filter, setFilter] = useState('');
+  const [expanded, setExpanded] = useState({});
+
+  const toggle = (table) => {
+    if (!expanded[table]) loadColumns(table);
+    setExpanded(prev => ({ ...prev, [table]: !prev[table] }));
+  };
+
+  const needle = filter.trim().toLowerCase();
+  const visible = needle ? tables.filter(t => t.toLowerCase().includes(needle)) : tables;
+
+  return (
+    <Segment className="schema-browser">
+      <Input
+        fluid
+        size="small"
+        icon="search"
+        placeholder="Filter tables..."
+        aria-label="Filter tables"
+        value={filter}
+        onChange={(e, { value }) => setFilter(value)}
+      />
+      {error && <Message negative size="small" content={error} />}
+      <ul className="schema-tree">
+        {visible.map(table => (
+          <li key={table}>
+            <div className="schema-table">
+              <Icon
+                link
+                name={expanded[table] ? 'caret down' : 'caret right'}
+                aria-label={expanded[table] ? `Collapse ${table}` : `Expand ${table}`}
+                onClick={() => toggle(table)}
+              />
+              <button type="button" className="schema-insert" title="Insert table name" onClick={() => onInsert(table)}>
+                {table}
+              </button>
+            </div>
+            {expanded[table] && (
+              columnErrors[table] ? (
+                <Message negative size="mini" content={`${columnErrors[table]} (collapse and expand to retry)`} />
+              ) : columns[table] == null ? <Loader active inline size="mini" /> : (
+                <ul className="schema-columns">
+                  {columns[table].map(col => (
+                    <li key={col.column_name}>
+                      <button type="button" className="schema-insert" title="Insert column name" onClick={() => onInsert(col.column_name)}>
+                        {col.column_name}
+                      </button>
+                      <span className="schema-type">{columnType(col)}</span>
+                      {col.is_primary_key && <Label size="mini" color="yellow">PK</Label>}
+                      {col.foreign_key && (
+                        <Popup
+                          content={`References ${col.foreign_key.table}.${col.foreign_key.column}`}
+                          trigger={<Label size="mini" basic>FK</Label>}
+                        />
+                      )}
+                      {col.enum_values && (
+                        <div className="schema-enum">
+                          {col.enum_values.map(v => (
+                            <button key={v} type="button" className="schema-insert" title="Insert value" onClick={() => onInsert(quoteLiteral(v))}>
+                              {v}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )
+            )}
+          </li>
+        ))}
+      </ul>
+    </Segment>
+  );
+}
@@ -1,161 +1,65 @@
 import React, { useEffect, useState, useRef } from 'react';
 import { Segment, Header, Button, Table, Message, Loader, Card, Grid } from 'semantic-ui-react';
 import axios from 'axios';
+import HistoryPanel from './HistoryPanel';
 
-export default function SiteDetail({ site, onBack }) {
+const COLUMN_LABELS = { attribute_nm: 'Attribute Name', value: 'Attribute Value' };
+
+// Columns worth showing for a dossier section: attributes show name/value only; elsewhere a
+// resolved *_nm replaces its *_id, and the site key is dropped
+const displayColumns = (key, rows) => {
+  if (key === 'attributes') return ['attribute_nm', 'value'];
+  if (rows.length === 0) return [];
+  const cols = Object.keys(rows[0]).filter(c => c !== 'hub_site_id');
+  return cols.filter(c => !(c.endsWith('_id') && cols.includes(`${c.slice(0, -3)}_nm`)));
+};
+
+const formatCell = (value) => {
+  if (value == null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+export default function SiteDetail({ site, onBack, currentUser }) {
   const [siteDetails, setSiteDetails] = useState(null);
-  const [tables, setTables] = useState([]);
-  const [satelliteTables, setSatelliteTables] = useState({});
-  const [refTables, setRefTables] = useState({}); // Store reference table lookups
+  const [satellites, setSatellites] = useState({});
+  const [geometries, setGeometries] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [expandedTable, setExpandedTable] = useState(null);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  // YYYY-MM-DD; empty shows current values
+  const [asOf, setAsOf] = useState('');
   const mapRef = useRef();
   const mapViewRef = useRef();
 
-  // Load all tables and filter for satellite tables
+  // Load the hub row and every satellite (reference names resolved server-side) in one request
   useEffect(() => {
     let mounted = true;
+    setLoading(true);
+    setSiteDetails(site);
     (async () => {
       try {
-        const res = await axios.get('/api/tables');
-        const allTables = res.data?.tables || [];
-        
-        // Filter for satellite tables related to this site (sat_site_*)
-        const satellites = allTables.filter(t => t.startsWith('sat_site_'));
-        
+        const siteId = site.hub_site_id || site.id;
+        const res = await axios.get(`/api/sites/${siteId}/dossier`, { params: { asOf: asOf || undefined } });
         if (!mounted) return;
-        setTables(satellites);
-        setSiteDetails(site);
+        const { geometry = [], ...rest } = res.data?.satellites || {};
+        setSiteDetails(res.data?.site || site);
+        setSatellites(rest);
+        setGeometries(geometry);
       } catch (err) {
-        console.error('Failed to load tables', err);
-        setError('Failed to load satellite tables');
+        console.error('Failed to load site dossier', err);
+        if (mounted) setError(err.response?.data?.error || 'Failed to load site details');
+      } finally {
+        if (mounted) setLoading(false);
       }
     })();
-    
-    return () => { mounted = false; };
-  }, [site]);
 
-  // Load data for each satellite table and reference tables
-  useEffect(() => {
-    if (!tables.length) return;
-    
-    let mounted = true;
-    (async () => {
-      try {
-        const data = {};
-        const refs = {};
-        const siteId = site.hub_site_id || site.id;
-        
-        for (const tableName of tables) {
-          // Fetch all data first
-          const res = await axios.get(`/api/table/${tableName}`);
-          const allRows = res.data?.data || [];
-          
-          // Filter rows by hub_site_id
-          const filteredRows = allRows.filter(row => row.hub_site_id === siteId);
-          
-          if (mounted) {
-            data[tableName] = {
-              columns: [],
-              rows: filteredRows
-            };
-            
-            // Get columns for this table
-            if (allRows.length > 0) {
-              data[tableName].columns = Object.keys(allRows[0]);
-            } else {
-              try {
-                const colRes = await axios.get(`/api/columns/${tableName}`);
-                data[tableName].columns = colRes.data?.columns?.map(c => c.column_name) || [];
-              } catch (e) {
-                data[tableName].columns = [];
-              }
-            }
-            
-            // Special handling for sat_site_attributes
-            if (tableName === 'sat_site_attributes') {
-              try {
-                const refRes = await axios.get('/api/table/ref_attributes');
-                const refData = refRes.data?.data || [];
-                
-                // Create a lookup: attribute_id -> {attribute_nm, attribute_type}
-                const attrLookup = {};
-                refData.forEach(row => {
-                  if (row.attribute_id) {
-                    attrLookup[row.attribute_id] = {
-                      nm: row.attribute_nm,
-                      type: row.attribute_type
-                    };
-                  }
-                });
-                
-                if (mounted) {
-                  refs['ref_attributes_full'] = attrLookup;
-                }
-              } catch (e) {
-                if (mounted) {
-                  refs['ref_attributes_full'] = {};
-                }
-              }
-            }
-            
-            // Find and load reference tables for foreign keys
-            for (const column of data[tableName].columns) {
-              if (column.endsWith('_id') && column !== 'hub_site_id') {
-                const refTableName = 'ref_' + column.substring(0, column.length - 3); // remove '_id' and add 'ref_'
-                
-                // Check if we haven't already loaded this reference table
-                if (!refs[refTableName]) {
-                  try {
-                    const refRes = await axios.get(`/api/table/${refTableName}`);
-                    const refData = refRes.data?.data || [];
-                    
-                    // Create a lookup map: id -> name
-                    const lookup = {};
-                    refData.forEach(row => {
-                      const idCol = column; // e.g., 'material_id'
-                      const nameCol = column.substring(0, column.length - 3) + '_nm'; // e.g., 'material_nm'
-                      if (row[idCol] && row[nameCol]) {
-                        lookup[row[idCol]] = row[nameCol];
-                      }
-                    });
-                    
-                    if (mounted) {
-                      refs[refTableName] = lookup;
-                    }
-                  } catch (e) {
-                    // Reference table doesn't exist, skip
-                    if (mounted) {
-                      refs[refTableName] = {};
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-        
-        if (mounted) {
-          setSatelliteTables(data);
-          setRefTables(refs);
-          setLoading(false);
-        }
-      } catch (err) {
-        console.error('Failed to load satellite table data', err);
-        if (mounted) {
-          setError('Failed to load some satellite tables');
-          setLoading(false);
-        }
-      }
-    })();
-    
     return () => { mounted = false; };
-  }, [tables, site]);
+  }, [site, asOf]);
 
-  // Initialize ArcGIS map and load geometry
+  // Initialize ArcGIS map and draw the dossier's geometry
   useEffect(() => {
-    if (!site) return;
+    if (!site || !geometries) return;
 
     // Retry until mapRef is available and SDK is loaded
     let retries = 0;
@@ -178,12 +82,7 @@ export default function SiteDetail({ site, onBack }) {
           view.when(() => {
             (async () => {
               try {
-                const siteId = site.hub_site_id || site.id;
-                console.log('Loading geometries for siteId:', siteId);
-                const response = await axios.get('/api/table/sat_site_geometry');
-                console.log('sat_site_geometry response:', response.data);
-                const siteGeoms = response.data?.data?.filter(g => g.hub_site_id === siteId) || [];
-                console.log('Filtered geometries for site:', siteGeoms);
+                const siteGeoms = geometries;
                 
                 view.graphics.removeAll();
                 let bounds = null;
@@ -283,18 +182,23 @@ export default function SiteDetail({ site, onBack }) {
 
     initMap();
     return () => { if (mapViewRef.current) mapViewRef.current.destroy(); };
-  }, [site]);
+  }, [site, geometries]);
 
   if (!siteDetails) {
     return <Loader active inline="centered" />;
   }
 
+  const sections = Object.entries(satellites);
+
   return (
     <div>
       <Segment>
         <Button icon onClick={onBack} style={{ marginBottom: '1rem' }}>
           ← Back to Sites
         </Button>
+        <Button onClick={() => setHistoryOpen(true)} style={{ marginBottom: '1rem', marginLeft: 8 }}>
+          History
+        </Button>
         
         <Header as="h2">Site Details</Header>
         {error && <Message negative content={error} />}
@@ -328,86 +232,50 @@ export default function SiteDetail({ site, onBack }) {
         </Grid>
       </Segment>
 
-      {tables.length > 0 && (
-        <Segment>
-          <Header as="h3">Satellite Data ({tables.length} tables)</Header>
-          {loading ? <Loader active inline="centered" /> : null}
-          
-          {tables.map(tableName => (
-            <div key={tableName} style={{ marginBottom: '2rem' }}>
-              <Header as="h4" style={{ cursor: 'pointer', display: 'flex', alignItems: 'center' }} onClick={() => setExpandedTable(expandedTable === tableName ? null : tableName)}>
+      <Segment>
+        <Header as="h3">Site Data{asOf ? ` as of ${asOf}` : ''}</Header>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: '1rem' }}>
+          <label htmlFor="site-as-of">As of</label>
+          <input id="site-as-of" type="date" value={asOf} onChange={(e) => setAsOf(e.target.value)} />
+          {asOf && <Button size="small" basic onClick={() => setAsOf('')}>Current</Button>}
+        </div>
+        {loading ? <Loader active inline="centered" /> : null}
+
+        {!loading && sections.map(([key, rows]) => {
+          const columns = displayColumns(key, rows);
+          return (
+            <div key={key} style={{ marginBottom: '2rem' }}>
+              <Header as="h4" style={{ cursor: 'pointer', display: 'flex', alignItems: 'center' }} onClick={() => setExpandedTable(expandedTable === key ? null : key)}>
                 <span style={{ marginRight: '0.5rem' }}>
-                  {expandedTable === tableName ? '▼' : '▶'}
+                  {expandedTable === key ? '▼' : '▶'}
                 </span>
-                {tableName.replace(/_/g, ' ').toUpperCase()}
+                {key.toUpperCase()}
                 <span style={{ marginLeft: '0.5rem', color: '#999', fontSize: '0.9rem' }}>
-                  ({satelliteTables[tableName]?.rows?.length || 0} records)
+                  ({rows.length} records)
                 </span>
               </Header>
-              
-              {expandedTable === tableName && satelliteTables[tableName] && (
+
+              {expandedTable === key && (
                 <Table celled compact>
                   <Table.Header>
                     <Table.Row>
-                      {tableName === 'sat_site_attributes' ? (
-                        <>
-                          <Table.HeaderCell>Attribute Name</Table.HeaderCell>
-                          <Table.HeaderCell>Attribute Value</Table.HeaderCell>
-                        </>
-                      ) : (
-                        satelliteTables[tableName].columns.map(col => (
-                          <Table.HeaderCell key={col}>{col.replace(/_/g, ' ')}</Table.HeaderCell>
-                        ))
-                      )}
+                      {columns.map(col => (
+                        <Table.HeaderCell key={col}>{COLUMN_LABELS[col] || col.replace(/_/g, ' ')}</Table.HeaderCell>
+                      ))}
                     </Table.Row>
                   </Table.Header>
                   <Table.Body>
-                    {satelliteTables[tableName].rows.length > 0 ? (
-                      satelliteTables[tableName].rows.map((row, idx) => {
-                        // Special rendering for sat_site_attributes
-                        if (tableName === 'sat_site_attributes') {
-                          const attrLookup = refTables['ref_attributes_full'] || {};
-                          const attrInfo = attrLookup[row.attribute_id];
-                          
-                          if (!attrInfo) {
-                            return null;
-                          }
-                          
-                          // Get the value column based on attribute type
-                          const valueColName = `attribute_value_${attrInfo.type}`;
-                          const attrValue = row[valueColName];
-                          
-                          return (
-                            <Table.Row key={idx}>
-                              <Table.Cell>{attrInfo.nm}</Table.Cell>
-                              <Table.Cell>{attrValue}</Table.Cell>
-                            </Table.Row>
-                          );
-                        }
-                        
-                        // Standard rendering for other tables
-                        return (
-                          <Table.Row key={idx}>
-                            {satelliteTables[tableName].columns.map(col => {
-                              let displayValue = row[col];
-                              
-                              // Check if this is a foreign key field
-                              if (col.endsWith('_id') && col !== 'hub_site_id' && row[col]) {
-                                const refTableName = 'ref_' + col.substring(0, col.length - 3);
-                                const lookup = refTables[refTableName] || {};
-                                displayValue = lookup[row[col]] || row[col];
-                              }
-                              
-                              return (
-                                <Table.Cell key={`${idx}-${col}`}>{displayValue}</Table.Cell>
-                              );
-                            })}
-                          </Table.Row>
-                        );
-                      })
+                    {rows.length > 0 ? (
+                      rows.map((row, idx) => (
+                        <Table.Row key={idx}>
+                          {columns.map(col => (
+                            <Table.Cell key={`${idx}-${col}`}>{formatCell(row[col])}</Table.Cell>
+                          ))}
+                        </Table.Row>
+                      ))
                     ) : (
                       <Table.Row>
-                        <Table.Cell colSpan={tableName === 'sat_site_attributes' ? 2 : satelliteTables[tableName].columns.length} textAlign="center">
+                        <Table.Cell colSpan={Math.max(columns.length, 1)} textAlign="center">
                           No data
                         </Table.Cell>
                       </Table.Row>
@@ -416,15 +284,18 @@ export default function SiteDetail({ site, onBack }) {
                 </Table>
               )}
             </div>
-          ))}
-        </Segment>
-      )}
-      
-      {tables.length === 0 && !loading && (
-        <Segment>
-          <Message info>No satellite tables found for this site</Message>
-        </Segment>
-      )}
+          );
+        })}
+      </Segment>
+
+      <HistoryPanel
+        open={historyOpen}
+        onClose={() => setHistoryOpen(false)}
+        tableName="hub_sites"
+        recordId={site.hub_site_id || site.id}
+        onRestored={(row) => setSiteDetails({ ...row, id: row.hub_site_id })}
+        currentUser={currentUser}
+      />
     </div>
   );
 }
@@ -0,0 +1,167 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Button, Form, Message } from 'semantic-ui-react';
+import axios from 'axios';
+
+const UNIT_OPTIONS = [
+  { key: 'ft', value: 'ft', text: 'feet' },
+  { key: 'm', value: 'm', text: 'meters' },
+  { key: 'mi', value: 'mi', text: 'miles' }
+];
+
+const RESULT_FILL = { type: 'simple-fill', color: [0, 113, 188, 0.35], outline: { color: [0, 113, 188], width: 2 } };
+const RESULT_LINE = { type: 'simple-line', color: [0, 113, 188], width: 3 };
+const RESULT_POINT = { type: 'simple-marker', color: [0, 113, 188], size: 10, outline: { color: [255, 255, 255], width: 2 } };
+
+// GeoJSON (WGS84, possibly a Multi* or GeometryCollection from ST_Collect) -> [{ geometry, symbol }]
+function toGraphics(geojson, { Polygon, Polyline, Point }) {
+  if (!geojson) return [];
+  const sr = { wkid: 4326 };
+  switch (geojson.type) {
+    case 'Point':
+      return [{ geometry: new Point({ x: geojson.coordinates[0], y: geojson.coordinates[1], spatialReference: sr }), symbol: RESULT_POINT }];
+    case 'MultiPoint':
+      return geojson.coordinates.map(c => ({ geometry: new Point({ x: c[0], y: c[1], spatialReference: sr }), symbol: RESULT_POINT }));
+    case 'LineString':
+      return [{ geometry: new Polyline({ paths: [geojson.coordinates], spatialReference: sr }), symbol: RESULT_LINE }];
+    case 'MultiLineString':
+      return [{ geometry: new Polyline({ paths: geojson.coordinates, spatialReference: sr }), symbol: RESULT_LINE }];
+    case 'Polygon':
+      return [{ geometry: new Polygon({ rings: geojson.coordinates, spatialReference: sr }), symbol: RESULT_FILL }];
+    case 'MultiPolygon':
+      return [{ geometry: new Polygon({ rings: geojson.coordinates.flat(), spatialReference: sr }), symbol: RESULT_FILL }];
+    case 'GeometryCollection':
+      return geojson.geometries.flatMap(g => toGraphics(g, { Polygon, Polyline, Point }));
+    default:
+      return [];
+  }
+}
+
+// Map with draw tools for spatial site search: click a point (radius search), draw a polygon or
+// rectangle (intersects), or search the visible extent (bbox). Results go to onResults; null
+// means the spatial filter was cleared.
+export default function SiteSearchMap({ onResults }) {
+  const mapRef = useRef();
+  const viewRef = useRef();
+  const resultsLayerRef = useRef();
+  const sketchLayerRef = useRef();
+  const modulesRef = useRef({});
+  const radiusRef = useRef({ radius: 500, units: 'ft' });
+  const [radius, setRadius] = useState(500);
+  const [units, setUnits] = useState('ft');
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Sketch listeners are bound once, so they read radius/units through a ref
+  useEffect(() => { radiusRef.current = { radius, units }; }, [radius, units]);
+
+  const runSearch = async (request) => {
+    setSearching(true);
+    setError(null);
+    try {
+      const res = await request();
+      const sites = res.data?.data || [];
+      const { Graphic } = modulesRef.current;
+      resultsLayerRef.current.removeAll();
+      sites.forEach(site => {
+        toGraphics(site.geometry, modulesRef.current).forEach(g => resultsLayerRef.current.add(new Graphic(g)));
+      });
+      if (onResults) onResults(sites, res.data?.truncated);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Spatial search failed');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  useEffect(() => {
+    let retries = 0;
+    const initMap = () => {
+      retries++;
+      if (!mapRef.current || !window.require) {
+        if (retries < 30) setTimeout(initMap, 100);
+        return;
+      }
+
+      window.require([
+        'esri/Map', 'esri/views/MapView', 'esri/geometry/Extent', 'esri/Graphic', 'esri/layers/GraphicsLayer',
+        'esri/widgets/Sketch', 'esri/geometry/Polygon', 'esri/geometry/Polyline', 'esri/geometry/Point',
+        'esri/geometry/support/webMercatorUtils'
+      ], (Map, MapView, Extent, Graphic, GraphicsLayer, Sketch, Polygon, Polyline, Point, webMercatorUtils) => {
+        modulesRef.current = { Graphic, Polygon, Polyline, Point, webMercatorUtils };
+        resultsLayerRef.current = new GraphicsLayer();
+        sketchLayerRef.current = new GraphicsLayer();
+        const view = new MapView({
+          container: mapRef.current,
+          map: new Map({ basemap: 'arcgis-streets', layers: [resultsLayerRef.current, sketchLayerRef.current] }),
+          extent: new Extent({ xmin: -74.256, ymin: 40.496, xmax: -73.700, ymax: 40.916, spatialReference: { wkid: 4326 } })
+        });
+        viewRef.current = view;
+
+        const sketch = new Sketch({
+          view,
+          layer: sketchLayerRef.current,
+          creationMode: 'single',
+          availableCreateTools: ['point', 'polygon', 'rectangle'],
+          visibleElements: { selectionTools: { 'lasso-selection': false, 'rectangle-selection': false }, settingsMenu: false }
+        });
+        view.ui.add(sketch, 'top-right');
+
+        sketch.on('create', (event) => {
+          if (event.state !== 'complete') return;
+          // Keep only the shape just drawn
+          sketchLayerRef.current.graphics.forEach(g => { if (g !== event.graphic) sketchLayerRef.current.remove(g); });
+          const geom = webMercatorUtils.webMercatorToGeographic(event.graphic.geometry);
+          if (geom.type === 'point') {
+            const { radius: r, units: u } = radiusRef.current;
+            runSearch(() => axios.get('/api/sites/search', { params: { near: `${geom.x},${geom.y}`, radius: r, units: u } }));
+          } else if (geom.type === 'polygon') {
+            runSearch(() => axios.post('/api/sites/search', { geometry: { type: 'Polygon', coordinates: geom.rings } }));
+          }
+        });
+      });
+    };
+
+    initMap();
+    return () => { if (viewRef.current) viewRef.current.destroy(); };
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const searchVisibleArea = () => {
+    const { webMercatorUtils } = modulesRef.current;
+    if (!viewRef.current || !webMercatorUtils) return;
+    const e = webMercatorUtils.webMercatorToGeographic(viewRef.current.extent);
+    sketchLayerRef.current.removeAll();
+    runSearch(() => axios.get('/api/sites/search', { params: { bbox: [e.xmin, e.ymin, e.xmax, e.ymax].join(',') } }));
+  };
+
+  const clear = () => {
+    if (sketchLayerRef.current) sketchLayerRef.current.removeAll();
+    if (resultsLayerRef.current) resultsLayerRef.current.removeAll();
+    setError(null);
+    if (onResults) onResults(null);
+  };
+
+  return (
+    <div style={{ marginBottom: '1rem' }}>
+      <Form size="small">
+        <Form.Group inline>
+          <Form.Input
+            label="Point radius"
+            type="number"
+            min="1"
+            value={radius}
+            onChange={(e, { value }) => setRadius(value)}
+            style={{ width: 100 }}
+          />
+          <Form.Select options={UNIT_OPTIONS} value={units} onChange={(e, { value }) => setUnits(value)} />
+          <Button size="small" onClick={searchVisibleArea} loading={searching} disabled={searching}>Search visible area</Button>
+          <Button size="small" basic onClick={clear}>Clear</Button>
+        </Form.Group>
+      </Form>
+      <div style={{ fontSize: 12, color: '#666', marginBottom: 6 }}>
+        Use the draw tools: a point finds sites within the radius; a polygon or rectangle finds sites inside it.
+      </div>
+      {error && <Message negative size="small" content={error} />}
+      <div ref={mapRef} style={{ height: 420, width: '100%', borderRadius: '4px' }} />
+    </div>
+  );
+}
@@ -1,28 +1,76 @@
 import React, { useState, useEffect } from 'react';
-import { Modal, Button, Input, Table, Message, Dimmer, Loader } from 'semantic-ui-react';
+import { Modal, Button, Input, Table, Message, Dimmer, Loader, Dropdown } from 'semantic-ui-react';
 import axios from 'axios';
+import { downloadExport } from '../download';
+import { hasRole } from '../auth';
 
-export default function SiteSelectionModal({ open, onClose, projectId }) {
+// Display text for one typed attribute value (see ?values=typed), in the browser's locale
+const formatValue = (value, valueType) => {
+  if (value && typeof value === 'object') return value.label;
+  if (valueType === 'date') {
+    const d = new Date(value);
+    return Number.isNaN(d.getTime()) ? String(value) : d.toLocaleDateString();
+  }
+  if (valueType === 'number' && typeof value === 'number') return value.toLocaleString();
+  return String(value);
+};
+
+// Sort key for a cell: the first value as a number/timestamp for numeric and date attributes,
+// otherwise the lowercased display text
+const sortKey = (values, valueType) => {
+  if (!values || values.length === 0) return null;
+  if (valueType === 'number') return Number(values[0]);
+  if (valueType === 'date') return new Date(values[0]).getTime();
+  return values.map(v => formatValue(v, valueType)).join(' | ').toLowerCase();
+};
+
+// Initial editor value for a cell: lookup ids for ref attributes, YYYY-MM-DD for dates, and
+// text values joined with ' | ' (split again on save)
+const draftFor = (values, attr) => {
+  if (attr.valueType === 'ref') return attr.multi ? values.map(v => v.id) : (values[0]?.id ?? '');
+  if (attr.valueType === 'date') return values.length > 0 ? String(values[0]).slice(0, 10) : '';
+  if (attr.valueType === 'number') return values.length > 0 ? String(values[0]) : '';
+  return values.join(' | ');
+};
+
+export default function SiteSelectionModal({ open, onClose, projectId, currentUser }) {
   const [sites, setSites] = useState([]);
   const [attributes, setAttributes] = useState([]);
+  const [warnings, setWarnings] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
+  const [exporting, setExporting] = useState(null);
+  // YYYY-MM-DD; empty shows current values
+  const [asOf, setAsOf] = useState('');
+  // { key, direction: 'ascending' | 'descending' }; key is 'hub_site_id' or an attribute key
+  const [sort, setSort] = useState({ key: 'hub_site_id', direction: 'ascending' });
+  // Cell being edited ({ siteId, attr }), its draft value, and lookup options per attribute id
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [options, setOptions] = useState({});
+  // Cells are editable for editors, and only while showing current values
+  const canEdit = hasRole(currentUser, 'editor') && !asOf;
 
   // Load sites with attributes on open
   useEffect(() => {
     if (!open || !projectId) return;
     loadSitesWithAttributes();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [open, projectId]);
+  }, [open, projectId, asOf]);
 
-  const loadSitesWithAttributes = async () => {
-    setLoading(true);
+  // quiet reloads (after an edit) keep the grid on screen instead of showing the loader
+  const loadSitesWithAttributes = async ({ quiet = false } = {}) => {
+    if (!quiet) setLoading(true);
     setError(null);
     try {
-      const response = await axios.get(`/api/projects/${projectId}/sites-with-attributes`);
+      const response = await axios.get(`/api/projects/${projectId}/sites-with-attributes`, {
+        params: { asOf: asOf || undefined, values: 'typed' }
+      });
       setSites(response.data?.data || []);
       setAttributes(response.data?.attributes || []);
+      setWarnings(response.data?.warnings || []);
     } catch (err) {
       setError('Failed to load sites');
       console.error(err);
@@ -31,6 +79,92 @@ export default function SiteSelectionModal({ open, onClose, projectId }) {
     }
   };
 
+  const handleExport = async (format) => {
+    setExporting(format);
+    setError(null);
+    try {
+      await downloadExport(`/api/projects/${projectId}/sites-with-attributes/export`, { format, asOf: asOf || undefined }, `project_${projectId}_sites.${format}`);
+    } catch (err) {
+      setError('Failed to export sites');
+      console.error(err);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const startEdit = async (siteId, attr) => {
+    if (!canEdit || saving) return;
+    const site = sites.find(s => s.hub_site_id === siteId);
+    setEditing({ siteId, attr });
+    setDraft(draftFor(site[attr.key] || [], attr));
+    if (attr.valueType === 'ref' && !options[attr.id]) {
+      try {
+        const res = await axios.get(`/api/site-attributes/${attr.id}/options`);
+        const opts = (res.data?.data || []).map(o => ({ key: o.id, value: o.id, text: o.label }));
+        setOptions(prev => ({ ...prev, [attr.id]: opts }));
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load options');
+      }
+    }
+  };
+
+  const saveEdit = async () => {
+    const { siteId, attr } = editing;
+    let values;
+    if (attr.valueType === 'ref') values = Array.isArray(draft) ? draft : (draft == null || draft === '' ? [] : [draft]);
+    else if (attr.valueType === 'text' && attr.multi) values = String(draft).split('|').map(v => v.trim()).filter(v => v !== '');
+    else if (attr.valueType === 'text') values = String(draft).trim() === '' ? [] : [draft];
+    else values = draft === '' ? [] : [draft];
+
+    setSaving(true);
+    setError(null);
+    try {
+      await axios.put(`/api/sites/${siteId}/attributes/${attr.id}`, { values });
+      setEditing(null);
+      await loadSitesWithAttributes({ quiet: true });
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save value');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const editorKeyDown = (e) => {
+    if (e.key === 'Enter') saveEdit();
+    if (e.key === 'Escape') { e.stopPropagation(); setEditing(null); }
+  };
+
+  const renderEditor = (attr) => {
+    if (attr.valueType === 'ref') {
+      return (
+        <Dropdown
+          search
+          selection
+          clearable
+          multiple={attr.multi}
+          options={options[attr.id] || []}
+          loading={!options[attr.id]}
+          value={draft}
+          onChange={(e, { value }) => setDraft(value)}
+          style={{ minWidth: 180 }}
+        />
+      );
+    }
+    return (
+      <Input
+        size="mini"
+        autoFocus
+        type={attr.valueType === 'number' ? 'number' : attr.valueType === 'date' ? 'date' : 'text'}
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={editorKeyDown}
+        placeholder={attr.valueType === 'text' && attr.multi ? 'Separate values with |' : undefined}
+      />
+    );
+  };
+
+  const cellText = (site, attr) => (site[attr.key] || []).map(v => formatValue(v, attr.valueType)).join(' | ');
+
   const filteredSites = sites.filter(s => {
     const id = (s.hub_site_id || s.id || '').toString();
     const term = searchTerm.toLowerCase();
@@ -38,8 +172,7 @@ export default function SiteSelectionModal({ open, onClose, projectId }) {
     // Also search in attribute values
     let attrMatch = false;
     for (const attr of attributes) {
-      const val = (s[attr.key] || '').toLowerCase();
-      if (val.includes(term)) {
+      if (cellText(s, attr).toLowerCase().includes(term)) {
         attrMatch = true;
         break;
       }
@@ -48,19 +181,46 @@ export default function SiteSelectionModal({ open, onClose, projectId }) {
     return id.includes(term) || attrMatch;
   });
 
+  // Empty cells always sort last
+  const sortAttr = attributes.find(a => a.key === sort.key);
+  const sortedSites = [...filteredSites].sort((a, b) => {
+    const ka = sortAttr ? sortKey(a[sortAttr.key], sortAttr.valueType) : Number(a.hub_site_id);
+    const kb = sortAttr ? sortKey(b[sortAttr.key], sortAttr.valueType) : Number(b.hub_site_id);
+    if (ka == null || kb == null) return ka == null ? (kb == null ? 0 : 1) : -1;
+    const cmp = ka < kb ? -1 : ka > kb ? 1 : 0;
+    return sort.direction === 'ascending' ? cmp : -cmp;
+  });
+
+  const toggleSort = (key) => {
+    setSort(prev => ({
+      key,
+      direction: prev.key === key && prev.direction === 'ascending' ? 'descending' : 'ascending'
+    }));
+  };
+
   return (
     <Modal open={open} onClose={onClose} size="fullscreen">
-      <Modal.Header>Project Sites ({sites.length} sites)</Modal.Header>
+      <Modal.Header>Project Sites ({sites.length} sites){asOf ? ` as of ${asOf}` : ''}</Modal.Header>
       <Modal.Content scrolling>
         {error && <Message negative content={error} />}
         
-        <Input
-          placeholder="Search by site ID or attribute values..."
-          value={searchTerm}
-          onChange={(e) => setSearchTerm(e.target.value)}
-          style={{ marginBottom: 16, width: '100%' }}
-          icon="search"
-        />
+        <div style={{ display: 'flex', gap: 8, marginBottom: 16 }}>
+          <Input
+            placeholder="Search by site ID or attribute values..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            style={{ flex: 1 }}
+            icon="search"
+          />
+          <Input
+            type="date"
+            label="As of"
+            value={asOf}
+            onChange={(e) => setAsOf(e.target.value)}
+            title="Show the values that were valid on this date"
+          />
+          {asOf && <Button basic onClick={() => setAsOf('')}>Current</Button>}
+        </div>
 
         <Dimmer active={loading} inverted>
           <Loader>Loading project sites...</Loader>
@@ -68,6 +228,16 @@ export default function SiteSelectionModal({ open, onClose, projectId }) {
 
         {!loading && (
           <>
+            {asOf && sites.length > 0 && attributes.length > 0 && (
+              <Message info size="small" style={{ marginBottom: 12 }}>
+                Showing values as of {asOf}.{hasRole(currentUser, 'editor') && ' Switch back to current values to edit.'}
+              </Message>
+            )}
+
+            {warnings.length > 0 && (
+              <Message warning size="small" header="Some attributes could not be loaded" list={warnings} style={{ marginBottom: 12 }} />
+            )}
+
             {attributes.length === 0 && sites.length > 0 && (
               <Message info size="small" style={{ marginBottom: 12 }}>
                 No site attributes selected for this project. Use "Site Attributes" to select which attributes to display.
@@ -82,33 +252,58 @@ export default function SiteSelectionModal({ open, onClose, projectId }) {
 
             {sites.length > 0 && (
               <div style={{ overflowX: 'auto' }}>
-                <Table celled compact striped>
+                <Table celled compact striped sortable>
                   <Table.Header>
                     <Table.Row>
-                      <Table.HeaderCell style={{ minWidth: 80 }}>Site ID</Table.HeaderCell>
+                      <Table.HeaderCell
+                        style={{ minWidth: 80 }}
+                        sorted={sort.key === 'hub_site_id' ? sort.direction : null}
+                        onClick={() => toggleSort('hub_site_id')}
+                      >
+                        Site ID
+                      </Table.HeaderCell>
                       {attributes.map(attr => (
-                        <Table.HeaderCell key={attr.id} style={{ minWidth: 120 }}>
+                        <Table.HeaderCell
+                          key={attr.id}
+                          style={{ minWidth: 120, textAlign: attr.valueType === 'number' ? 'right' : undefined }}
+                          sorted={sort.key === attr.key ? sort.direction : null}
+                          onClick={() => toggleSort(attr.key)}
+                        >
                           {attr.name}
                         </Table.HeaderCell>
                       ))}
                     </Table.Row>
                   </Table.Header>
                   <Table.Body>
-                    {filteredSites.map((site) => {
+                    {sortedSites.map((site) => {
                       const siteId = site.hub_site_id || site.id;
                       return (
                         <Table.Row key={siteId}>
                           <Table.Cell>{siteId}</Table.Cell>
-                          {attributes.map(attr => (
-                            <Table.Cell key={attr.id} style={{ 
-                              maxWidth: 250, 
-                              overflow: 'hidden', 
-                              textOverflow: 'ellipsis',
-                              whiteSpace: 'nowrap'
-                            }} title={site[attr.key] || ''}>
-                              {site[attr.key] || <span style={{ color: '#999' }}>-</span>}
-                            </Table.Cell>
-                          ))}
+                          {attributes.map(attr => {
+                            const text = cellText(site, attr);
+                            if (editing && editing.siteId === siteId && editing.attr.id === attr.id) {
+                              return (
+                                <Table.Cell key={attr.id} style={{ whiteSpace: 'nowrap' }}>
+                                  {renderEditor(attr)}
+                                  <Button size="mini" icon="check" primary onClick={saveEdit} loading={saving} disabled={saving} title="Save" />
+                                  <Button size="mini" icon="close" basic onClick={() => setEditing(null)} disabled={saving} title="Cancel" />
+                                </Table.Cell>
+                              );
+                            }
+                            return (
+                              <Table.Cell key={attr.id} style={{ 
+                                maxWidth: 250, 
+                                overflow: 'hidden', 
+                                textOverflow: 'ellipsis',
+                                whiteSpace: 'nowrap',
+                                textAlign: attr.valueType === 'number' ? 'right' : undefined,
+                                cursor: canEdit ? 'pointer' : undefined
+                              }} title={canEdit ? `${text}${text ? '\n' : ''}Click to edit` : text} onClick={canEdit ? () => startEdit(siteId, attr) : undefined}>
+                                {text || <span style={{ color: '#999' }}>-</span>}
+                              </Table.Cell>
+                            );
+                          })}
                         </Table.Row>
                       );
                     })}
@@ -124,6 +319,8 @@ export default function SiteSelectionModal({ open, onClose, projectId }) {
         )}
       </Modal.Content>
       <Modal.Actions>
+        <Button onClick={() => handleExport('csv')} loading={exporting === 'csv'} disabled={!!exporting || sites.length === 0}>Export CSV</Button>
+        <Button onClick={() => handleExport('xlsx')} loading={exporting === 'xlsx'} disabled={!!exporting || sites.length === 0}>Export XLSX</Button>
         <Button onClick={onClose}>Close</Button>
       </Modal.Actions>
     </Modal>
@@ -3,6 +3,7 @@ import React, { useEffect, useState } from 'react';
 import { Segment, Header, Table, Button, Icon, Loader, Message, Modal } from 'semantic-ui-react';
 import axios from 'axios';
 import SiteDetail from './SiteDetail';
+import SiteSearchMap from './SiteSearchMap';
 
 export default function SitesList({ onEdit, onCreate, onChange }) {
   const [sites, setSites] = useState([]);
@@ -11,6 +12,10 @@ export default function SitesList({ onEdit, onCreate, onChange }) {
   const [error, setError] = useState(null);
   const [detailOpen, setDetailOpen] = useState(false);
   const [detailSite, setDetailSite] = useState(null);
+  const [showMap, setShowMap] = useState(false);
+  // Sites matched by the spatial search, or null when no spatial filter is active
+  const [spatialResults, setSpatialResults] = useState(null);
+  const [spatialTruncated, setSpatialTruncated] = useState(false);
 
   useEffect(() => {
     let mounted = true;
@@ -20,7 +25,8 @@ export default function SitesList({ onEdit, onCreate, onChange }) {
         const cols = res.data?.columns || [];
         if (!mounted) return;
         if (cols.length > 0) {
-          const fields = cols.map(c => c.column_name).filter(cn => cn !== 'hub_site_id');
+          // the key is shown in the ID column already
+          const fields = cols.filter(c => !c.is_primary_key).map(c => c.column_name);
           setSchemaFields(fields);
         } else {
           setSchemaFields(['name', 'description', 'address', 'borough', 'latitude', 'longitude']);
@@ -75,12 +81,36 @@ export default function SitesList({ onEdit, onCreate, onChange }) {
     }
   };
 
+  const visibleSites = spatialResults || sites;
+  const hasDistance = visibleSites.some(s => s.distance_m != null);
+
   return (
     <Segment>
-      <Header as="h3">Sites <Button primary size="small" onClick={() => { if (onCreate) onCreate(); }} style={{ float: 'right' }}>New Site</Button></Header>
+      <Header as="h3">
+        Sites
+        <Button primary size="small" onClick={() => { if (onCreate) onCreate(); }} style={{ float: 'right' }}>New Site</Button>
+        <Button size="small" toggle active={showMap} onClick={() => setShowMap(!showMap)} style={{ float: 'right', marginRight: 8 }}>
+          <Icon name="map outline" /> Spatial search
+        </Button>
+      </Header>
       {loading ? <Loader active inline="centered" /> : null}
       {error && <Message negative content={error} />}
 
+      {showMap && (
+        <SiteSearchMap onResults={(results, truncated) => { setSpatialResults(results); setSpatialTruncated(!!truncated); }} />
+      )}
+      {spatialResults && (
+        <Message info size="small">
+          {spatialResults.length} site(s) match the spatial search{spatialTruncated ? ' (showing the first page)' : ''}.{' '}
+          <button
+            onClick={() => setSpatialResults(null)}
+            style={{ textDecoration: 'underline', cursor: 'pointer', background: 'none', border: 'none', color: '#0066cc', padding: 0, font: 'inherit' }}
+          >
+            Show all sites
+          </button>
+        </Message>
+      )}
+
       <Table celled selectable compact>
         <Table.Header>
           <Table.Row>
@@ -88,11 +118,12 @@ export default function SitesList({ onEdit, onCreate, onChange }) {
             {schemaFields && schemaFields.filter(f => f !== 'id' && f !== 'hub_site_id').map(field => (
               <Table.HeaderCell key={field}>{field.replace(/_/g, ' ').toUpperCase()}</Table.HeaderCell>
             ))}
+            {spatialResults && hasDistance && <Table.HeaderCell>DISTANCE (M)</Table.HeaderCell>}
             <Table.HeaderCell>Actions</Table.HeaderCell>
           </Table.Row>
         </Table.Header>
         <Table.Body>
-          {sites.map(s => (
+          {visibleSites.map(s => (
             <Table.Row key={s.id || s.hub_site_id}>
               <Table.Cell>
                 <button
@@ -106,6 +137,7 @@ export default function SitesList({ onEdit, onCreate, onChange }) {
               {schemaFields && schemaFields.filter(f => f !== 'id' && f !== 'hub_site_id').map(field => (
                 <Table.Cell key={field}>{s[field]}</Table.Cell>
               ))}
+              {spatialResults && hasDistance && <Table.Cell>{Math.round(s.distance_m)}</Table.Cell>}
               <Table.Cell>
                 <Button icon size="small" onClick={() => { if (onEdit) onEdit(s); }} title="View Details">
                   <Icon name="eye" />
@@ -1,9 +1,25 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
-import { Table, Button, Loader, Form, Icon } from 'semantic-ui-react';
+import { Table, Button, Loader, Form, Icon, Label, Dropdown } from 'semantic-ui-react';
+import HistoryPanel from './HistoryPanel';
+import ImportCsvModal from './ImportCsvModal';
+import { downloadExport } from '../download';
+import { buildQueryParams } from '../tableQuery';
 import './TableView.css';
 
-function TableView({ tableName }) {
+const FILTER_OPS = [
+  { key: 'contains', value: 'contains', text: 'contains' },
+  { key: 'eq', value: 'eq', text: '=' },
+  { key: 'neq', value: 'neq', text: '≠' },
+  { key: 'lt', value: 'lt', text: '<' },
+  { key: 'gt', value: 'gt', text: '>' },
+  { key: 'in', value: 'in', text: 'in (a,b,…)' },
+  { key: 'between', value: 'between', text: 'between (a,b)' },
+  { key: 'isnull', value: 'isnull', text: 'is null' },
+  { key: 'notnull', value: 'notnull', text: 'is not null' }
+];
+
+function TableView({ tableName, currentUser }) {
   const [data, setData] = useState([]);
   const [columns, setColumns] = useState([]);
   const [columnMeta, setColumnMeta] = useState([]); // metadata including enum values
@@ -11,16 +27,30 @@ function TableView({ tableName }) {
   const [pagination, setPagination] = useState({ limit: 50, offset: 0, count: 0 });
   const [pageSize, setPageSize] = useState(50);
   const [useEstimatedCount, setUseEstimatedCount] = useState(false);
+  // Keyset paging: the server hands back opaque next/prev cursors instead of offsets
+  const [useCursor, setUseCursor] = useState(false);
+  const [cursor, setCursor] = useState(null);
+  const [pageCursors, setPageCursors] = useState({ next: null, prev: null });
   const [searchQuery, setSearchQuery] = useState('');
   const [editingRow, setEditingRow] = useState(null);
   const [editData, setEditData] = useState({});
   const [showAddForm, setShowAddForm] = useState(false);
   const [newRecord, setNewRecord] = useState({});
+  const [historyRecordId, setHistoryRecordId] = useState(null);
+  const [importOpen, setImportOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [sort, setSort] = useState([]); // [{ column, desc }]
+  const [filters, setFilters] = useState([]); // [{ column, op, value }]
+  const [filterDraft, setFilterDraft] = useState({ column: '', op: 'contains', value: '' });
 
   // reset add form when table name changes
   useEffect(() => {
     setShowAddForm(false);
     setNewRecord({});
+    setSort([]);
+    setFilters([]);
+    setCursor(null);
+    setFilterDraft({ column: '', op: 'contains', value: '' });
   }, [tableName]);
 
   useEffect(() => {
@@ -35,22 +65,31 @@ function TableView({ tableName }) {
       }
     })();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [tableName, pagination.offset, pageSize, useEstimatedCount]);
+  }, [tableName, pagination.offset, pageSize, useEstimatedCount, useCursor, cursor]);
 
   // debounce search
   useEffect(() => {
     const t = setTimeout(() => {
       setPagination(prev => ({ ...prev, offset: 0 }));
+      setCursor(null);
       loadTableData();
     }, 350);
     return () => clearTimeout(t);
-  }, [searchQuery, tableName, pageSize, useEstimatedCount]); // eslint-disable-line react-hooks/exhaustive-deps
+  }, [searchQuery, tableName, pageSize, useEstimatedCount, sort, filters]); // eslint-disable-line react-hooks/exhaustive-deps
 
   const loadTableData = async () => {
     setLoading(true);
     try {
       const response = await axios.get(`/api/table/${tableName}`, {
-        params: { limit: pageSize, offset: pagination.offset, q: searchQuery || undefined, fastCount: useEstimatedCount ? 'true' : undefined }
+        params: {
+          limit: pageSize,
+          ...(useCursor
+            ? { paginate: 'cursor', cursor: cursor || undefined }
+            : { offset: pagination.offset }),
+          q: searchQuery || undefined,
+          fastCount: useEstimatedCount ? 'true' : undefined,
+          ...buildQueryParams(sort, filters)
+        }
       });
       
       const rawData = response.data.data || [];
@@ -61,7 +100,8 @@ function TableView({ tableName }) {
         return { ...r, __internalId: dbId ?? `row-${pagination.offset + idx}` };
       });
       setData(tableData);
-      setPagination(prev => ({ ...prev, count: response.data.count }));
+      setPagination(prev => ({ ...prev, count: response.data.count, count_estimated: response.data.count_estimated }));
+      setPageCursors({ next: response.data.next || null, prev: response.data.prev || null });
       
       if (tableData.length > 0) {
         // hide internal id from columns
@@ -74,6 +114,22 @@ function TableView({ tableName }) {
     }
   };
 
+  // Every row matching the current search / filters / sort, not just this page
+  const handleExport = async (format) => {
+    setExporting(true);
+    try {
+      await downloadExport(`/api/table/${tableName}/export`, {
+        format,
+        q: searchQuery || undefined,
+        ...buildQueryParams(sort, filters)
+      }, `${tableName}.${format}`);
+    } catch (error) {
+      alert('Failed to export table');
+    } finally {
+      setExporting(false);
+    }
+  };
+
   const handleEdit = (row) => {
     setEditingRow(row.__internalId);
     // keep editData free of internal id
@@ -123,13 +179,45 @@ function TableView({ tableName }) {
     }
   };
 
+  // Click a header to sort by it (toggling direction); shift+click adds it as a secondary sort
+  const toggleSort = (column, additive) => {
+    setSort(prev => {
+      const existing = prev.find(s => s.column === column);
+      const next = existing ? { column, desc: !existing.desc } : { column, desc: false };
+      if (!additive) return [next];
+      return existing ? prev.map(s => (s.column === column ? next : s)) : [...prev, next];
+    });
+  };
+
+  const addFilter = () => {
+    const { column, op, value } = filterDraft;
+    if (!column) return;
+    if (op !== 'isnull' && op !== 'notnull' && value === '') return;
+    setFilters(prev => [...prev.filter(f => !(f.column === column && f.op === op)), { column, op, value }]);
+    setFilterDraft(prev => ({ ...prev, value: '' }));
+  };
+
+  // History is recorded per primary-key value, so it needs a single-column key
+  const keyColumns = columnMeta.filter(m => m.is_primary_key).map(m => m.column_name);
+  const historyKey = keyColumns.length === 1 ? keyColumns[0] : null;
+
+  const filterColumns = columnMeta.length > 0 ? columnMeta.map(m => m.column_name) : columns;
+
   const nextPage = () => {
+    if (useCursor) {
+      if (pageCursors.next) setCursor(pageCursors.next);
+      return;
+    }
     if (pagination.offset + pagination.limit < pagination.count) {
       setPagination(prev => ({ ...prev, offset: prev.offset + prev.limit }));
     }
   };
 
   const prevPage = () => {
+    if (useCursor) {
+      if (pageCursors.prev) setCursor(pageCursors.prev);
+      return;
+    }
     if (pagination.offset > 0) {
       setPagination(prev => ({ ...prev, offset: Math.max(0, prev.offset - prev.limit) }));
     }
@@ -148,7 +236,7 @@ function TableView({ tableName }) {
       <div className="table-header">
         <h2>{tableName}</h2>
         <div className="table-actions">
-          <span className="record-count">{pagination.count}{' '}{pagination.count ? (pagination.count_estimated ? ' (approx)' : '') : ''} records</span>
+          <span className="record-count">{pagination.count ?? '—'}{' '}{pagination.count ? (pagination.count_estimated ? ' (approx)' : '') : ''} records</span>
 
           <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
             <input
@@ -168,24 +256,76 @@ function TableView({ tableName }) {
               <span style={{ fontSize: 12 }}>Use estimated count</span>
             </label>
 
+            <label style={{ display: 'flex', alignItems: 'center', gap: 6 }} title="Faster on large tables; pages stay stable while rows are inserted">
+              <input type="checkbox" checked={useCursor} onChange={(e) => { setCursor(null); setUseCursor(e.target.checked); }} />
+              <span style={{ fontSize: 12 }}>Cursor paging</span>
+            </label>
+
             <Button primary onClick={() => setShowAddForm(!showAddForm)}>+ Add Record</Button>
+            <Button onClick={() => setImportOpen(true)}>Import CSV</Button>
+            <Dropdown button text="Export" loading={exporting} disabled={exporting}>
+              <Dropdown.Menu>
+                <Dropdown.Item text="CSV" onClick={() => handleExport('csv')} />
+                <Dropdown.Item text="Excel (XLSX)" onClick={() => handleExport('xlsx')} />
+              </Dropdown.Menu>
+            </Dropdown>
           </div>
         </div>
       </div>
 
+      <div className="table-filters" style={{ display: 'flex', flexWrap: 'wrap', gap: 8, alignItems: 'center' }}>
+        <select
+          value={filterDraft.column}
+          onChange={(e) => setFilterDraft(prev => ({ ...prev, column: e.target.value }))}
+          aria-label="filter-column-select"
+        >
+          <option value="">Filter column…</option>
+          {filterColumns.map(c => <option key={c} value={c}>{c}</option>)}
+        </select>
+        <select
+          value={filterDraft.op}
+          onChange={(e) => setFilterDraft(prev => ({ ...prev, op: e.target.value }))}
+          aria-label="filter-operator-select"
+        >
+          {FILTER_OPS.map(o => <option key={o.key} value={o.value}>{o.text}</option>)}
+        </select>
+        {filterDraft.op !== 'isnull' && filterDraft.op !== 'notnull' && (
+          <input
+            placeholder="Value"
+            value={filterDraft.value}
+            onChange={(e) => setFilterDraft(prev => ({ ...prev, value: e.target.value }))}
+            onKeyDown={(e) => { if (e.key === 'Enter') addFilter(); }}
+            style={{ padding: '6px 8px', borderRadius: 4, border: '1px solid #ddd' }}
+            aria-label="filter-value"
+          />
+        )}
+        <Button size="small" onClick={addFilter} disabled={!filterDraft.column}>Add filter</Button>
+        {filters.map(f => (
+          <Label key={`${f.column}-${f.op}`}>
+            {f.column} {FILTER_OPS.find(o => o.value === f.op)?.text} {f.op !== 'isnull' && f.op !== 'notnull' ? f.value : ''}
+            <Icon name="delete" onClick={() => setFilters(prev => prev.filter(x => x !== f))} />
+          </Label>
+        ))}
+        {sort.length > 0 && (
+          <Button size="small" basic onClick={() => setSort([])}>Clear sort</Button>
+        )}
+      </div>
+
       {showAddForm && (
         <div className="add-form">
           <h3>Add New Record</h3>
           <Form>
             <Form.Group widths="equal">
-              {columns.filter(col => col !== 'id' && col !== '_id').map(column => {
+              {(columnMeta.length > 0 ? columnMeta.filter(m => !m.is_auto).map(m => m.column_name) : columns.filter(col => col !== 'id' && col !== '_id')).map(column => {
                 const meta = columnMeta.find(m => m.column_name === column);
+                const required = meta ? meta.is_nullable === false && meta.column_default == null : false;
                 if (meta?.enum_values?.length) {
                   const options = meta.enum_values.map(v => ({ key: v, text: v, value: v }));
                   return (
                     <Form.Select
                       key={column}
                       label={column}
+                      required={required}
                       options={options}
                       value={newRecord[column] || ''}
                       onChange={(e, { name, value }) => setNewRecord({ ...newRecord, [column]: value })}
@@ -199,9 +339,11 @@ function TableView({ tableName }) {
                   <Form.Input
                     key={column}
                     label={column}
+                    required={required}
                     value={newRecord[column] || ''}
                     onChange={(e, { value }) => setNewRecord({ ...newRecord, [column]: value })}
-                    placeholder={`Enter ${column}`}
+                    placeholder={meta?.comment || `Enter ${column}`}
+                    maxLength={meta?.max_length || undefined}
                   />
                 );
 
@@ -219,9 +361,25 @@ function TableView({ tableName }) {
         <Table celled selectable compact className="data-table">
           <Table.Header>
             <Table.Row>
-              {columns.map(column => (
-                <Table.HeaderCell key={column}>{column}</Table.HeaderCell>
-              ))}
+              {columns.map(column => {
+                const sortIndex = sort.findIndex(s => s.column === column);
+                const sortEntry = sort[sortIndex];
+                return (
+                  <Table.HeaderCell
+                    key={column}
+                    onClick={(e) => toggleSort(column, e.shiftKey)}
+                    style={{ cursor: 'pointer', whiteSpace: 'nowrap' }}
+                    title="Click to sort, shift+click to add a secondary sort"
+                  >
+                    {column}
+                    {sortEntry && (
+                      <span style={{ marginLeft: 4 }}>
+                        {sortEntry.desc ? '▼' : '▲'}{sort.length > 1 ? sortIndex + 1 : ''}
+                      </span>
+                    )}
+                  </Table.HeaderCell>
+                );
+              })}
               <Table.HeaderCell className="actions-column">Actions</Table.HeaderCell>
             </Table.Row>
           </Table.Header>
@@ -273,6 +431,9 @@ function TableView({ tableName }) {
                       <div className="action-buttons">
                         <Button size="small" aria-label={`Edit row ${rowId}`} onClick={() => handleEdit(row)}>Edit</Button>
                         <Button negative size="small" aria-label={`Delete row ${rowId}`} onClick={() => handleDelete(rowId)}>Delete</Button>
+                        {historyKey && row[historyKey] != null && (
+                          <Button size="small" aria-label={`History for row ${rowId}`} onClick={() => setHistoryRecordId(row[historyKey])}>History</Button>
+                        )}
                       </div>
                     )}
                   </Table.Cell>
@@ -283,13 +444,39 @@ function TableView({ tableName }) {
         </Table>
       </div>
 
-      <div className="table-pagination">
-        <Button onClick={prevPage} disabled={pagination.offset === 0}>← Previous</Button>
-        <span className="pagination-info">
-          Showing {pagination.offset + 1} - {Math.min(pagination.offset + pagination.limit, pagination.count)} of {pagination.count}
-        </span>
-        <Button onClick={nextPage} disabled={pagination.offset + pagination.limit >= pagination.count}>Next →</Button>
-      </div>
+      {useCursor ? (
+        <div className="table-pagination">
+          <Button onClick={prevPage} disabled={!pageCursors.prev}>← Previous</Button>
+          <span className="pagination-info">
+            Showing {data.length} rows{pagination.count != null ? ` of ~${pagination.count}` : ''}
+          </span>
+          <Button onClick={nextPage} disabled={!pageCursors.next}>Next →</Button>
+        </div>
+      ) : (
+        <div className="table-pagination">
+          <Button onClick={prevPage} disabled={pagination.offset === 0}>← Previous</Button>
+          <span className="pagination-info">
+            Showing {pagination.offset + 1} - {Math.min(pagination.offset + pagination.limit, pagination.count)} of {pagination.count}
+          </span>
+          <Button onClick={nextPage} disabled={pagination.offset + pagination.limit >= pagination.count}>Next →</Button>
+        </div>
+      )}
+
+      <HistoryPanel
+        open={historyRecordId != null}
+        onClose={() => setHistoryRecordId(null)}
+        tableName={tableName}
+        recordId={historyRecordId}
+        onRestored={() => loadTableData()}
+        currentUser={currentUser}
+      />
+
+      <ImportCsvModal
+        open={importOpen}
+        onClose={() => setImportOpen(false)}
+        tableName={tableName}
+        onImported={() => loadTableData()}
+      />
     </div>
   );
 }
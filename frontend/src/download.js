@@ -0,0 +1,39 @@
+import axios from 'axios';
+
+// Exports need the bearer token, so they can't be plain links: fetch the file through axios
+// and hand the blob to the browser as a download named by the server's Content-Disposition
+function saveDownload(res, fallbackName) {
+  const match = /filename="?([^";]+)"?/.exec(res.headers['content-disposition'] || '');
+  const href = window.URL.createObjectURL(res.data);
+  const link = document.createElement('a');
+  link.href = href;
+  link.download = match ? match[1] : fallbackName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(href);
+}
+
+export async function downloadExport(url, params, fallbackName = 'export') {
+  const res = await axios.get(url, { params, responseType: 'blob' });
+  saveDownload(res, fallbackName);
+}
+
+// Same for exports described by a request body (e.g. the Query Editor's SQL and parameters)
+export async function downloadPost(url, data, params, fallbackName = 'export') {
+  const res = await axios.post(url, data, { params, responseType: 'blob' });
+  saveDownload(res, fallbackName);
+}
+
+// Error message from a failed blob request (the JSON error body arrives as a Blob too)
+export async function downloadErrorMessage(err) {
+  const data = err.response?.data;
+  if (data instanceof Blob) {
+    try {
+      return JSON.parse(await data.text()).error || err.message;
+    } catch (e) {
+      return err.message;
+    }
+  }
+  return data?.error || err.message;
+}
@@ -0,0 +1,45 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import axios from 'axios';
+
+const without = (obj, key) => {
+  const { [key]: omitted, ...rest } = obj;
+  return rest;
+};
+
+// Table names from /api/tables for every schema listed by /api/schemas (bare for public,
+// "schema.table" otherwise) plus column metadata from /api/columns, fetched per table on first
+// use and cached for the life of the component (shared by the schema browser and the Query
+// Editor's autocompletion)
+export function useSchemaCatalog() {
+  const [tables, setTables] = useState([]);
+  const [columns, setColumns] = useState({}); // table -> columns, or null while loading
+  const [columnErrors, setColumnErrors] = useState({}); // table -> why its last load failed
+  const [error, setError] = useState(null);
+  const requested = useRef(new Set());
+
+  useEffect(() => {
+    axios.get('/api/schemas')
+      .then(res => Promise.all((res.data?.schemas || [])
+        .filter(schema => schema.table_count > 0)
+        .map(schema => axios.get('/api/tables', { params: { schema: schema.name } }))))
+      .then(responses => setTables(responses.flatMap(res => res.data?.tables || [])))
+      .catch(err => setError(err.response?.data?.error || err.message || 'Failed to load tables'));
+  }, []);
+
+  const loadColumns = useCallback((table) => {
+    if (requested.current.has(table)) return;
+    requested.current.add(table);
+    setColumns(prev => ({ ...prev, [table]: null }));
+    setColumnErrors(prev => without(prev, table));
+    axios.get(`/api/columns/${encodeURIComponent(table)}`)
+      .then(res => setColumns(prev => ({ ...prev, [table]: res.data?.columns || [] })))
+      .catch(err => {
+        // Forget the attempt so a later expand or completion retries
+        requested.current.delete(table);
+        setColumns(prev => without(prev, table));
+        setColumnErrors(prev => ({ ...prev, [table]: err.response?.data?.error || err.message || 'Failed to load columns' }));
+      });
+  }, []);
+
+  return { tables, columns, columnErrors, loadColumns, error };
+}
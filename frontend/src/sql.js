@@ -0,0 +1,62 @@
+// Lightweight SQL text helpers for the Query Editor (no full parser: just enough lexing to skip
+// string literals, quoted identifiers, comments and dollar-quoted bodies)
+
+const SKIPPED = /'(?:[^']|'')*'?|"(?:[^"]|"")*"?|--[^\n]*|\/\*[\s\S]*?(?:\*\/|$)|(\$(?:[A-Za-z_]\w*)?\$)[\s\S]*?(?:\1|$)/y;
+
+// SQL with literals, quoted identifiers and comments blanked out (same length, so offsets match)
+export function stripLiterals(sql) {
+  let out = '';
+  let i = 0;
+  while (i < sql.length) {
+    SKIPPED.lastIndex = i;
+    const m = /['"$/-]/.test(sql[i]) ? SKIPPED.exec(sql) : null;
+    if (m) {
+      out += m[0].replace(/[^\n]/g, ' ');
+      i += m[0].length;
+    } else {
+      out += sql[i];
+      i++;
+    }
+  }
+  return out;
+}
+
+// Highest $n placeholder in the statement (0 when there are none)
+export function placeholderCount(sql) {
+  let max = 0;
+  for (const m of stripLiterals(sql || '').matchAll(/\$(\d+)/g)) max = Math.max(max, parseInt(m[1], 10));
+  return max;
+}
+
+const KEYWORDS = new Set([
+  'select', 'from', 'where', 'join', 'inner', 'left', 'right', 'full', 'outer', 'cross', 'on', 'using',
+  'group', 'order', 'by', 'having', 'limit', 'offset', 'union', 'all', 'as', 'and', 'or', 'not', 'lateral', 'with'
+]);
+
+// Tables named after FROM / JOIN (optionally schema-qualified), keyed by alias and by name
+export function referencedTables(sql) {
+  const tables = new Map();
+  const pattern = /\b(?:from|join)\s+((?:[A-Za-z_]\w*\.)?[A-Za-z_]\w*)(?:\s+(?:as\s+)?([A-Za-z_]\w*))?/gi;
+  for (const m of stripLiterals(sql).matchAll(pattern)) {
+    const table = m[1];
+    tables.set(table.split('.').pop(), table);
+    tables.set(table, table);
+    if (m[2] && !KEYWORDS.has(m[2].toLowerCase())) tables.set(m[2], table);
+  }
+  return tables;
+}
+
+// What is being typed at `cursor`: { start, prefix, qualifier, expect } where qualifier is the
+// word before a dot (alias, table or schema) and expect is 'table' right after FROM / JOIN and
+// 'column' otherwise. Null inside string literals, quoted identifiers and comments.
+export function completionContext(sql, cursor) {
+  const stripped = stripLiterals(sql.slice(0, cursor));
+  if (stripped.length > 0 && stripped[cursor - 1] !== sql[cursor - 1]) return null;
+  const m = /(?:([A-Za-z_]\w*)\.)?([A-Za-z_]\w*)?$/.exec(stripped);
+  const qualifier = m[1] || null;
+  const prefix = m[2] || '';
+  if (!qualifier && !prefix) return null;
+  const before = stripped.slice(0, cursor - m[0].length);
+  const expect = /\b(?:from|join|update|into|table)\s+$/i.test(before) ? 'table' : 'column';
+  return { start: cursor - prefix.length, prefix, qualifier, expect };
+}
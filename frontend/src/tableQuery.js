@@ -0,0 +1,13 @@
+// Query params for the generic table listing (GET /api/table/:tableName and its export). Kept
+// free of React and axios so it can be tested on its own.
+
+// Serialize sort/filter state into the query params understood by GET /api/table/:tableName
+export function buildQueryParams(sort, filters) {
+  const params = {};
+  if (sort.length > 0) params.sort = sort.map(s => `${s.desc ? '-' : ''}${s.column}`).join(',');
+  for (const f of filters) {
+    if (f.op === 'isnull' || f.op === 'notnull') params[`filter[${f.column}][isnull]`] = f.op === 'isnull' ? 'true' : 'false';
+    else params[`filter[${f.column}][${f.op}]`] = f.value;
+  }
+  return params;
+}